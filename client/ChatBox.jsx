@@ -6,44 +6,614 @@
  * Usage:
  *   import ChatBox from "./ChatBox";
  *   <ChatBox />
+ *   <ChatBox locale="fil" />  — fixed UI and reply language ("en" or "fil");
+ *                               by default the UI follows the browser language
+ *                               and replies follow what the visitor writes
  *
  * Set VITE_API_URL in your frontend .env:
  *   VITE_API_URL=http://localhost:3000
  */
 
-import { useState, useRef, useEffect } from "react";
+import { Fragment, useState, useRef, useEffect } from "react";
 import "./ChatBox.css";
 
 const API_URL = import.meta.env.VITE_API_URL || "http://localhost:3000";
 
-// ── Chat message shape: { role: "user" | "assistant", text: string } ────────
+// Conversation id survives page navigations within the same tab
+const CONVERSATION_KEY = "cb-conversation-id";
+
+function loadConversationId() {
+  try {
+    return sessionStorage.getItem(CONVERSATION_KEY) || undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+function saveConversationId(id) {
+  if (!id) return;
+  try {
+    sessionStorage.setItem(CONVERSATION_KEY, id);
+  } catch {
+    // Storage unavailable (e.g. privacy mode) — conversation resets per page
+  }
+}
+
+// Reconnect attempts when the connection drops mid-answer
+const MAX_RESUME_ATTEMPTS = 3;
+
+// ── UI strings — to add a language, copy "en" and translate ─────────────────
+const STRINGS = {
+  en: {
+    title: "Ask James's AI",
+    open: "Open chat",
+    close: "Close chat",
+    placeholder: "Type a message…",
+    send: "Send message",
+    stop: "Stop generating",
+    welcome:
+      "Hi! I'm James's AI assistant. Ask me anything about his background, skills, or projects.",
+    basedOn: "Based on: ",
+    stopped: "Stopped.",
+    error: "Sorry, something went wrong. Please try again.",
+    leadName: "Your name",
+    leadEmail: "Your email",
+    leadMessage: "What would you like to ask James?",
+    leadSend: "Send to James",
+    leadFailed: "Your message could not be sent.",
+    leadThanks: (email) => `Thanks! James will get back to you at ${email}.`,
+  },
+  fil: {
+    title: "Magtanong sa AI ni James",
+    open: "Buksan ang chat",
+    close: "Isara ang chat",
+    placeholder: "Mag-type ng mensahe…",
+    send: "Ipadala ang mensahe",
+    stop: "Itigil ang pagsagot",
+    welcome:
+      "Kumusta! Ako ang AI assistant ni James. Magtanong ka tungkol sa kanyang background, skills, o mga proyekto.",
+    basedOn: "Batay sa: ",
+    stopped: "Itinigil.",
+    error: "Paumanhin, may nangyaring mali. Pakisubukang muli.",
+    leadName: "Ang iyong pangalan",
+    leadEmail: "Ang iyong email",
+    leadMessage: "Ano ang gusto mong itanong kay James?",
+    leadSend: "Ipadala kay James",
+    leadFailed: "Hindi naipadala ang iyong mensahe.",
+    leadThanks: (email) => `Salamat! Babalikan ka ni James sa ${email}.`,
+  },
+};
+
+// First supported language of `preferred` or the browser's ("tl" is Tagalog too)
+function pickLocale(preferred) {
+  const wanted = preferred ? [preferred] : navigator.languages || [navigator.language];
+  for (const tag of wanted) {
+    const primary = String(tag).toLowerCase().split(/[-_]/)[0];
+    const code = primary === "tl" ? "fil" : primary;
+    if (STRINGS[code]) return code;
+  }
+  return "en";
+}
+
+// ── SSE parsing ─────────────────────────────────────────────────────────────
+// Calls onEvent({ id, event, data }) for each message in the response body.
+// Comment lines (": ping" heartbeats) are skipped.
+async function readEvents(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) return;
+
+    buffer += decoder.decode(value, { stream: true });
+    const parts = buffer.split("\n\n");
+    buffer = parts.pop(); // Keep incomplete trailing chunk
+
+    for (const part of parts) {
+      const message = { id: null, event: "message", data: "" };
+      for (const line of part.split("\n")) {
+        if (!line || line.startsWith(":")) continue;
+        const sep = line.indexOf(":");
+        const field = sep === -1 ? line : line.slice(0, sep);
+        const value = sep === -1 ? "" : line.slice(sep + 1).replace(/^ /, "");
+        if (field === "id") message.id = Number(value);
+        else if (field === "event") message.event = value;
+        else if (field === "data") message.data += value;
+      }
+      if (message.data) onEvent(message);
+    }
+  }
+}
+
+// Reads a reply to the end.  If the connection drops before the "done" or
+// "error" event (e.g. a mobile network switch), reconnects with
+// Last-Event-ID and carries on from the last event received.
+async function readReply(response, onEvent, signal) {
+  const streamId = response.headers.get("X-Stream-Id");
+  let lastEventId = 0;
+  let finished = false;
+
+  const track = (message) => {
+    if (message.id) lastEventId = message.id;
+    if (message.event === "done" || message.event === "error") finished = true;
+    onEvent(message.event, JSON.parse(message.data));
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      if (attempt > 0) {
+        await new Promise((resolve) => setTimeout(resolve, 1000 * attempt));
+        response = await fetch(`${API_URL}/api/chat/streams/${streamId}`, {
+          headers: { "Last-Event-ID": String(lastEventId) },
+          signal,
+        });
+        if (!response.ok) throw new Error("The reply could not be resumed.");
+      }
+      await readEvents(response, track);
+    } catch (err) {
+      // Only dropped connections (TypeError) are retried — not stops or server errors
+      if (!(err instanceof TypeError) || finished || attempt >= MAX_RESUME_ATTEMPTS) throw err;
+      continue;
+    }
+    if (finished) return;
+    if (attempt >= MAX_RESUME_ATTEMPTS) throw new Error("Connection lost.");
+  }
+}
+
+// ── Session tokens ──────────────────────────────────────────────────────────
+// Each message needs a single-use token.  The first comes from /api/session;
+// every chat response carries the next one.
+let sessionToken = null;
+
+async function takeSessionToken(signal) {
+  if (!sessionToken) {
+    const response = await fetch(`${API_URL}/api/session`, { method: "POST", signal });
+    if (!response.ok) throw new Error("Could not start a chat session.");
+    sessionToken = (await response.json()).token;
+  }
+  const token = sessionToken;
+  sessionToken = null;
+  return token;
+}
+
+// Proof-of-work for the server's bot check: a nonce whose SHA-256 with the
+// challenge starts with `difficulty` zero bits
+async function solveChallenge(challenge, difficulty) {
+  const encoder = new TextEncoder();
+  for (let nonce = 0; ; nonce++) {
+    const answer = `${challenge}:${nonce}`;
+    const hash = new Uint8Array(await crypto.subtle.digest("SHA-256", encoder.encode(answer)));
+    let bits = 0;
+    for (const byte of hash) {
+      bits += byte === 0 ? 8 : Math.clz32(byte) - 24;
+      if (byte !== 0) break;
+    }
+    if (bits >= difficulty) return answer;
+  }
+}
+
+// POST /api/chat.  A token that expired (e.g. after a long pause) or was
+// already used is replaced once, and a bot challenge is solved, transparently.
+async function postChat(body, signal) {
+  let renewed = false;
+  let solution = null;
+  for (let attempt = 0; attempt < 4; attempt++) {
+    const token = await takeSessionToken(signal);
+    const response = await fetch(`${API_URL}/api/chat`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Session-Token": token,
+        ...(solution ? { "X-Challenge": solution } : {}),
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+    sessionToken = response.headers.get("X-Session-Token");
+    if (response.status !== 401 && response.status !== 428) return response;
+
+    const { code, challenge, difficulty } = await response.clone().json().catch(() => ({}));
+    if (code?.startsWith("SESSION_TOKEN_") && !renewed) {
+      renewed = true;
+    } else if (code === "CHALLENGE_REQUIRED") {
+      solution = await solveChallenge(challenge, difficulty);
+    } else {
+      return response;
+    }
+  }
+  throw new Error("Request failed");
+}
+
+// ── Markdown in replies ─────────────────────────────────────────────────────
+// Replies are parsed into a small tree and rendered as React elements: the
+// model's text is never parsed as HTML (no dangerouslySetInnerHTML), so
+// markup in it shows up as text.  Only MD_TAGS can be created, and links only
+// for http(s) and mailto URLs.  The whole reply is re-rendered on every
+// chunk, so an unfinished code block or list shows as it streams in.
+const MD_TAGS = new Set([
+  "p", "ul", "ol", "li", "blockquote", "pre", "hr", "strong", "em", "del", "code", "a",
+]);
+const MD_BLOCKS = new Set(["p", "ul", "ol", "li", "blockquote", "pre"]);
+const SAFE_PROTOCOLS = new Set(["http:", "https:", "mailto:"]);
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)/;
+const HEADING = /^ {0,3}#{1,6}\s+(.*?)[\s#]*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}> ?/;
+const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])(?:[ \t]+(.*)|$)/;
+
+function safeUrl(href) {
+  try {
+    const url = new URL(href);
+    return SAFE_PROTOCOLS.has(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+// Unsafe or malformed links are left as plain text
+function mdLink(href, children) {
+  const url = safeUrl(href);
+  return url ? { type: "a", href: url, children } : null;
+}
+
+// Tried in order at each position; `wordStart` rules only after a non-word
+// character, `link` rules never inside another link
+const INLINE_RULES = [
+  { pattern: /\\([!-/:-@[-`{-~])/y, node: (m) => ({ type: "text", text: m[1] }) },
+  { pattern: /(`+)(?!`)([\s\S]*?[^`])\1(?!`)/y, node: (m) => ({ type: "code", text: m[2] }) },
+  { pattern: /\*\*(?=\S)([\s\S]*?\S)\*\*/y, wrap: "strong" },
+  { pattern: /__(?=\S)([\s\S]*?\S)__(?![\p{L}\p{N}])/uy, wrap: "strong", wordStart: true },
+  { pattern: /~~(?=\S)([\s\S]*?\S)~~/y, wrap: "del" },
+  { pattern: /\*(?=[^\s*])([\s\S]*?[^\s*])\*/y, wrap: "em" },
+  { pattern: /_(?=[^\s_])([\s\S]*?[^\s_])_(?![\p{L}\p{N}])/uy, wrap: "em", wordStart: true },
+  {
+    pattern: /\[([^\]\n]+)\]\(\s*<?([^\s()<>]+(?:\([^\s()<>]*\))?)>?(?:\s+"[^"\n]*")?\s*\)/y,
+    link: true,
+    node: (m) => mdLink(m[2], parseInline(m[1], true)),
+  },
+  {
+    pattern: /<((?:https?|mailto):[^\s<>]+)>/iy,
+    link: true,
+    node: (m) => mdLink(m[1], [{ type: "text", text: m[1].replace(/^mailto:/i, "") }]),
+  },
+  {
+    pattern: /https?:\/\/[^\s<>]*[^\s<>.,:;!?"'()[\]*_~]/iy,
+    link: true,
+    wordStart: true,
+    node: (m) => mdLink(m[0], [{ type: "text", text: m[0] }]),
+  },
+  {
+    pattern: /[\w.+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/y,
+    link: true,
+    wordStart: true,
+    node: (m) => mdLink(`mailto:${m[0]}`, [{ type: "text", text: m[0] }]),
+  },
+];
+
+function parseInline(text, inLink = false) {
+  const nodes = [];
+  let plain = "";
+  let i = 0;
+
+  next: while (i < text.length) {
+    for (const rule of INLINE_RULES) {
+      if (inLink && rule.link) continue;
+      if (rule.wordStart && i > 0 && /[\p{L}\p{N}_]/u.test(text[i - 1])) continue;
+      rule.pattern.lastIndex = i;
+      const m = rule.pattern.exec(text);
+      if (!m) continue;
+      const node = rule.wrap
+        ? { type: rule.wrap, children: parseInline(m[1], inLink) }
+        : rule.node(m);
+      if (!node) continue;
+      if (plain) nodes.push({ type: "text", text: plain });
+      plain = "";
+      nodes.push(node);
+      i += m[0].length;
+      continue next;
+    }
+    plain += text[i++];
+  }
+  if (plain) nodes.push({ type: "text", text: plain });
+  return nodes;
+}
+
+function startsBlock(line) {
+  return [FENCE, HEADING, RULE, QUOTE, LIST_ITEM].some((pattern) => pattern.test(line));
+}
+
+// A list and its nested lists (indented two or more spaces); returns the
+// list and the index of the first line after it
+function parseList(lines, start) {
+  const first = lines[start].match(LIST_ITEM);
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const list = { type: ordered ? "ol" : "ul", start: parseInt(first[2], 10) || 1, children: [] };
+  let item = null;
+  let i = start;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const m = line.match(LIST_ITEM);
+
+    if (m && m[1].length >= indent + 2 && item) {
+      const [nested, after] = parseList(lines, i);
+      item.lists.push(nested);
+      i = after;
+    } else if (m && m[1].length >= indent && /\d/.test(m[2]) === ordered) {
+      item = { lines: [m[3] || ""], lists: [] };
+      list.children.push(item);
+      i++;
+    } else if (!line.trim()) {
+      // A blank line only continues the list if another item follows
+      const following = lines[i + 1]?.match(LIST_ITEM);
+      if (!following || following[1].length < indent) break;
+      i++;
+    } else if (!m && item && /^\s/.test(line) && !startsBlock(line.trim())) {
+      item.lines.push(line.trim());
+      i++;
+    } else {
+      break;
+    }
+  }
+
+  list.children = list.children.map(({ lines: text, lists }) => ({
+    type: "li",
+    children: [...parseInline(text.join("\n")), ...lists],
+  }));
+  return [list, i];
+}
+
+function parseBlocks(lines) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const fence = line.match(FENCE);
+
+    if (fence) {
+      // Runs to the end of the text until the closing fence arrives
+      const close = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`);
+      const code = [];
+      for (i++; i < lines.length && !close.test(lines[i]); i++) code.push(lines[i]);
+      i++;
+      blocks.push({ type: "pre", text: code.join("\n") });
+    } else if (!line.trim()) {
+      i++;
+    } else if (HEADING.test(line)) {
+      const [, text] = line.match(HEADING);
+      blocks.push({ type: "p", children: [{ type: "strong", children: parseInline(text) }] });
+      i++;
+    } else if (RULE.test(line)) {
+      blocks.push({ type: "hr" });
+      i++;
+    } else if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE.test(lines[i])) quoted.push(lines[i++].replace(QUOTE, ""));
+      blocks.push({ type: "blockquote", children: parseBlocks(quoted) });
+    } else if (LIST_ITEM.test(line)) {
+      const [list, after] = parseList(lines, i);
+      blocks.push(list);
+      i = after;
+    } else {
+      // Single line breaks are kept — replies are written for a chat window
+      const text = [];
+      while (i < lines.length && lines[i].trim() && (!text.length || !startsBlock(lines[i]))) {
+        text.push(lines[i++].trim());
+      }
+      blocks.push({ type: "p", children: parseInline(text.join("\n")) });
+    }
+  }
+  return blocks;
+}
+
+// Renders parsed nodes; `tail` (the cursor) goes at the end of the last line
+function renderNodes(nodes, tail = null) {
+  const last = nodes[nodes.length - 1];
+  const tailInside = Boolean(tail && last && MD_BLOCKS.has(last.type));
+
+  const out = nodes.map((node, i) => {
+    const inner = tailInside && i === nodes.length - 1 ? tail : null;
+
+    if (node.type === "text") {
+      return node.text.split("\n").map((part, j) => (
+        <Fragment key={`${i}-${j}`}>
+          {j > 0 && <br />}
+          {part}
+        </Fragment>
+      ));
+    }
+    if (!MD_TAGS.has(node.type)) return null;
+
+    switch (node.type) {
+      case "a":
+        return (
+          <a key={i} href={node.href} target="_blank" rel="noopener noreferrer">
+            {renderNodes(node.children)}
+          </a>
+        );
+      case "pre":
+        return (
+          <pre key={i}>
+            <code>
+              {node.text}
+              {inner}
+            </code>
+          </pre>
+        );
+      case "code":
+        return <code key={i}>{node.text}</code>;
+      case "hr":
+        return <hr key={i} />;
+      case "ol":
+        return (
+          <ol key={i} start={node.start > 1 ? node.start : undefined}>
+            {renderNodes(node.children, inner)}
+          </ol>
+        );
+      default: {
+        const Tag = node.type;
+        return <Tag key={i}>{renderNodes(node.children, inner)}</Tag>;
+      }
+    }
+  });
+
+  if (tail && !tailInside) out.push(<Fragment key="tail">{tail}</Fragment>);
+  return out;
+}
+
+function Markdown({ text, tail }) {
+  return renderNodes(parseBlocks(text.replace(/\r\n?/g, "\n").split("\n")), tail);
+}
+
+// ── Inline contact form, offered when the visitor wants to get in touch ─────
+function LeadForm({ t }) {
+  const [fields, setFields] = useState({ name: "", email: "", message: "", website: "" });
+  const [status, setStatus] = useState("idle"); // idle | sending | sent
+  const [error, setError] = useState(null);
+
+  const update = (e) => setFields((prev) => ({ ...prev, [e.target.name]: e.target.value }));
+
+  async function submit(e) {
+    e.preventDefault();
+    setStatus("sending");
+    setError(null);
+
+    try {
+      const response = await fetch(`${API_URL}/api/leads`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...fields, conversationId: loadConversationId() }),
+      });
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || t.leadFailed);
+      }
+      setStatus("sent");
+    } catch (err) {
+      setError(err.message);
+      setStatus("idle");
+    }
+  }
+
+  if (status === "sent") {
+    return (
+      <div className="cb-lead-form cb-lead-form--sent">
+        {t.leadThanks(fields.email)}
+      </div>
+    );
+  }
+
+  return (
+    <form className="cb-lead-form" onSubmit={submit}>
+      <input
+        name="name"
+        className="cb-lead-input"
+        placeholder={t.leadName}
+        maxLength={100}
+        required
+        autoFocus
+        value={fields.name}
+        onChange={update}
+      />
+      <input
+        name="email"
+        type="email"
+        className="cb-lead-input"
+        placeholder={t.leadEmail}
+        maxLength={254}
+        required
+        value={fields.email}
+        onChange={update}
+      />
+      <textarea
+        name="message"
+        className="cb-lead-input"
+        placeholder={t.leadMessage}
+        rows={3}
+        maxLength={2000}
+        required
+        value={fields.message}
+        onChange={update}
+      />
+      {/* Honeypot — hidden from people, filled in by bots */}
+      <input
+        name="website"
+        className="cb-lead-hp"
+        tabIndex={-1}
+        autoComplete="off"
+        aria-hidden="true"
+        value={fields.website}
+        onChange={update}
+      />
+      {error && <div className="cb-lead-error">{error}</div>}
+      <button type="submit" className="cb-lead-send" disabled={status === "sending"}>
+        {t.leadSend}
+      </button>
+    </form>
+  );
+}
+
+// ── Chat message shape ──────────────────────────────────────────────────────
+// { role: "user" | "assistant", text: string, isError?: boolean, isResting?: boolean,
+//   sources?: Array<{ title: string, source: string }>,
+//   toolStatus?: string | null,  — e.g. "Checking availability…" while a tool runs
+//   leadForm?: boolean,          — show the contact form under the reply
+//   suggestions?: string[] }     — quick-reply chips, shown under the latest message only
+
+export default function ChatBox({ locale: preferredLocale } = {}) {
+  const locale = pickLocale(preferredLocale);
+  const t = STRINGS[locale];
 
-export default function ChatBox() {
   const [isOpen, setIsOpen] = useState(false);
-  const [messages, setMessages] = useState([
-    {
-      role: "assistant",
-      text: "Hi! I'm James's AI assistant. Ask me anything about his background, skills, or projects.",
-    },
-  ]);
+  const [messages, setMessages] = useState([{ role: "assistant", text: t.welcome }]);
   const [input, setInput] = useState("");
   const [isStreaming, setIsStreaming] = useState(false);
 
   const bottomRef = useRef(null);
   const inputRef = useRef(null);
+  const abortRef = useRef(null); // AbortController while a reply is streaming
+  const streamIdRef = useRef(null); // Server-side id of the reply being streamed
 
   // Auto-scroll to latest message
   useEffect(() => {
     bottomRef.current?.scrollIntoView({ behavior: "smooth" });
   }, [messages]);
 
+  // Starter prompts under the welcome message (skipped if the visitor is faster)
+  useEffect(() => {
+    fetch(`${API_URL}/api/chat/starters?locale=${locale}`)
+      .then((response) => (response.ok ? response.json() : null))
+      .then((body) => {
+        if (!body?.starters?.length) return;
+        setMessages((prev) =>
+          prev.length === 1 ? [{ ...prev[0], suggestions: body.starters }] : prev
+        );
+      })
+      .catch(() => {});
+  }, [locale]);
+
   // Focus input when chat opens
   useEffect(() => {
     if (isOpen) inputRef.current?.focus();
   }, [isOpen]);
 
-  async function sendMessage() {
-    const text = input.trim();
+  // Merge fields into the last (streaming) assistant message
+  function updateLastMessage(fields) {
+    setMessages((prev) => {
+      const updated = [...prev];
+      updated[updated.length - 1] = { ...updated[updated.length - 1], ...fields };
+      return updated;
+    });
+  }
+
+  // `question` is set when a chip was clicked
+  async function sendMessage(question = input) {
+    const text = question.trim();
     if (!text || isStreaming) return;
 
     // Add user message immediately
@@ -54,67 +624,126 @@ export default function ChatBox() {
     // Add an empty assistant message that will be filled by the stream
     setMessages((prev) => [...prev, { role: "assistant", text: "" }]);
 
+    abortRef.current = new AbortController();
+    let requestId = null;
+
     try {
-      const response = await fetch(`${API_URL}/api/chat`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ message: text }),
-      });
+      const response = await postChat(
+        {
+          message: text,
+          conversationId: loadConversationId(),
+          // Only a fixed locale overrides the language the visitor writes in
+          ...(preferredLocale ? { locale } : {}),
+        },
+        abortRef.current.signal
+      );
+      requestId = response.headers.get("X-Request-Id");
 
       if (!response.ok) {
-        const { error } = await response.json();
+        const { error, code } = await response.json().catch(() => ({}));
+
+        // Daily budget used up — show the server's friendly message, not an error
+        if (code === "BUDGET_EXCEEDED") {
+          updateLastMessage({ text: error, isResting: true });
+          return;
+        }
         throw new Error(error || "Request failed");
       }
 
-      // Read the SSE stream
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = "";
-
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-
-        buffer += decoder.decode(value, { stream: true });
-        const lines = buffer.split("\n\n");
-        buffer = lines.pop(); // Keep incomplete trailing chunk
-
-        for (const line of lines) {
-          if (!line.startsWith("data: ")) continue;
-          const payload = JSON.parse(line.slice(6));
-
-          if (payload.chunk) {
-            // Append streamed text to the last assistant message
-            setMessages((prev) => {
-              const updated = [...prev];
-              updated[updated.length - 1] = {
-                role: "assistant",
-                text: updated[updated.length - 1].text + payload.chunk,
-              };
-              return updated;
-            });
-          }
+      saveConversationId(response.headers.get("X-Conversation-Id"));
+      streamIdRef.current = response.headers.get("X-Stream-Id");
+
+      // Read the SSE stream event by event
+      await readReply(
+        response,
+        (event, payload) => {
+          switch (event) {
+            case "sources":
+              // Remember which documents the reply is based on
+              if (payload.sources.length) updateLastMessage({ sources: payload.sources });
+              break;
+
+            case "chunk":
+              // Append streamed text to the last assistant message
+              setMessages((prev) => {
+                const updated = [...prev];
+                const last = updated[updated.length - 1];
+                updated[updated.length - 1] = {
+                  ...last,
+                  text: last.text + payload.chunk,
+                };
+                return updated;
+              });
+              break;
+
+            case "tool":
+              // Show what the assistant is doing while a server-side tool runs
+              updateLastMessage({ toolStatus: payload.status === "running" ? payload.label : null });
+              break;
+
+            case "replace":
+              // The server stopped this reply — show its replacement instead
+              updateLastMessage({ text: payload.reply });
+              break;
+
+            case "done":
+              saveConversationId(payload.conversationId);
+              if (payload.resting) updateLastMessage({ isResting: true });
+              if (payload.leadForm) updateLastMessage({ leadForm: true });
+              break;
+
+            case "suggestions":
+              updateLastMessage({ suggestions: payload.suggestions });
+              break;
 
-          if (payload.error) {
-            throw new Error(payload.error);
+            case "error":
+              throw new Error(payload.error);
           }
-        }
-      }
+        },
+        abortRef.current.signal
+      );
     } catch (err) {
+      // Stopped by the visitor — keep whatever had arrived
+      if (err.name === "AbortError") {
+        setMessages((prev) => {
+          const updated = [...prev];
+          const last = updated[updated.length - 1];
+          updated[updated.length - 1] = { ...last, text: last.text || t.stopped };
+          return updated;
+        });
+        return;
+      }
+
       setMessages((prev) => {
         const updated = [...prev];
         updated[updated.length - 1] = {
           role: "assistant",
-          text: "Sorry, something went wrong. Please try again.",
+          // Include a short reference so a reported problem can be found in the server logs
+          text:
+            t.error +
+            (requestId ? ` (ref: ${requestId.slice(0, 8)})` : ""),
           isError: true,
         };
         return updated;
       });
     } finally {
+      updateLastMessage({ toolStatus: null });
+      abortRef.current = null;
+      streamIdRef.current = null;
       setIsStreaming(false);
     }
   }
 
+  // Stop reading, and tell the server to stop generating right away
+  function stopGenerating() {
+    abortRef.current?.abort();
+    if (streamIdRef.current) {
+      fetch(`${API_URL}/api/chat/streams/${streamIdRef.current}`, {
+        method: "DELETE",
+      }).catch(() => {});
+    }
+  }
+
   function handleKeyDown(e) {
     if (e.key === "Enter" && !e.shiftKey) {
       e.preventDefault();
@@ -123,19 +752,19 @@ export default function ChatBox() {
   }
 
   return (
-    <div className="cb-wrapper">
+    <div className="cb-wrapper" lang={locale}>
       {/* ── Chat window ─────────────────────────────────────── */}
       {isOpen && (
         <div className="cb-window">
           <header className="cb-header">
             <span className="cb-header-title">
               <span className="cb-dot" />
-              Ask James's AI
+              {t.title}
             </span>
             <button
               className="cb-close"
               onClick={() => setIsOpen(false)}
-              aria-label="Close chat"
+              aria-label={t.close}
             >
               ✕
             </button>
@@ -143,18 +772,47 @@ export default function ChatBox() {
 
           <div className="cb-messages">
             {messages.map((msg, i) => (
-              <div
-                key={i}
-                className={`cb-bubble cb-bubble--${msg.role}${msg.isError ? " cb-bubble--error" : ""}`}
-              >
-                {msg.text}
-                {/* Blinking cursor while the last assistant message streams */}
-                {isStreaming &&
-                  i === messages.length - 1 &&
-                  msg.role === "assistant" && (
-                    <span className="cb-cursor" />
+              <Fragment key={i}>
+                <div
+                  className={`cb-bubble cb-bubble--${msg.role}${msg.isError ? " cb-bubble--error" : ""}${msg.isResting ? " cb-bubble--resting" : ""}${msg.role === "assistant" && !msg.isError ? " cb-md" : ""}`}
+                >
+                  {msg.role === "assistant" && !msg.isError ? (
+                    <Markdown
+                      text={msg.text}
+                      // Blinking cursor while the last assistant message streams
+                      tail={
+                        isStreaming && i === messages.length - 1 ? (
+                          <span className="cb-cursor" />
+                        ) : null
+                      }
+                    />
+                  ) : (
+                    msg.text
                   )}
-              </div>
+                </div>
+                {msg.toolStatus && <div className="cb-tool">{msg.toolStatus}</div>}
+                {msg.sources?.length > 0 && !msg.isError && (
+                  <div className="cb-sources">
+                    {t.basedOn}
+                    {msg.sources.map((s) => s.title).join(", ")}
+                  </div>
+                )}
+                {msg.leadForm && <LeadForm t={t} />}
+                {msg.suggestions?.length > 0 && !isStreaming && i === messages.length - 1 && (
+                  <div className="cb-chips">
+                    {msg.suggestions.map((suggestion) => (
+                      <button
+                        key={suggestion}
+                        type="button"
+                        className="cb-chip"
+                        onClick={() => sendMessage(suggestion)}
+                      >
+                        {suggestion}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </Fragment>
             ))}
             <div ref={bottomRef} />
           </div>
@@ -163,7 +821,7 @@ export default function ChatBox() {
             <textarea
               ref={inputRef}
               className="cb-input"
-              placeholder="Type a message…"
+              placeholder={t.placeholder}
               rows={1}
               value={input}
               onChange={(e) => setInput(e.target.value)}
@@ -171,13 +829,14 @@ export default function ChatBox() {
               disabled={isStreaming}
               maxLength={1000}
             />
+            {/* Doubles as "stop generating" while a reply streams */}
             <button
-              className="cb-send"
-              onClick={sendMessage}
-              disabled={isStreaming || !input.trim()}
-              aria-label="Send message"
+              className={`cb-send${isStreaming ? " cb-send--stop" : ""}`}
+              onClick={isStreaming ? stopGenerating : () => sendMessage()}
+              disabled={!isStreaming && !input.trim()}
+              aria-label={isStreaming ? t.stop : t.send}
             >
-              {isStreaming ? "…" : "➤"}
+              {isStreaming ? "■" : "➤"}
             </button>
           </div>
         </div>
@@ -187,7 +846,7 @@ export default function ChatBox() {
       <button
         className="cb-fab"
         onClick={() => setIsOpen((o) => !o)}
-        aria-label={isOpen ? "Close chat" : "Open chat"}
+        aria-label={isOpen ? t.close : t.open}
       >
         {isOpen ? "✕" : "💬"}
       </button>
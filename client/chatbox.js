@@ -11,6 +11,9 @@
  *        <script src="chatbox.js"></script>
  *
  *   3. Set your backend URL below (or change it before deploying).
+ *   4. Optionally set LOCALE ("en" or "fil") — by default the widget follows
+ *      the browser language, and the assistant replies in whatever language
+ *      the visitor writes in.
  */
 
 (function () {
@@ -19,17 +22,88 @@
   // ── Config — change this to your deployed backend URL ───────────────────
   const API_URL = "http://localhost:3000";
 
+  // Conversation id survives page navigations within the same tab
+  const CONVERSATION_KEY = "cb-conversation-id";
+
+  // Reconnect attempts when the connection drops mid-answer
+  const MAX_RESUME_ATTEMPTS = 3;
+
+  // UI language: "en", "fil", or "" to follow the browser.  When set, replies
+  // are in this language too, whatever the visitor writes in.
+  const LOCALE = "";
+
+  // ── UI strings — to add a language, copy "en" and translate ─────────────
+  const STRINGS = {
+    en: {
+      title: "Ask James's AI",
+      dialog: "Chat with James's AI",
+      open: "Open chat",
+      close: "Close chat",
+      placeholder: "Type a message…",
+      input: "Your message",
+      send: "Send message",
+      stop: "Stop generating",
+      welcome:
+        "Hi! I'm James's AI assistant. Ask me anything about his background, skills, or projects.",
+      basedOn: "Based on: ",
+      stopped: "Stopped.",
+      error: "Sorry, something went wrong. Please try again.",
+      leadName: "Your name",
+      leadEmail: "Your email",
+      leadMessage: "What would you like to ask James?",
+      leadSend: "Send to James",
+      leadFailed: "Your message could not be sent.",
+      leadThanks: (email) => `Thanks! James will get back to you at ${email}.`,
+    },
+    fil: {
+      title: "Magtanong sa AI ni James",
+      dialog: "Makipag-chat sa AI ni James",
+      open: "Buksan ang chat",
+      close: "Isara ang chat",
+      placeholder: "Mag-type ng mensahe…",
+      input: "Ang iyong mensahe",
+      send: "Ipadala ang mensahe",
+      stop: "Itigil ang pagsagot",
+      welcome:
+        "Kumusta! Ako ang AI assistant ni James. Magtanong ka tungkol sa kanyang background, skills, o mga proyekto.",
+      basedOn: "Batay sa: ",
+      stopped: "Itinigil.",
+      error: "Paumanhin, may nangyaring mali. Pakisubukang muli.",
+      leadName: "Ang iyong pangalan",
+      leadEmail: "Ang iyong email",
+      leadMessage: "Ano ang gusto mong itanong kay James?",
+      leadSend: "Ipadala kay James",
+      leadFailed: "Hindi naipadala ang iyong mensahe.",
+      leadThanks: (email) => `Salamat! Babalikan ka ni James sa ${email}.`,
+    },
+  };
+
+  // First supported language of LOCALE or the browser's ("tl" is Tagalog too)
+  function pickLocale() {
+    const wanted = LOCALE ? [LOCALE] : navigator.languages || [navigator.language];
+    for (const tag of wanted) {
+      const primary = String(tag).toLowerCase().split(/[-_]/)[0];
+      const code = primary === "tl" ? "fil" : primary;
+      if (STRINGS[code]) return code;
+    }
+    return "en";
+  }
+
+  const locale = pickLocale();
+  const t = STRINGS[locale];
+
   // ── Build the HTML structure ─────────────────────────────────────────────
   const wrapper = document.createElement("div");
   wrapper.className = "cb-wrapper";
+  wrapper.lang = locale;
   wrapper.innerHTML = `
-    <div class="cb-window" id="cb-window" role="dialog" aria-label="Chat with James's AI">
+    <div class="cb-window" id="cb-window" role="dialog" aria-label="${t.dialog}">
       <header class="cb-header">
         <span class="cb-header-title">
           <span class="cb-dot"></span>
-          Ask James's AI
+          ${t.title}
         </span>
-        <button class="cb-close" id="cb-close" aria-label="Close chat">✕</button>
+        <button class="cb-close" id="cb-close" aria-label="${t.close}">✕</button>
       </header>
 
       <div class="cb-messages" id="cb-messages" aria-live="polite"></div>
@@ -38,16 +112,16 @@
         <textarea
           id="cb-input"
           class="cb-input"
-          placeholder="Type a message…"
+          placeholder="${t.placeholder}"
           rows="1"
           maxlength="1000"
-          aria-label="Your message"
+          aria-label="${t.input}"
         ></textarea>
-        <button class="cb-send" id="cb-send" aria-label="Send message" disabled>➤</button>
+        <button class="cb-send" id="cb-send" aria-label="${t.send}" disabled>➤</button>
       </div>
     </div>
 
-    <button class="cb-fab" id="cb-fab" aria-label="Open chat">💬</button>
+    <button class="cb-fab" id="cb-fab" aria-label="${t.open}">💬</button>
   `;
   document.body.appendChild(wrapper);
 
@@ -60,18 +134,31 @@
   const sendBtn  = document.getElementById("cb-send");
 
   let isStreaming = false;
+  let abortController = null; // Set while a reply is streaming
+  let streamId = null;        // Server-side id of the reply being streamed
+  let sessionToken = null;    // Unused token for the next message
+
+  // ── Conversation id (sessionStorage may be unavailable, e.g. privacy mode)
+  function loadConversationId() {
+    try { return sessionStorage.getItem(CONVERSATION_KEY) || undefined; } catch (_) { return undefined; }
+  }
+
+  function saveConversationId(id) {
+    if (!id) return;
+    try { sessionStorage.setItem(CONVERSATION_KEY, id); } catch (_) {}
+  }
 
   // ── Open / close ─────────────────────────────────────────────────────────
   function openChat() {
     window_.classList.add("cb-open");
-    fab.setAttribute("aria-label", "Close chat");
+    fab.setAttribute("aria-label", t.close);
     fab.textContent = "✕";
     input.focus();
   }
 
   function closeChat() {
     window_.classList.remove("cb-open");
-    fab.setAttribute("aria-label", "Open chat");
+    fab.setAttribute("aria-label", t.open);
     fab.textContent = "💬";
   }
 
@@ -80,9 +167,19 @@
   );
   closeBtn.addEventListener("click", closeChat);
 
+  // ── Send button doubles as "stop generating" while a reply streams ──────
+  function setStreaming(streaming) {
+    isStreaming = streaming;
+    sendBtn.classList.toggle("cb-send--stop", streaming);
+    sendBtn.textContent = streaming ? "■" : "➤";
+    sendBtn.setAttribute("aria-label", streaming ? t.stop : t.send);
+    sendBtn.disabled = !streaming && input.value.trim().length === 0;
+  }
+
   // ── Enable send button only when there is text ────────────────────────────
   input.addEventListener("input", () => {
-    sendBtn.disabled = input.value.trim().length === 0 || isStreaming;
+    if (isStreaming) return;
+    sendBtn.disabled = input.value.trim().length === 0;
     // Auto-grow textarea up to its CSS max-height
     input.style.height = "auto";
     input.style.height = input.scrollHeight + "px";
@@ -92,11 +189,19 @@
   input.addEventListener("keydown", (e) => {
     if (e.key === "Enter" && !e.shiftKey) {
       e.preventDefault();
-      if (!sendBtn.disabled) sendMessage();
+      if (!sendBtn.disabled && !isStreaming) sendMessage();
     }
   });
 
-  sendBtn.addEventListener("click", sendMessage);
+  sendBtn.addEventListener("click", () => (isStreaming ? stopGenerating() : sendMessage()));
+
+  // Stop reading, and tell the server to stop generating right away
+  function stopGenerating() {
+    abortController.abort();
+    if (streamId) {
+      fetch(`${API_URL}/api/chat/streams/${streamId}`, { method: "DELETE" }).catch(() => {});
+    }
+  }
 
   // ── Add a message bubble to the chat ─────────────────────────────────────
   function addBubble(role, text = "", isError = false) {
@@ -108,10 +213,468 @@
     return bubble;
   }
 
+  // ── Show which documents a reply is based on ───────────────────────────
+  function addSources(afterBubble, sources) {
+    const line = document.createElement("div");
+    line.className = "cb-sources";
+    line.textContent = t.basedOn + sources.map((s) => s.title).join(", ");
+    afterBubble.after(line);
+    scrollToBottom();
+  }
+
+  // Status line ("Checking availability…") while a server-side tool runs
+  function showToolStatus(afterBubble, label) {
+    let line = afterBubble.parentNode.querySelector(".cb-tool");
+    if (!line) {
+      line = document.createElement("div");
+      line.className = "cb-tool";
+      afterBubble.after(line);
+    }
+    line.textContent = label;
+    scrollToBottom();
+  }
+
+  function clearToolStatus() {
+    messages.querySelector(".cb-tool")?.remove();
+  }
+
+  // ── Inline contact form, offered when the visitor wants to get in touch ─
+  function addLeadForm() {
+    // One open form is enough
+    if (messages.querySelector(".cb-lead-form:not(.cb-lead-form--sent)")) return;
+
+    const form = document.createElement("form");
+    form.className = "cb-lead-form";
+    form.innerHTML = `
+      <input name="name" class="cb-lead-input" placeholder="${t.leadName}" maxlength="100" required />
+      <input name="email" type="email" class="cb-lead-input" placeholder="${t.leadEmail}" maxlength="254" required />
+      <textarea name="message" class="cb-lead-input" placeholder="${t.leadMessage}" rows="3" maxlength="2000" required></textarea>
+      <input name="website" class="cb-lead-hp" tabindex="-1" autocomplete="off" aria-hidden="true" />
+      <div class="cb-lead-error" aria-live="polite"></div>
+      <button type="submit" class="cb-lead-send">${t.leadSend}</button>
+    `;
+    const error = form.querySelector(".cb-lead-error");
+    const button = form.querySelector(".cb-lead-send");
+
+    form.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const fields = Object.fromEntries(new FormData(form));
+      button.disabled = true;
+      error.textContent = "";
+
+      try {
+        const response = await fetch(`${API_URL}/api/leads`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ ...fields, conversationId: loadConversationId() }),
+        });
+        if (!response.ok) {
+          let body = {};
+          try { body = await response.json(); } catch (_) {}
+          throw new Error(body.error || t.leadFailed);
+        }
+        form.classList.add("cb-lead-form--sent");
+        form.textContent = t.leadThanks(fields.email);
+      } catch (err) {
+        error.textContent = err.message;
+        button.disabled = false;
+      }
+    });
+
+    messages.appendChild(form);
+    form.querySelector("input").focus();
+    scrollToBottom();
+  }
+
+  // ── Quick-reply chips (starter prompts, follow-up suggestions) ──────────
+  function addChips(questions) {
+    const row = document.createElement("div");
+    row.className = "cb-chips";
+    for (const question of questions) {
+      const chip = document.createElement("button");
+      chip.type = "button";
+      chip.className = "cb-chip";
+      chip.textContent = question;
+      chip.addEventListener("click", () => {
+        if (isStreaming) return;
+        input.value = question;
+        sendMessage();
+      });
+      row.appendChild(chip);
+    }
+    messages.appendChild(row);
+    scrollToBottom();
+  }
+
+  // Chips only make sense for the latest reply
+  function clearChips() {
+    messages.querySelectorAll(".cb-chips").forEach((row) => row.remove());
+  }
+
+  // ── Markdown in replies ──────────────────────────────────────────────────
+  // Replies are parsed into a small tree and built with createElement and
+  // textContent: the model's text is never parsed as HTML, so markup in it
+  // shows up as text.  Only MD_TAGS can be created, and links only for
+  // http(s) and mailto URLs.  The whole reply is re-rendered on every chunk,
+  // so an unfinished code block or list shows as it streams in.
+  const MD_TAGS = new Set([
+    "p", "ul", "ol", "li", "blockquote", "pre", "hr", "strong", "em", "del", "code", "a",
+  ]);
+  const MD_BLOCKS = new Set(["P", "UL", "OL", "LI", "BLOCKQUOTE", "PRE"]);
+  const SAFE_PROTOCOLS = new Set(["http:", "https:", "mailto:"]);
+
+  const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)/;
+  const HEADING = /^ {0,3}#{1,6}\s+(.*?)[\s#]*$/;
+  const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+  const QUOTE = /^ {0,3}> ?/;
+  const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])(?:[ \t]+(.*)|$)/;
+
+  function safeUrl(href) {
+    try {
+      const url = new URL(href);
+      return SAFE_PROTOCOLS.has(url.protocol) ? url.href : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  // Unsafe or malformed links are left as plain text
+  function mdLink(href, children) {
+    const url = safeUrl(href);
+    return url ? { type: "a", href: url, children } : null;
+  }
+
+  // Tried in order at each position; `wordStart` rules only after a non-word
+  // character, `link` rules never inside another link
+  const INLINE_RULES = [
+    { pattern: /\\([!-/:-@[-`{-~])/y, node: (m) => ({ type: "text", text: m[1] }) },
+    { pattern: /(`+)(?!`)([\s\S]*?[^`])\1(?!`)/y, node: (m) => ({ type: "code", text: m[2] }) },
+    { pattern: /\*\*(?=\S)([\s\S]*?\S)\*\*/y, wrap: "strong" },
+    { pattern: /__(?=\S)([\s\S]*?\S)__(?![\p{L}\p{N}])/uy, wrap: "strong", wordStart: true },
+    { pattern: /~~(?=\S)([\s\S]*?\S)~~/y, wrap: "del" },
+    { pattern: /\*(?=[^\s*])([\s\S]*?[^\s*])\*/y, wrap: "em" },
+    { pattern: /_(?=[^\s_])([\s\S]*?[^\s_])_(?![\p{L}\p{N}])/uy, wrap: "em", wordStart: true },
+    {
+      pattern: /\[([^\]\n]+)\]\(\s*<?([^\s()<>]+(?:\([^\s()<>]*\))?)>?(?:\s+"[^"\n]*")?\s*\)/y,
+      link: true,
+      node: (m) => mdLink(m[2], parseInline(m[1], true)),
+    },
+    {
+      pattern: /<((?:https?|mailto):[^\s<>]+)>/iy,
+      link: true,
+      node: (m) => mdLink(m[1], [{ type: "text", text: m[1].replace(/^mailto:/i, "") }]),
+    },
+    {
+      pattern: /https?:\/\/[^\s<>]*[^\s<>.,:;!?"'()[\]*_~]/iy,
+      link: true,
+      wordStart: true,
+      node: (m) => mdLink(m[0], [{ type: "text", text: m[0] }]),
+    },
+    {
+      pattern: /[\w.+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/y,
+      link: true,
+      wordStart: true,
+      node: (m) => mdLink(`mailto:${m[0]}`, [{ type: "text", text: m[0] }]),
+    },
+  ];
+
+  function parseInline(text, inLink = false) {
+    const nodes = [];
+    let plain = "";
+    let i = 0;
+
+    next: while (i < text.length) {
+      for (const rule of INLINE_RULES) {
+        if (inLink && rule.link) continue;
+        if (rule.wordStart && i > 0 && /[\p{L}\p{N}_]/u.test(text[i - 1])) continue;
+        rule.pattern.lastIndex = i;
+        const m = rule.pattern.exec(text);
+        if (!m) continue;
+        const node = rule.wrap
+          ? { type: rule.wrap, children: parseInline(m[1], inLink) }
+          : rule.node(m);
+        if (!node) continue;
+        if (plain) nodes.push({ type: "text", text: plain });
+        plain = "";
+        nodes.push(node);
+        i += m[0].length;
+        continue next;
+      }
+      plain += text[i++];
+    }
+    if (plain) nodes.push({ type: "text", text: plain });
+    return nodes;
+  }
+
+  function startsBlock(line) {
+    return [FENCE, HEADING, RULE, QUOTE, LIST_ITEM].some((pattern) => pattern.test(line));
+  }
+
+  // A list and its nested lists (indented two or more spaces); returns the
+  // list and the index of the first line after it
+  function parseList(lines, start) {
+    const first = lines[start].match(LIST_ITEM);
+    const indent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const list = { type: ordered ? "ol" : "ul", start: parseInt(first[2], 10) || 1, children: [] };
+    let item = null;
+    let i = start;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      const m = line.match(LIST_ITEM);
+
+      if (m && m[1].length >= indent + 2 && item) {
+        const [nested, after] = parseList(lines, i);
+        item.lists.push(nested);
+        i = after;
+      } else if (m && m[1].length >= indent && /\d/.test(m[2]) === ordered) {
+        item = { lines: [m[3] || ""], lists: [] };
+        list.children.push(item);
+        i++;
+      } else if (!line.trim()) {
+        // A blank line only continues the list if another item follows
+        const following = lines[i + 1]?.match(LIST_ITEM);
+        if (!following || following[1].length < indent) break;
+        i++;
+      } else if (!m && item && /^\s/.test(line) && !startsBlock(line.trim())) {
+        item.lines.push(line.trim());
+        i++;
+      } else {
+        break;
+      }
+    }
+
+    list.children = list.children.map(({ lines: text, lists }) => ({
+      type: "li",
+      children: [...parseInline(text.join("\n")), ...lists],
+    }));
+    return [list, i];
+  }
+
+  function parseBlocks(lines) {
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      const fence = line.match(FENCE);
+
+      if (fence) {
+        // Runs to the end of the text until the closing fence arrives
+        const close = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`);
+        const code = [];
+        for (i++; i < lines.length && !close.test(lines[i]); i++) code.push(lines[i]);
+        i++;
+        blocks.push({ type: "pre", text: code.join("\n") });
+      } else if (!line.trim()) {
+        i++;
+      } else if (HEADING.test(line)) {
+        const [, text] = line.match(HEADING);
+        blocks.push({ type: "p", children: [{ type: "strong", children: parseInline(text) }] });
+        i++;
+      } else if (RULE.test(line)) {
+        blocks.push({ type: "hr" });
+        i++;
+      } else if (QUOTE.test(line)) {
+        const quoted = [];
+        while (i < lines.length && QUOTE.test(lines[i])) quoted.push(lines[i++].replace(QUOTE, ""));
+        blocks.push({ type: "blockquote", children: parseBlocks(quoted) });
+      } else if (LIST_ITEM.test(line)) {
+        const [list, after] = parseList(lines, i);
+        blocks.push(list);
+        i = after;
+      } else {
+        // Single line breaks are kept — replies are written for a chat window
+        const text = [];
+        while (i < lines.length && lines[i].trim() && (!text.length || !startsBlock(lines[i]))) {
+          text.push(lines[i++].trim());
+        }
+        blocks.push({ type: "p", children: parseInline(text.join("\n")) });
+      }
+    }
+    return blocks;
+  }
+
+  function renderNodes(nodes, parent) {
+    for (const node of nodes) {
+      if (node.type === "text") {
+        node.text.split("\n").forEach((part, i) => {
+          if (i > 0) parent.appendChild(document.createElement("br"));
+          if (part) parent.appendChild(document.createTextNode(part));
+        });
+        continue;
+      }
+      if (!MD_TAGS.has(node.type)) continue;
+
+      const el = document.createElement(node.type);
+      if (node.type === "a") {
+        el.href = node.href;
+        el.target = "_blank";
+        el.rel = "noopener noreferrer";
+      }
+      if (node.type === "ol" && node.start > 1) el.start = node.start;
+
+      if (node.type === "pre") {
+        const code = document.createElement("code");
+        code.textContent = node.text;
+        el.appendChild(code);
+      } else if (node.type === "code") {
+        el.textContent = node.text;
+      } else if (node.children) {
+        renderNodes(node.children, el);
+      }
+      parent.appendChild(el);
+    }
+  }
+
+  // Renders a (possibly partial) reply, with the cursor at the end of the
+  // last line rather than under the last block
+  function renderReply(bubble, text, cursor) {
+    bubble.classList.add("cb-md");
+    bubble.replaceChildren();
+    renderNodes(parseBlocks(text.replace(/\r\n?/g, "\n").split("\n")), bubble);
+    if (!cursor) return;
+
+    let host = bubble;
+    while (host.lastChild?.nodeType === 1 && MD_BLOCKS.has(host.lastChild.tagName)) {
+      host = host.lastChild;
+    }
+    (host.tagName === "PRE" ? host.firstChild : host).appendChild(cursor);
+  }
+
   function scrollToBottom() {
     messages.scrollTop = messages.scrollHeight;
   }
 
+  // ── SSE parsing ──────────────────────────────────────────────────────────
+  // Calls onEvent({ id, event, data }) for each message in the response body.
+  // Comment lines (": ping" heartbeats) are skipped.
+  async function readEvents(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) return;
+
+      buffer += decoder.decode(value, { stream: true });
+      const parts = buffer.split("\n\n");
+      buffer = parts.pop(); // Keep any incomplete trailing chunk
+
+      for (const part of parts) {
+        const message = { id: null, event: "message", data: "" };
+        for (const line of part.split("\n")) {
+          if (!line || line.startsWith(":")) continue;
+          const sep = line.indexOf(":");
+          const field = sep === -1 ? line : line.slice(0, sep);
+          const value = sep === -1 ? "" : line.slice(sep + 1).replace(/^ /, "");
+          if (field === "id") message.id = Number(value);
+          else if (field === "event") message.event = value;
+          else if (field === "data") message.data += value;
+        }
+        if (message.data) onEvent(message);
+      }
+    }
+  }
+
+  // Reads a reply to the end.  If the connection drops before the "done" or
+  // "error" event (e.g. a mobile network switch), reconnects with
+  // Last-Event-ID and carries on from the last event received.
+  async function readReply(response, onEvent, signal) {
+    let lastEventId = 0;
+    let finished = false;
+
+    const track = (message) => {
+      if (message.id) lastEventId = message.id;
+      if (message.event === "done" || message.event === "error") finished = true;
+      onEvent(message.event, JSON.parse(message.data));
+    };
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        if (attempt > 0) {
+          await new Promise((resolve) => setTimeout(resolve, 1000 * attempt));
+          response = await fetch(`${API_URL}/api/chat/streams/${streamId}`, {
+            headers: { "Last-Event-ID": String(lastEventId) },
+            signal,
+          });
+          if (!response.ok) throw new Error("The reply could not be resumed.");
+        }
+        await readEvents(response, track);
+      } catch (err) {
+        // Only dropped connections (TypeError) are retried — not stops or server errors
+        if (!(err instanceof TypeError) || finished || attempt >= MAX_RESUME_ATTEMPTS) throw err;
+        continue;
+      }
+      if (finished) return;
+      if (attempt >= MAX_RESUME_ATTEMPTS) throw new Error("Connection lost.");
+    }
+  }
+
+  // ── Session tokens ───────────────────────────────────────────────────────
+  // Each message needs a single-use token.  The first comes from
+  // /api/session; every chat response carries the next one.
+  async function takeSessionToken(signal) {
+    if (!sessionToken) {
+      const response = await fetch(`${API_URL}/api/session`, { method: "POST", signal });
+      if (!response.ok) throw new Error("Could not start a chat session.");
+      sessionToken = (await response.json()).token;
+    }
+    const token = sessionToken;
+    sessionToken = null;
+    return token;
+  }
+
+  // Proof-of-work for the server's bot check: a nonce whose SHA-256 with the
+  // challenge starts with `difficulty` zero bits
+  async function solveChallenge(challenge, difficulty) {
+    const encoder = new TextEncoder();
+    for (let nonce = 0; ; nonce++) {
+      const answer = `${challenge}:${nonce}`;
+      const hash = new Uint8Array(await crypto.subtle.digest("SHA-256", encoder.encode(answer)));
+      let bits = 0;
+      for (const byte of hash) {
+        bits += byte === 0 ? 8 : Math.clz32(byte) - 24;
+        if (byte !== 0) break;
+      }
+      if (bits >= difficulty) return answer;
+    }
+  }
+
+  // POST /api/chat.  A token that expired (e.g. after a long pause) or was
+  // already used is replaced once, and a bot challenge is solved, transparently.
+  async function postChat(body, signal) {
+    let renewed = false;
+    let solution = null;
+    for (let attempt = 0; attempt < 4; attempt++) {
+      const token = await takeSessionToken(signal);
+      const response = await fetch(`${API_URL}/api/chat`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Session-Token": token,
+          ...(solution ? { "X-Challenge": solution } : {}),
+        },
+        body: JSON.stringify(body),
+        signal,
+      });
+      sessionToken = response.headers.get("X-Session-Token");
+      if (response.status !== 401 && response.status !== 428) return response;
+
+      const { code, challenge, difficulty } = await response.clone().json().catch(() => ({}));
+      if (code?.startsWith("SESSION_TOKEN_") && !renewed) {
+        renewed = true;
+      } else if (code === "CHALLENGE_REQUIRED") {
+        solution = await solveChallenge(challenge, difficulty);
+      } else {
+        return response;
+      }
+    }
+    throw new Error("Request failed.");
+  }
+
   // ── Send message and stream the reply ────────────────────────────────────
   async function sendMessage() {
     const text = input.value.trim();
@@ -120,7 +683,7 @@
     // Reset input
     input.value = "";
     input.style.height = "auto";
-    sendBtn.disabled = true;
+    clearChips();
 
     // Show user bubble
     addBubble("user", text);
@@ -131,66 +694,110 @@
     cursor.className = "cb-cursor";
     assistantBubble.appendChild(cursor);
 
-    isStreaming = true;
+    abortController = new AbortController();
+    setStreaming(true);
+    let requestId = null;
+    let fullText = "";
 
     try {
-      const response = await fetch(`${API_URL}/api/chat`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ message: text }),
-      });
+      const response = await postChat(
+        {
+          message: text,
+          conversationId: loadConversationId(),
+          ...(LOCALE ? { locale } : {}),
+        },
+        abortController.signal
+      );
+      requestId = response.headers.get("X-Request-Id");
 
       if (!response.ok) {
-        let errMsg = "Request failed.";
-        try { errMsg = (await response.json()).error || errMsg; } catch (_) {}
-        throw new Error(errMsg);
-      }
-
-      // Read the SSE stream chunk by chunk
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = "";
-      let fullText = "";
+        let body = {};
+        try { body = await response.json(); } catch (_) {}
 
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
+        // Daily budget used up — show the server's friendly message, not an error
+        if (body.code === "BUDGET_EXCEEDED") {
+          assistantBubble.textContent = body.error;
+          assistantBubble.classList.add("cb-bubble--resting");
+          return;
+        }
+        throw new Error(body.error || "Request failed.");
+      }
 
-        buffer += decoder.decode(value, { stream: true });
-        const parts = buffer.split("\n\n");
-        buffer = parts.pop(); // Keep any incomplete trailing chunk
+      saveConversationId(response.headers.get("X-Conversation-Id"));
+      streamId = response.headers.get("X-Stream-Id");
 
-        for (const part of parts) {
-          if (!part.startsWith("data: ")) continue;
-          let payload;
-          try { payload = JSON.parse(part.slice(6)); } catch (_) { continue; }
+      // Read the SSE stream event by event
+      await readReply(response, (event, payload) => {
+        switch (event) {
+          case "sources":
+            if (payload.sources.length) addSources(assistantBubble, payload.sources);
+            break;
 
-          if (payload.chunk) {
+          case "chunk":
             fullText += payload.chunk;
-            // Update bubble text (cursor stays at the end)
-            assistantBubble.textContent = fullText;
-            assistantBubble.appendChild(cursor);
+            // Re-render the reply so far (cursor stays at the end)
+            renderReply(assistantBubble, fullText, cursor);
             scrollToBottom();
-          }
+            break;
+
+          case "tool":
+            if (payload.status === "running") showToolStatus(assistantBubble, payload.label);
+            else clearToolStatus();
+            break;
+
+          case "replace":
+            // The server stopped this reply — show its replacement instead
+            fullText = payload.reply;
+            renderReply(assistantBubble, fullText, cursor);
+            break;
 
-          if (payload.error) throw new Error(payload.error);
+          case "done":
+            saveConversationId(payload.conversationId);
+            if (payload.resting) assistantBubble.classList.add("cb-bubble--resting");
+            if (payload.leadForm) addLeadForm();
+            break;
+
+          case "suggestions":
+            addChips(payload.suggestions);
+            break;
+
+          case "error":
+            throw new Error(payload.error);
         }
-      }
+      }, abortController.signal);
     } catch (err) {
-      assistantBubble.textContent = "Sorry, something went wrong. Please try again.";
+      // Stopped by the visitor — keep whatever had arrived
+      if (err.name === "AbortError") {
+        renderReply(assistantBubble, fullText || t.stopped);
+        return;
+      }
+
+      // Include a short reference so a reported problem can be found in the server logs
+      assistantBubble.classList.remove("cb-md");
+      assistantBubble.textContent =
+        t.error +
+        (requestId ? ` (ref: ${requestId.slice(0, 8)})` : "");
       assistantBubble.classList.add("cb-bubble--error");
     } finally {
-      // Remove blinking cursor when done
+      // Remove blinking cursor (and any tool status) when done
       cursor.remove();
-      isStreaming = false;
-      sendBtn.disabled = input.value.trim().length === 0;
+      clearToolStatus();
+      streamId = null;
+      setStreaming(false);
       input.focus();
     }
   }
 
   // ── Show the welcome message ──────────────────────────────────────────────
-  addBubble(
-    "assistant",
-    "Hi! I'm James's AI assistant. Ask me anything about his background, skills, or projects."
-  );
+  addBubble("assistant", t.welcome);
+
+  // Starter prompts under the welcome message (skipped if the visitor is faster)
+  fetch(`${API_URL}/api/chat/starters?locale=${locale}`)
+    .then((response) => (response.ok ? response.json() : null))
+    .then((body) => {
+      if (body?.starters?.length && !messages.querySelector(".cb-bubble--user")) {
+        addChips(body.starters);
+      }
+    })
+    .catch(() => {});
 })();
@@ -0,0 +1,54 @@
+/**
+ * scripts/check-guards.js
+ *
+ * Runs the guardrail classifiers (src/services/guard.service.js) against the
+ * fixture suite and reports every mismatch.
+ *
+ * Usage:
+ *   npm run check-guards                       # data/guard-fixtures.json
+ *   npm run check-guards -- ./my-fixtures.json # or another fixture file
+ *
+ * Fixtures are { "input": [...], "output": [...] } lists of
+ * { "text": "…", "expect": "<category>" | null }.  Output fixtures are
+ * checked against the active profile (PROFILE_PATH), so keep them in sync
+ * with its rules and contact details.
+ *
+ * Exits with status 1 if any fixture fails, so it can gate a deploy.
+ */
+
+require("dotenv").config();
+
+const fs = require("fs");
+const path = require("path");
+const { classifyInput, classifyOutput } = require("../src/services/guard.service");
+
+const FIXTURES_PATH = path.resolve(
+  process.argv[2] || path.join(__dirname, "../data/guard-fixtures.json")
+);
+
+function main() {
+  const fixtures = JSON.parse(fs.readFileSync(FIXTURES_PATH, "utf8"));
+  const suites = [
+    ["input", fixtures.input || [], classifyInput],
+    ["output", fixtures.output || [], (text) => classifyOutput(text)],
+  ];
+
+  let total = 0;
+  let failed = 0;
+
+  for (const [name, cases, classify] of suites) {
+    for (const { text, expect } of cases) {
+      total += 1;
+      const actual = classify(text);
+      if (actual !== expect) {
+        failed += 1;
+        console.log(`[guards] FAIL ${name}: expected ${expect}, got ${actual}\n         ${JSON.stringify(text)}`);
+      }
+    }
+  }
+
+  console.log(`[guards] ${total - failed}/${total} fixture(s) passed (${FIXTURES_PATH})`);
+  if (failed > 0) process.exit(1);
+}
+
+main();
@@ -0,0 +1,145 @@
+/**
+ * scripts/eval-stub.js
+ *
+ * A tiny OpenAI-compatible chat completions server that answers from the
+ * persona eval fixtures (data/eval-fixtures.json), so `npm run eval -- --stub`
+ * runs offline and costs nothing.  Each fixture's "stub" text is returned for
+ * its question; any other question gets a generic "not in the profile"
+ * answer, or a polite refusal when the input guard steered the turn.
+ *
+ * It checks the pipeline around the model (guards, markers, length limits,
+ * the report itself), not the model: real answers need a real provider.
+ *
+ * Usage:
+ *   npm run eval-stub                       # port 4010, data/eval-fixtures.json
+ *   npm run eval-stub -- 4011 ./my.json     # or another port / fixture file
+ *
+ * Then point the assistant at it with
+ *   LLM_PROVIDERS=openai OPENAI_API_KEY=stub OPENAI_BASE_URL=http://127.0.0.1:4010/v1
+ */
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const DEFAULT_FIXTURES = path.join(__dirname, "../data/eval-fixtures.json");
+
+const UNKNOWN_REPLY = "I don't have that information in the profile, sorry.";
+const REDIRECT_REPLY =
+  "Sorry — I can only help with questions about the portfolio owner's work. " +
+  "Would you like to hear about their projects instead?";
+
+// Rough count, good enough for usage numbers nobody is billed for
+const _tokens = (text) => Math.ceil(String(text || "").length / 4);
+
+/**
+ * Picks the canned reply for a chat completion request.
+ * @param {Map<string, string>} replies - Question → reply.
+ * @param {Array<{ role: string, content: string }>} messages
+ * @returns {string}
+ */
+function _replyFor(replies, messages) {
+  const question = [...messages].reverse().find((m) => m.role === "user");
+  const key = String(question?.content || "").trim().toLowerCase();
+  if (replies.has(key)) return replies.get(key);
+
+  const steered = messages.some(
+    (m) => m.role === "system" && String(m.content).startsWith("GUARD NOTICE")
+  );
+  return steered ? REDIRECT_REPLY : UNKNOWN_REPLY;
+}
+
+/**
+ * Starts the stub.
+ * @param {Array<{ question: string, stub?: string }>} cases - Eval fixture cases.
+ * @param {number} [port] - 0 picks a free port.
+ * @returns {Promise<{ server: import("http").Server, baseURL: string }>}
+ */
+function startEvalStub(cases, port = 0) {
+  const replies = new Map(
+    cases
+      .filter((c) => typeof c.stub === "string")
+      .map((c) => [c.question.trim().toLowerCase(), c.stub])
+  );
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== "POST" || !req.url.endsWith("/chat/completions")) {
+      res.writeHead(404, { "Content-Type": "application/json" });
+      return res.end(JSON.stringify({ error: { message: "Not found" } }));
+    }
+
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      let body;
+      try {
+        body = JSON.parse(raw);
+      } catch {
+        res.writeHead(400, { "Content-Type": "application/json" });
+        return res.end(JSON.stringify({ error: { message: "Invalid JSON" } }));
+      }
+
+      const messages = Array.isArray(body.messages) ? body.messages : [];
+      const reply = _replyFor(replies, messages);
+      const promptTokens = messages.reduce((sum, m) => sum + _tokens(m.content), 0);
+      const usage = {
+        prompt_tokens: promptTokens,
+        completion_tokens: _tokens(reply),
+        total_tokens: promptTokens + _tokens(reply),
+      };
+      const base = {
+        id: `chatcmpl-stub-${Date.now()}`,
+        created: Math.floor(Date.now() / 1000),
+        model: body.model || "stub",
+      };
+
+      if (!body.stream) {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        return res.end(
+          JSON.stringify({
+            ...base,
+            object: "chat.completion",
+            choices: [
+              { index: 0, message: { role: "assistant", content: reply }, finish_reason: "stop" },
+            ],
+            usage,
+          })
+        );
+      }
+
+      res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache" });
+      const send = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+      const chunk = (delta, finishReason = null) =>
+        send({
+          ...base,
+          object: "chat.completion.chunk",
+          choices: [{ index: 0, delta, finish_reason: finishReason }],
+        });
+
+      // Word by word, like a real model
+      for (const word of reply.split(/(?<= )/)) chunk({ content: word });
+      chunk({}, "stop");
+      send({ ...base, object: "chat.completion.chunk", choices: [], usage });
+      res.end("data: [DONE]\n\n");
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", () => {
+      resolve({ server, baseURL: `http://127.0.0.1:${server.address().port}/v1` });
+    });
+  });
+}
+
+module.exports = { startEvalStub };
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2], 10) || 4010;
+  const fixturesPath = path.resolve(process.argv[3] || DEFAULT_FIXTURES);
+  const { cases = [] } = JSON.parse(fs.readFileSync(fixturesPath, "utf8"));
+
+  startEvalStub(cases, port).then(({ baseURL }) => {
+    console.log(`[eval-stub] Listening on ${baseURL} (${cases.length} case(s) from ${fixturesPath})`);
+  });
+}
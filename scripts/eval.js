@@ -0,0 +1,279 @@
+/**
+ * scripts/eval.js
+ *
+ * Replays golden visitor questions through the assistant and checks the
+ * answers, so a profile edit or a model switch that starts inventing facts
+ * or answering off-topic questions shows up before it ships.
+ *
+ * Usage:
+ *   npm run eval                                # data/eval-fixtures.json, configured providers
+ *   npm run eval -- --stub                      # offline, against scripts/eval-stub.js
+ *   npm run eval -- ./my-fixtures.json --tenant=acme
+ *
+ * Each case is asked like a chat turn: through the input guard, then
+ * streamAIReply (ai.service.js) with the output guard.  Cases are
+ *   { "id": "skills", "question": "…", "history"?: [...], "locale"?: "fil",
+ *     "mustInclude"?: ["React", ["Node", "Express"]],  // an inner list means "any of"
+ *     "mustNotInclude"?: ["Python"],
+ *     "expect"?: "answer" | "refusal",                  // default "answer"
+ *     "maxLength"?: 600,                                // characters
+ *     "stub"?: "…" }                                    // what eval-stub.js replies
+ * Matching is case-insensitive.  A reply counts as a refusal when a guard
+ * refused it or it matches one of the file's "refusalPatterns" (regular
+ * expressions; a default set is used otherwise).
+ *
+ * Results are saved to EVAL_RESULTS_PATH (default storage/eval-results.json)
+ * and the report lists what changed since the previous run.  Exits with
+ * status 1 if any case fails, so it can gate a deploy.
+ */
+
+require("dotenv").config();
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startEvalStub } = require("./eval-stub");
+
+const args = process.argv.slice(2);
+const FIXTURES_PATH = path.resolve(
+  args.find((a) => !a.startsWith("--")) || path.join(__dirname, "../data/eval-fixtures.json")
+);
+const USE_STUB = args.includes("--stub");
+const TENANT_ID = args.find((a) => a.startsWith("--tenant="))?.slice("--tenant=".length);
+const RESULTS_PATH = path.resolve(
+  process.env.EVAL_RESULTS_PATH || path.join(__dirname, "../storage/eval-results.json")
+);
+
+const DEFAULT_REFUSAL_PATTERNS = [
+  "\\bonly (help|answer|assist|talk)\\b",
+  "\\b(can(no|')t|unable to|not able to) (help|answer|assist)\\b",
+  "\\boutside (of )?(what|my)\\b",
+];
+
+/**
+ * A result-file entry for one case.
+ * @typedef {object} CaseResult
+ * @property {boolean} pass
+ * @property {string[]} failures
+ * @property {string} reply
+ * @property {string} provider
+ * @property {string|null} model
+ */
+
+/**
+ * Loads and sanity-checks the fixture file.
+ * @returns {{ cases: object[], refusalPatterns: RegExp[] }}
+ */
+function _loadFixtures() {
+  const fixtures = JSON.parse(fs.readFileSync(FIXTURES_PATH, "utf8"));
+  const cases = fixtures.cases || [];
+  const ids = new Set();
+
+  for (const [i, c] of cases.entries()) {
+    if (!c.id || typeof c.question !== "string") {
+      throw new Error(`Case #${i + 1} needs an "id" and a "question".`);
+    }
+    if (ids.has(c.id)) throw new Error(`Duplicate case id "${c.id}".`);
+    if (c.expect && !["answer", "refusal"].includes(c.expect)) {
+      throw new Error(`Case "${c.id}": "expect" must be "answer" or "refusal".`);
+    }
+    ids.add(c.id);
+  }
+
+  const patterns = fixtures.refusalPatterns || DEFAULT_REFUSAL_PATTERNS;
+  return { cases, refusalPatterns: patterns.map((p) => new RegExp(p, "i")) };
+}
+
+/**
+ * Collects the events of one reply (a ReplyStream without a client).
+ * @returns {import("../src/services/stream.service").ReplyStream}
+ */
+function _createSink() {
+  return {
+    id: null,
+    signal: new AbortController().signal,
+    send() {},
+    end() {},
+    cancel() {},
+    attach() {},
+  };
+}
+
+/**
+ * Asks one case the way chat.service.js would (minus cache, budget and
+ * transcripts).
+ * @param {object} c
+ * @param {object} services
+ * @param {string} tenantId
+ * @param {string} [chain]
+ * @returns {Promise<{ reply: string, provider: string, model: string|null, guarded?: string }>}
+ */
+async function _ask(c, { guard, language, ai }, tenantId, chain) {
+  const history = c.history || [];
+  const verdict = guard.checkInput(c.question, undefined, tenantId);
+  const replyLanguage = language.resolveLanguage({
+    requested: language.normalizeLocale(c.locale),
+    message: c.question,
+    history,
+  });
+
+  if (verdict?.action === "refuse") {
+    return {
+      reply: guard.refusalText(tenantId, replyLanguage.locale),
+      provider: "guard",
+      model: null,
+      guarded: verdict.category,
+    };
+  }
+
+  return ai.streamAIReply(c.question, _createSink(), {
+    history,
+    tenantId,
+    chain,
+    instructions:
+      verdict?.action === "redirect"
+        ? guard.redirectInstruction(verdict.category, tenantId, replyLanguage.locale)
+        : undefined,
+    guard: guard.createOutputGuard(undefined, tenantId),
+    language: replyLanguage,
+  });
+}
+
+/**
+ * Checks a reply against a case's expectations.
+ * @param {object} c
+ * @param {{ reply: string, guarded?: string }} result
+ * @param {RegExp[]} refusalPatterns
+ * @returns {string[]} Failure reasons; empty when the case passed.
+ */
+function _check(c, { reply, guarded }, refusalPatterns) {
+  const failures = [];
+  const text = reply.toLowerCase();
+  const refused = Boolean(guarded) || refusalPatterns.some((p) => p.test(reply));
+
+  for (const expected of c.mustInclude || []) {
+    const options = [].concat(expected);
+    if (!options.some((o) => text.includes(o.toLowerCase()))) {
+      failures.push(`missing ${options.map((o) => JSON.stringify(o)).join(" or ")}`);
+    }
+  }
+  for (const forbidden of c.mustNotInclude || []) {
+    if (text.includes(forbidden.toLowerCase())) failures.push(`contains ${JSON.stringify(forbidden)}`);
+  }
+  if ((c.expect || "answer") === "refusal" && !refused) failures.push("expected a refusal");
+  if ((c.expect || "answer") === "answer" && refused) failures.push("refused an on-topic question");
+  if (c.maxLength && reply.length > c.maxLength) {
+    failures.push(`${reply.length} characters (max ${c.maxLength})`);
+  }
+  return failures;
+}
+
+/**
+ * Prints what changed since the previous run.
+ * @param {{ ranAt: string, results: Object<string, CaseResult> }|null} previous
+ * @param {Object<string, CaseResult>} results
+ */
+function _printDiff(previous, results) {
+  if (!previous) {
+    console.log(`[eval] No previous run to compare with (${RESULTS_PATH})`);
+    return;
+  }
+
+  const before = previous.results || {};
+  const ids = Object.keys(results);
+  const groups = [
+    ["newly failing", ids.filter((id) => before[id]?.pass && !results[id].pass)],
+    ["fixed", ids.filter((id) => before[id] && !before[id].pass && results[id].pass)],
+    ["reply changed", ids.filter((id) => before[id] && before[id].reply !== results[id].reply)],
+    ["new", ids.filter((id) => !before[id])],
+    ["removed", Object.keys(before).filter((id) => !results[id])],
+  ];
+
+  console.log(`[eval] Compared with the run of ${previous.ranAt}:`);
+  for (const [label, list] of groups) {
+    console.log(`         ${`${label}:`.padEnd(15)}${list.length ? list.join(", ") : "—"}`);
+  }
+}
+
+async function main() {
+  const { cases, refusalPatterns } = _loadFixtures();
+
+  let stub = null;
+  if (USE_STUB) {
+    stub = await startEvalStub(cases);
+    process.env.OPENAI_API_KEY = "eval-stub";
+    process.env.OPENAI_BASE_URL = stub.baseURL;
+    // Stub replies must not show up in the usage stats
+    process.env.USAGE_LOG_PATH = os.devNull;
+  }
+
+  // Required only now: services read their settings when loaded
+  const services = {
+    guard: require("../src/services/guard.service"),
+    language: require("../src/services/language.service"),
+    ai: require("../src/services/ai.service"),
+  };
+  const { getTenant, getDefaultTenant } = require("../src/services/tenant.service");
+
+  const tenant = TENANT_ID ? getTenant(TENANT_ID) : getDefaultTenant();
+  if (!tenant) throw new Error(`Unknown tenant "${TENANT_ID}".`);
+  // The stub only stands in for an OpenAI-compatible provider
+  const chain = USE_STUB ? "openai" : undefined;
+
+  /** @type {Object<string, CaseResult>} */
+  const results = {};
+  let failed = 0;
+
+  for (const c of cases) {
+    let result;
+    let failures;
+    try {
+      result = await _ask(c, services, tenant.id, chain);
+      failures = _check(c, result, refusalPatterns);
+    } catch (err) {
+      result = { reply: "", provider: "error", model: null };
+      failures = [`error: ${err.message}`];
+    }
+
+    const pass = failures.length === 0;
+    if (!pass) failed += 1;
+    results[c.id] = { pass, failures, reply: result.reply, provider: result.provider, model: result.model };
+
+    const via = result.model ? `${result.provider}:${result.model}` : result.provider;
+    console.log(`[eval] ${pass ? "PASS" : "FAIL"} ${c.id} (${via})`);
+    for (const reason of failures) console.log(`         - ${reason}`);
+    if (!pass && result.reply) console.log(`         reply: ${JSON.stringify(result.reply)}`);
+  }
+
+  console.log(
+    `[eval] ${cases.length - failed}/${cases.length} case(s) passed ` +
+      `(${FIXTURES_PATH}, tenant ${tenant.id}${USE_STUB ? ", stub" : ""})`
+  );
+
+  let previous = null;
+  try {
+    previous = JSON.parse(fs.readFileSync(RESULTS_PATH, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") console.warn(`[eval] Could not read ${RESULTS_PATH}: ${err.message}`);
+  }
+  _printDiff(previous, results);
+
+  fs.mkdirSync(path.dirname(RESULTS_PATH), { recursive: true });
+  fs.writeFileSync(
+    RESULTS_PATH,
+    JSON.stringify(
+      { ranAt: new Date().toISOString(), fixtures: FIXTURES_PATH, tenant: tenant.id, stub: USE_STUB, results },
+      null,
+      2
+    ) + "\n"
+  );
+
+  stub?.server.close();
+  // Profile watchers and log timers would keep the process alive
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((err) => {
+  console.error(`[eval] ${err.message}`);
+  process.exit(1);
+});
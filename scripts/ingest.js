@@ -0,0 +1,135 @@
+/**
+ * scripts/ingest.js
+ *
+ * Builds the local retrieval index from the portfolio document corpus.
+ *
+ * Usage:
+ *   npm run ingest                       # reads RAG_CORPUS_DIR (default data/corpus)
+ *   npm run ingest -- ./my-docs          # or an explicit directory
+ *   npm run ingest -- --tenant=maria     # a tenant's "ragCorpus" into its "ragIndex"
+ *
+ * Picks up .md, .markdown and .txt files recursively.  For PDFs (e.g. the
+ * résumé), extract the text first — `pdftotext resume.pdf resume.txt` — and
+ * drop the .txt into the corpus.
+ *
+ * The index is written to RAG_INDEX_PATH (default storage/rag-index.json), or
+ * the tenant's "ragIndex" with --tenant, and picked up by the running server
+ * without a restart.  Ingest fails, without
+ * writing the index, if a chunk comes out larger than CHUNK_SIZE — one such
+ * chunk would crowd the others out of the prompt.
+ */
+
+require("dotenv").config();
+
+const fs = require("fs");
+const path = require("path");
+const {
+  buildIndex,
+  INDEX_PATH,
+  CORPUS_DIR,
+  CHUNK_SIZE,
+} = require("../src/services/retrieval.service");
+const { getTenant } = require("../src/services/tenant.service");
+
+const args = process.argv.slice(2);
+const DIR_ARG = args.find((a) => !a.startsWith("--"));
+const TENANT_ID = args.find((a) => a.startsWith("--tenant="))?.slice("--tenant=".length);
+const EXTENSIONS = new Set([".md", ".markdown", ".txt"]);
+
+/**
+ * Recursively lists corpus files, skipping dotfiles.
+ * @param {string} dir
+ * @returns {string[]}
+ */
+function listFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    if (entry.name.startsWith(".")) return [];
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listFiles(full);
+    return EXTENSIONS.has(path.extname(entry.name).toLowerCase()) ? [full] : [];
+  });
+}
+
+/**
+ * Derives a human-friendly title, e.g. "DataLens README" for datalens/README.md.
+ * @param {string} file
+ * @param {string} text
+ * @returns {string}
+ */
+function titleFor(file, text) {
+  const h1 = text.match(/^#\s+(.+)$/m);
+  const base = path.basename(file, path.extname(file));
+
+  if (base.toLowerCase() === "readme") {
+    const name = h1 ? h1[1].trim() : path.basename(path.dirname(file));
+    return `${name} README`;
+  }
+  return h1 ? h1[1].trim() : base.replace(/[-_]+/g, " ");
+}
+
+/**
+ * Where to read documents from and write the index to.
+ * @returns {{ corpusDir: string, indexPath: string }}
+ */
+function resolvePaths() {
+  if (!TENANT_ID) {
+    return { corpusDir: path.resolve(DIR_ARG || CORPUS_DIR), indexPath: INDEX_PATH };
+  }
+
+  const tenant = getTenant(TENANT_ID);
+  if (!tenant) throw new Error(`Unknown tenant "${TENANT_ID}".`);
+  if (!tenant.ragIndex) {
+    throw new Error(`Tenant "${tenant.id}" has no "ragIndex" — set one in the tenants file.`);
+  }
+  const corpusDir = DIR_ARG ? path.resolve(DIR_ARG) : tenant.ragCorpus;
+  if (!corpusDir) {
+    throw new Error(
+      `Tenant "${tenant.id}" has no "ragCorpus" — set one in the tenants file or pass a directory.`
+    );
+  }
+  return { corpusDir, indexPath: tenant.ragIndex };
+}
+
+function main() {
+  let corpusDir;
+  let indexPath;
+  try {
+    ({ corpusDir, indexPath } = resolvePaths());
+  } catch (err) {
+    console.error(`[ingest] ${err.message}`);
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(corpusDir)) {
+    console.error(`[ingest] Corpus directory not found: ${corpusDir}`);
+    process.exit(1);
+  }
+
+  const documents = listFiles(corpusDir).map((file) => {
+    const text = fs.readFileSync(file, "utf8");
+    return {
+      title: titleFor(file, text),
+      source: path.relative(corpusDir, file).split(path.sep).join("/"),
+      text,
+    };
+  });
+
+  const index = buildIndex(documents);
+
+  const oversized = index.chunks.filter((c) => c.text.length > CHUNK_SIZE);
+  if (oversized.length) {
+    for (const c of oversized) {
+      console.error(`[ingest] Chunk ${c.id} has ${c.text.length} characters (max ${CHUNK_SIZE})`);
+    }
+    process.exit(1);
+  }
+
+  fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+  fs.writeFileSync(indexPath, JSON.stringify(index));
+
+  console.log(
+    `[ingest] Indexed ${documents.length} document(s) into ${index.chunks.length} chunk(s) → ${indexPath}`
+  );
+}
+
+main();
@@ -0,0 +1,93 @@
+/**
+ * scripts/resp-server.js
+ *
+ * A tiny in-memory server speaking the Redis protocol — just the commands the
+ * rate-limit store uses (PING, AUTH, SELECT, GET, INCRBY, PEXPIRE, PTTL, DEL,
+ * FLUSHALL).  Lets you try RATE_LIMIT_STORE=redis, or share limits between a
+ * few local instances, without installing Redis.  Not for production: data
+ * lives in this process only.
+ *
+ * Usage:
+ *   npm run resp-server              # port 6379
+ *   npm run resp-server -- 6380      # or another port
+ *
+ * Then start the assistant with
+ *   RATE_LIMIT_STORE=redis RATE_LIMIT_REDIS_URL=redis://localhost:6380
+ */
+
+const net = require("net");
+const { parseResp } = require("../src/services/ratelimit/redis.store");
+
+const PORT = parseInt(process.argv[2], 10) || 6379;
+
+// key → { value: string, expiresAt: number|null }
+const data = new Map();
+
+const simple = (s) => `+${s}\r\n`;
+const integer = (n) => `:${n}\r\n`;
+const bulk = (s) => (s === null ? "$-1\r\n" : `$${Buffer.byteLength(s)}\r\n${s}\r\n`);
+const error = (s) => `-ERR ${s}\r\n`;
+
+function live(key) {
+  const entry = data.get(key);
+  if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+    data.delete(key);
+    return null;
+  }
+  return entry || null;
+}
+
+const COMMANDS = {
+  PING: () => simple("PONG"),
+  AUTH: () => simple("OK"),
+  SELECT: () => simple("OK"),
+  GET: ([key]) => bulk(live(key)?.value ?? null),
+  INCRBY: ([key, amount]) => {
+    const entry = live(key) || { value: "0", expiresAt: null };
+    const next = parseInt(entry.value, 10) + parseInt(amount, 10);
+    if (!Number.isFinite(next)) return error("value is not an integer or out of range");
+    entry.value = String(next);
+    data.set(key, entry);
+    return integer(next);
+  },
+  PEXPIRE: ([key, ms]) => {
+    const entry = live(key);
+    if (!entry) return integer(0);
+    entry.expiresAt = Date.now() + parseInt(ms, 10);
+    return integer(1);
+  },
+  PTTL: ([key]) => {
+    const entry = live(key);
+    if (!entry) return integer(-2);
+    return integer(entry.expiresAt === null ? -1 : entry.expiresAt - Date.now());
+  },
+  DEL: (keys) => integer(keys.filter((key) => data.delete(key)).length),
+  FLUSHALL: () => {
+    data.clear();
+    return simple("OK");
+  },
+};
+
+const server = net.createServer((socket) => {
+  let buffer = Buffer.alloc(0);
+
+  socket.on("data", (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    let request;
+    try {
+      while ((request = parseResp(buffer))) {
+        buffer = buffer.subarray(request.end);
+        const [name = "", ...args] = Array.isArray(request.value) ? request.value : [];
+        const command = COMMANDS[String(name).toUpperCase()];
+        socket.write(command ? command(args) : error(`unknown command '${name}'`));
+      }
+    } catch (err) {
+      socket.end(error(err.message));
+    }
+  });
+  socket.on("error", () => {});
+});
+
+server.listen(PORT, () => {
+  console.log(`[resp-server] Listening on port ${PORT} (in memory)`);
+});
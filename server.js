@@ -3,6 +3,8 @@
  *
  * Application entry point.
  * Wires together Express, middleware, routes, and starts the HTTP server.
+ * On SIGTERM / SIGINT it drains: new chats are refused, running replies get
+ * SHUTDOWN_GRACE_SECONDS to finish (see shutdown.service.js), then it exits.
  */
 
 require("dotenv").config();
@@ -11,39 +13,114 @@ const express = require("express");
 const cors = require("cors");
 const corsOptions = require("./src/config/cors.config");
 const chatRoutes = require("./src/routes/chat.routes");
+const adminRoutes = require("./src/routes/admin.routes");
+const leadRoutes = require("./src/routes/lead.routes");
+const sessionRoutes = require("./src/routes/session.routes");
+const completionsRoutes = require("./src/routes/completions.routes");
+const healthRoutes = require("./src/routes/health.routes");
 const loggerMiddleware = require("./src/middleware/logger.middleware");
-const errorMiddleware = require("./src/middleware/error.middleware");
-const { getTokenStats } = require("./src/services/ai.service");
+const { errorMiddleware } = require("./src/middleware/error.middleware");
+const { resolveTenant } = require("./src/middleware/tenant.middleware");
+const { metricsAuth } = require("./src/middleware/auth.middleware");
+const { renderMetrics } = require("./src/services/metrics.service");
+const { loadUsageHistory, getUsageStats, estimateCost } = require("./src/services/usage.service");
+const { getBudgetState } = require("./src/services/budget.service");
+const { getGuardStats } = require("./src/services/guard.service");
+const { getCacheStats } = require("./src/services/cache.service");
+const { startTranscriptRetention } = require("./src/services/transcript.service");
+const { loadPersona, watchPersona } = require("./src/services/persona.service");
+const { getProviderChain } = require("./src/services/llm.service");
+const { loadTenants, getTenants, isMultiTenant } = require("./src/services/tenant.service");
+const { drain, isDraining } = require("./src/services/shutdown.service");
+const { closeStore } = require("./src/services/ratelimit");
 
-// ── Validate required environment variables at startup ─────────────────────
-if (!process.env.OPENAI_API_KEY) {
-  console.error("[FATAL] OPENAI_API_KEY is not set. Check your .env file.");
+// ── Load the tenants (data/tenants.json, or one tenant from .env) ──────────
+try {
+  loadTenants();
+} catch (err) {
+  console.error("[FATAL] Could not load the tenants file.", err.message);
   process.exit(1);
 }
 
+// ── Validate each tenant's AI provider chain at startup ────────────────────
+const chains = new Map();
+for (const tenant of getTenants()) {
+  const { providers, errors: providerErrors } = getProviderChain(tenant.providers);
+  const label = isMultiTenant() ? ` for "${tenant.id}"` : "";
+  for (const message of providerErrors) {
+    console.error(`[${providers.length ? "WARN" : "FATAL"}] Provider skipped${label} — ${message}`);
+  }
+  if (providers.length === 0) {
+    console.error(
+      `[FATAL] No usable AI provider${label}. Check LLM_PROVIDERS` +
+        (isMultiTenant() ? ", the tenant's \"providers\"" : "") +
+        " and your .env file."
+    );
+    process.exit(1);
+  }
+  chains.set(tenant.id, providers);
+}
+
+// ── Load the owner profiles (compiled into the system prompts) ─────────────
+try {
+  loadPersona();
+} catch (err) {
+  console.error("[FATAL] Could not load the owner profile.", err.message);
+  process.exit(1);
+}
+watchPersona();
+
+// ── Replay persisted token usage so stats survive restarts ─────────────────
+loadUsageHistory();
+
+// ── Purge transcripts past their retention period (no-op unless enabled) ──
+startTranscriptRetention();
+
 // ── App setup ──────────────────────────────────────────────────────────────
 const app = express();
 const PORT = process.env.PORT || 3000;
+// Render and Railway wait 30 s after SIGTERM before killing the process
+const SHUTDOWN_GRACE_MS = (parseInt(process.env.SHUTDOWN_GRACE_SECONDS, 10) || 25) * 1000;
 
 // Trust the first proxy when deployed behind Render / Railway / Vercel etc.
 // Required for express-rate-limit to read the real client IP.
 app.set("trust proxy", 1);
 
 // ── Global middleware ──────────────────────────────────────────────────────
+app.use(loggerMiddleware);                // Request ids + structured access logging
 app.use(cors(corsOptions));               // CORS
 app.use(express.json({ limit: "10kb" })); // Parse JSON bodies (hard limit)
-app.use(loggerMiddleware);                // Structured access logging
 
 // ── Routes ─────────────────────────────────────────────────────────────────
+app.use("/api/session", sessionRoutes);
 app.use("/api/chat", chatRoutes);
+app.use("/api/leads", leadRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/v1", completionsRoutes); // OpenAI-compatible
 
-// Token usage stats — in-memory snapshot (resets on restart)
-app.get("/api/stats", (_req, res) => {
-  res.json(getTokenStats());
-});
+// Public token usage stats — opt-in; the same data is always at /api/admin/stats.
+// Everything is the requesting tenant's (site id or origin) only.
+if (process.env.PUBLIC_STATS === "true") {
+  app.get("/api/stats", resolveTenant, (req, res) => {
+    const tenant = req.tenant.id;
+    res.json({
+      ...getUsageStats({ tenant }),
+      budget: getBudgetState({ tenant }),
+      guard: getGuardStats({ tenant }),
+      cache: getCacheStats({ tenant }),
+    });
+  });
+}
 
-// Health-check endpoint — useful for platform uptime monitors
-app.get("/health", (_req, res) => res.json({ status: "ok" }));
+// Prometheus metrics — opt-in; protect with METRICS_TOKEN when publicly reachable
+if (process.env.METRICS_ENABLED === "true") {
+  app.get("/metrics", metricsAuth, (_req, res) => {
+    res.type("text/plain; version=0.0.4").send(renderMetrics());
+  });
+}
+
+// Liveness, readiness and the deep check — for platform probes and uptime monitors
+app.use("/health", healthRoutes);
 
 // 404 for anything not matched above
 app.use((_req, res) => {
@@ -54,7 +131,50 @@ app.use((_req, res) => {
 app.use(errorMiddleware);
 
 // ── Start server ───────────────────────────────────────────────────────────
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`[server] James's AI assistant running on port ${PORT}`);
-  console.log(`[server] Allowed origin(s): ${process.env.FRONTEND_URL}`);
+  for (const tenant of getTenants()) {
+    const label = isMultiTenant() ? ` [${tenant.id}]` : "";
+    const chain = chains.get(tenant.id).map((p) => `${p.name}/${p.model}`).join(" → ");
+    console.log(`[server]${label} Allowed origin(s): ${tenant.origins.join(", ")}`);
+    console.log(`[server]${label} Provider chain: ${chain}`);
+
+    // Otherwise their cost silently reads 0 in /api/stats and the spend budget
+    for (const p of chains.get(tenant.id)) {
+      if (estimateCost(p.name, p.model, {}) === null) {
+        console.warn(
+          `[server]${label} No price for ${p.name}/${p.model} in PRICE_TABLE_PATH — ` +
+            "its requests count as unpricedRequests, with no cost"
+        );
+      }
+    }
+  }
 });
+
+// ── Graceful shutdown ──────────────────────────────────────────────────────
+async function shutdown(signal) {
+  // A second Ctrl+C doesn't wait
+  if (isDraining()) process.exit(1);
+
+  console.log(
+    `[server] ${signal} received — finishing active replies (up to ${SHUTDOWN_GRACE_MS / 1000}s)`
+  );
+  // Still listening meanwhile: readiness and new chats answer 503
+  const { finished, cancelled } = await drain(SHUTDOWN_GRACE_MS);
+  console.log(`[server] Replies finished: ${finished}, cancelled: ${cancelled}`);
+
+  // Give the last responses a moment to flush, then drop what's left
+  const closed = new Promise((resolve) => server.close(resolve));
+  await Promise.race([closed, new Promise((resolve) => setTimeout(resolve, 2000))]);
+  server.closeAllConnections();
+
+  try {
+    await closeStore();
+  } catch (err) {
+    console.error("[server] Could not close the rate-limit store:", err.message);
+  }
+  process.exit(0);
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
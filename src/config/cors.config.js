@@ -1,27 +1,31 @@
 /**
  * src/config/cors.config.js
  *
- * Builds a CORS options object from FRONTEND_URL.
- * Supports a single origin or a comma-separated list.
+ * Builds a CORS options object from the tenants' allowed origins
+ * (tenant.service.js) — FRONTEND_URL when there is a single tenant.
+ * FRONTEND_URL supports a single origin or a comma-separated list.
+ *
+ * CORS only stops browsers on other sites from reading responses; the chat
+ * endpoints also require a session token or server key (auth.middleware.js).
  */
 
-const allowedOrigins = (process.env.FRONTEND_URL || "http://localhost:5173")
-  .split(",")
-  .map((o) => o.trim());
+const { isAllowedOrigin } = require("../services/tenant.service");
 
 const corsOptions = {
   origin: (origin, callback) => {
-    // Allow requests with no origin (e.g. curl, Postman, server-to-server)
+    // Allow requests with no origin (e.g. curl, Postman, server-to-server) —
+    // chat still needs a server key for those
     if (!origin) return callback(null, true);
 
-    if (allowedOrigins.includes(origin)) {
+    if (isAllowedOrigin(origin)) {
       callback(null, true);
     } else {
       callback(new Error(`CORS: origin '${origin}' is not allowed`));
     }
   },
-  methods: ["POST", "OPTIONS"],
-  allowedHeaders: ["Content-Type"],
+  methods: ["GET", "POST", "DELETE", "OPTIONS"],
+  allowedHeaders: ["Content-Type", "X-Request-Id", "Last-Event-ID", "X-Site-Id", "X-Session-Token", "X-Challenge"],
+  exposedHeaders: ["X-Conversation-Id", "X-Request-Id", "X-Stream-Id", "X-Session-Token"],
   optionsSuccessStatus: 200,
 };
 
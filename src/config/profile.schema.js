@@ -0,0 +1,90 @@
+/**
+ * src/config/profile.schema.js
+ *
+ * Schema for the owner profile (data/profile.json) and a dependency-free
+ * validator for it.
+ *
+ * Shape:
+ *   {
+ *     "name":     "James",                                  — required
+ *     "headline": "a full-stack software developer",        — required
+ *     "facts":    { "Label": "value", ... },                — optional
+ *     "skills":   ["JavaScript", ...],                      — required, non-empty
+ *     "projects": [{ "name", "description", "stack"?, "url"? }], — required
+ *     "contact":  { "Email": "...", "GitHub": "..." },      — required, non-empty
+ *     "rules":    ["Behaviour rule", ...]                   — required, non-empty
+ *     "starters": ["What has James built?", ...]            — optional, up to 4 used
+ *   }
+ */
+
+const isString = (v) => typeof v === "string" && v.trim().length > 0;
+const isStringArray = (v) => Array.isArray(v) && v.every(isString);
+const isStringMap = (v) =>
+  v !== null &&
+  typeof v === "object" &&
+  !Array.isArray(v) &&
+  Object.values(v).every(isString);
+
+/**
+ * Validates a parsed profile object.
+ * @param {unknown} profile
+ * @returns {string[]} Human-readable problems; empty when the profile is valid.
+ */
+function validateProfile(profile) {
+  const errors = [];
+
+  if (profile === null || typeof profile !== "object" || Array.isArray(profile)) {
+    return ["profile must be a JSON object"];
+  }
+
+  if (!isString(profile.name)) errors.push('"name" must be a non-empty string');
+  if (!isString(profile.headline)) errors.push('"headline" must be a non-empty string');
+
+  if (profile.facts !== undefined && !isStringMap(profile.facts)) {
+    errors.push('"facts" must be an object of string values');
+  }
+
+  if (!isStringArray(profile.skills) || profile.skills.length === 0) {
+    errors.push('"skills" must be a non-empty array of strings');
+  }
+
+  if (!Array.isArray(profile.projects)) {
+    errors.push('"projects" must be an array');
+  } else {
+    profile.projects.forEach((p, i) => {
+      if (!p || typeof p !== "object") {
+        errors.push(`"projects[${i}]" must be an object`);
+        return;
+      }
+      if (!isString(p.name)) errors.push(`"projects[${i}].name" must be a non-empty string`);
+      if (!isString(p.description)) {
+        errors.push(`"projects[${i}].description" must be a non-empty string`);
+      }
+      if (p.stack !== undefined && !isStringArray(p.stack)) {
+        errors.push(`"projects[${i}].stack" must be an array of strings`);
+      }
+      if (p.url !== undefined && !isString(p.url)) {
+        errors.push(`"projects[${i}].url" must be a string`);
+      }
+    });
+  }
+
+  if (!isStringMap(profile.contact) || Object.keys(profile.contact).length === 0) {
+    errors.push('"contact" must be a non-empty object of string values');
+  }
+
+  if (!isStringArray(profile.rules) || profile.rules.length === 0) {
+    errors.push('"rules" must be a non-empty array of strings');
+  }
+
+  if (
+    profile.starters !== undefined &&
+    (!isStringArray(profile.starters) || profile.starters.some((s) => s.length > 120))
+  ) {
+    errors.push('"starters" must be an array of strings (at most 120 characters each)');
+  }
+
+  return errors;
+}
+
+module.exports = { validateProfile };
@@ -0,0 +1,131 @@
+/**
+ * src/config/tenant.schema.js
+ *
+ * Schema for the tenants file (TENANTS_PATH, default data/tenants.json) and a
+ * dependency-free validator for it.
+ *
+ * Shape:
+ *   {
+ *     "tenants": [
+ *       {
+ *         "id":        "james",                             — required, [a-z0-9-], unique
+ *         "default":   true,                                — optional, at most one
+ *         "profile":   "data/profile.json",                 — required
+ *         "origins":   ["https://james.dev"],               — required, unique across tenants
+ *         "providers": "openai:gpt-4o-mini,ollama:llama3.1", — optional, LLM_PROVIDERS syntax
+ *         "rateLimit": { "windowMinutes": 15, "max": 100 }, — optional, see below
+ *         "ragIndex":  "storage/james-index.json",          — optional
+ *         "ragCorpus": "data/corpus/james",                 — optional, for npm run ingest
+ *         "tools":     true,                                — optional
+ *         "leadsNotifyTo": ["james@example.com"]            — optional
+ *       }
+ *     ]
+ *   }
+ *
+ * "rateLimit" overrides the RATE_LIMIT_* defaults (limiter.middleware.js):
+ *   windowMinutes  > 0
+ *   max            requests per IP, > 0
+ *   perSession, perTenant,
+ *   tokensPerIp, tokensPerSession, tokensPerTenant   ≥ 0 (0 = no limit)
+ */
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+const isString = (v) => typeof v === "string" && v.trim().length > 0;
+const isStringArray = (v) => Array.isArray(v) && v.every(isString);
+const isPositive = (v) => typeof v === "number" && Number.isFinite(v) && v > 0;
+const isCount = (v) => Number.isInteger(v) && v >= 0;
+
+const RATE_LIMIT_COUNTS = ["perSession", "perTenant", "tokensPerIp", "tokensPerSession", "tokensPerTenant"];
+
+/**
+ * Validates a parsed tenants file.
+ * @param {unknown} data
+ * @returns {string[]} Human-readable problems; empty when the file is valid.
+ */
+function validateTenants(data) {
+  if (data === null || typeof data !== "object" || !Array.isArray(data.tenants)) {
+    return ['tenants file must be an object with a "tenants" array'];
+  }
+  if (data.tenants.length === 0) return ['"tenants" must not be empty'];
+
+  const errors = [];
+  const ids = new Set();
+  const origins = new Map();
+  let defaults = 0;
+
+  data.tenants.forEach((t, i) => {
+    const at = `"tenants[${i}]`;
+    if (!t || typeof t !== "object" || Array.isArray(t)) {
+      errors.push(`${at}" must be an object`);
+      return;
+    }
+
+    if (typeof t.id !== "string" || !ID_PATTERN.test(t.id)) {
+      errors.push(`${at}.id" must be 1–40 lowercase letters, digits or dashes`);
+    } else if (ids.has(t.id)) {
+      errors.push(`${at}.id" "${t.id}" is used more than once`);
+    } else {
+      ids.add(t.id);
+    }
+
+    if (t.default !== undefined && typeof t.default !== "boolean") {
+      errors.push(`${at}.default" must be a boolean`);
+    }
+    if (t.default === true) defaults += 1;
+
+    if (!isString(t.profile)) errors.push(`${at}.profile" must be a non-empty string`);
+
+    if (!isStringArray(t.origins)) {
+      errors.push(`${at}.origins" must be an array of origins`);
+    } else {
+      for (const origin of t.origins) {
+        // An origin identifies its tenant, so it can only belong to one
+        if (origins.has(origin)) {
+          errors.push(`origin "${origin}" is listed by both "${origins.get(origin)}" and "${t.id}"`);
+        }
+        origins.set(origin, t.id);
+      }
+    }
+
+    if (t.providers !== undefined && !isString(t.providers)) {
+      errors.push(`${at}.providers" must be a chain in LLM_PROVIDERS syntax`);
+    }
+
+    if (t.rateLimit !== undefined) {
+      const { windowMinutes, max } = t.rateLimit || {};
+      if (
+        !t.rateLimit ||
+        typeof t.rateLimit !== "object" ||
+        (windowMinutes !== undefined && !isPositive(windowMinutes)) ||
+        (max !== undefined && !(Number.isInteger(max) && max > 0))
+      ) {
+        errors.push(`${at}.rateLimit" must be { "windowMinutes"?: number, "max"?: integer } (both > 0)`);
+      }
+      for (const field of RATE_LIMIT_COUNTS) {
+        if (t.rateLimit?.[field] !== undefined && !isCount(t.rateLimit[field])) {
+          errors.push(`${at}.rateLimit.${field}" must be an integer ≥ 0`);
+        }
+      }
+    }
+
+    if (t.ragIndex !== undefined && !isString(t.ragIndex)) {
+      errors.push(`${at}.ragIndex" must be a non-empty string`);
+    }
+    if (t.ragCorpus !== undefined && !isString(t.ragCorpus)) {
+      errors.push(`${at}.ragCorpus" must be a non-empty string`);
+    }
+    if (t.tools !== undefined && typeof t.tools !== "boolean") {
+      errors.push(`${at}.tools" must be a boolean`);
+    }
+    if (t.leadsNotifyTo !== undefined && !isStringArray(t.leadsNotifyTo)) {
+      errors.push(`${at}.leadsNotifyTo" must be an array of email addresses`);
+    }
+  });
+
+  if (defaults > 1) errors.push('only one tenant may have "default": true');
+
+  return errors;
+}
+
+module.exports = { validateTenants };
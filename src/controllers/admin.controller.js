@@ -0,0 +1,235 @@
+/**
+ * src/controllers/admin.controller.js
+ *
+ * Read-only views for the site owner: usage, conversations, leads, limits
+ * and the active configuration.  Mounted behind auth.middleware.js.
+ *
+ * IPs are only ever shown in redacted form (203.0.113.x).
+ *
+ * Stats and limits cover the whole server, or one tenant with ?site=<id>
+ * (see tenant.service.js).
+ */
+
+const { getUsageStats } = require("../services/usage.service");
+const { getBudgetState } = require("../services/budget.service");
+const { getGuardStats } = require("../services/guard.service");
+const { getCacheStats } = require("../services/cache.service");
+const { readLeads, getLeadStats } = require("../services/lead.service");
+const { getPersona } = require("../services/persona.service");
+const { getProviderChain } = require("../services/llm.service");
+const { getTokenState } = require("../services/token.service");
+const { getChallengeStats } = require("../services/challenge.service");
+const {
+  getTenants,
+  getTenant,
+  getDefaultTenant,
+  isMultiTenant,
+} = require("../services/tenant.service");
+const {
+  listSessions,
+  getSession,
+  getSessionState,
+} = require("../services/session.service");
+const {
+  isTranscriptsEnabled,
+  readTranscripts,
+  formatTranscripts,
+} = require("../services/transcript.service");
+const { getRateLimitState } = require("../middleware/limiter.middleware");
+const { getServerKeys } = require("../middleware/auth.middleware");
+
+/**
+ * Tenant id from ?site=, validated.
+ * @param {import("express").Request} req
+ * @returns {string|undefined} undefined when not given.
+ * @throws {Error} 404 for an unknown site.
+ */
+function _site(req) {
+  const { site } = req.query;
+  if (site === undefined) return undefined;
+  if (typeof site !== "string" || !getTenant(site)) {
+    const err = new Error(`Unknown site "${site}".`);
+    err.statusCode = 404;
+    throw err;
+  }
+  return site;
+}
+
+/**
+ * GET /api/admin/stats?site=<tenant id>
+ * Usage totals, breakdowns, today's budget, guardrail matches, answer cache
+ * hit rate and lead counts.  With ?site=, usage, budget, guard and cache are
+ * that site's (as its /api/stats shows them); leads are always server-wide.
+ */
+function getStats(req, res) {
+  const tenant = _site(req);
+  res.json({
+    ...getUsageStats({ tenant }),
+    budget: getBudgetState({ tenant }),
+    guard: getGuardStats({ tenant }),
+    cache: getCacheStats({ tenant }),
+    leads: getLeadStats(),
+  });
+}
+
+/**
+ * GET /api/admin/conversations?limit=50
+ * Recent conversations, most recently active first.
+ */
+function getConversations(req, res) {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  res.json({ ...getSessionState(), conversations: listSessions(limit) });
+}
+
+/**
+ * GET /api/admin/conversations/:id
+ * One conversation with its full history.
+ */
+function getConversation(req, res, next) {
+  const session = getSession(req.params.id);
+  if (!session) {
+    const err = new Error("Conversation not found (it may have expired).");
+    err.statusCode = 404;
+    return next(err);
+  }
+  res.json(session);
+}
+
+/**
+ * GET /api/admin/leads?since=2026-01-01&spam=true&limit=100
+ * Most recent contact requests, newest first.  Spam is hidden unless
+ * spam=true.
+ */
+async function getLeads(req, res, next) {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const leads = await readLeads({
+      since: req.query.since,
+      includeSpam: req.query.spam === "true",
+    });
+    res.json({ total: leads.length, leads: leads.slice(-limit).reverse() });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/admin/limits?site=<tenant id>
+ * Rate-limit configuration/rejections, bot challenge counts and the daily
+ * budget state — the site's rate limit and view of the budget with ?site=.
+ */
+function getLimits(req, res) {
+  const tenant = _site(req);
+  res.json({
+    rateLimit: getRateLimitState(tenant),
+    challenges: getChallengeStats(),
+    budget: getBudgetState({ tenant }),
+  });
+}
+
+/**
+ * Persona version and provider chain of one tenant.
+ * @param {import("../services/tenant.service").Tenant} tenant
+ * @returns {object}
+ */
+function _tenantConfig(tenant) {
+  const { version, loadedAt, profile } = getPersona(tenant.id);
+  const { providers, errors } = getProviderChain(tenant.providers);
+
+  return {
+    persona: { version, loadedAt, name: profile.name, projects: profile.projects.length },
+    providers: providers.map((p) => ({ name: p.name, model: p.model, timeoutMs: p.timeoutMs })),
+    providerErrors: errors,
+  };
+}
+
+/**
+ * GET /api/admin/config
+ * Active persona version and provider chain — the default tenant's at the
+ * top level, every tenant's under `tenants` when there are several — plus
+ * session token settings and the server key names.  Never includes secrets.
+ */
+function getConfig(_req, res) {
+  const tenants = getTenants();
+
+  res.json({
+    ..._tenantConfig(getDefaultTenant()),
+    ...(isMultiTenant()
+      ? {
+          tenants: tenants.map((t) => ({
+            id: t.id,
+            default: t.isDefault,
+            origins: t.origins,
+            ..._tenantConfig(t),
+          })),
+        }
+      : {}),
+    sessions: getSessionState(),
+    sessionTokens: {
+      ...getTokenState(),
+      serverKeys: getServerKeys().map((k) => k.name),
+    },
+  });
+}
+
+/**
+ * GET /api/admin/transcripts?since=2026-01-01&conversationId=…&limit=100
+ * Most recent stored (redacted) transcripts, newest first.
+ */
+async function getTranscripts(req, res, next) {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const entries = await readTranscripts({
+      since: req.query.since,
+      conversationId: req.query.conversationId,
+    });
+    res.json({
+      enabled: isTranscriptsEnabled(),
+      total: entries.length,
+      transcripts: entries.slice(-limit).reverse(),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/admin/transcripts/export?format=csv|jsonl&since=…
+ * Downloads stored transcripts, oldest first.
+ */
+async function exportTranscripts(req, res, next) {
+  try {
+    const format = req.query.format || "csv";
+    if (format !== "csv" && format !== "jsonl") {
+      const err = new Error('"format" must be "csv" or "jsonl".');
+      err.statusCode = 400;
+      return next(err);
+    }
+
+    const entries = await readTranscripts({ since: req.query.since });
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    res.setHeader(
+      "Content-Type",
+      format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson; charset=utf-8"
+    );
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="transcripts-${stamp}.${format}"`
+    );
+    res.send(formatTranscripts(entries, format));
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  getStats,
+  getConversations,
+  getConversation,
+  getLeads,
+  getLimits,
+  getConfig,
+  getTranscripts,
+  exportTranscripts,
+};
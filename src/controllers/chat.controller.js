@@ -1,73 +1,275 @@
 /**
  * src/controllers/chat.controller.js
  *
- * Handles request validation, sets SSE headers, and delegates streaming
- * to ai.service.js.  Token usage is attached to res.locals so the logger
- * middleware can include it in the access log.
+ * Handles request validation, opens the reply stream, and delegates the
+ * turn itself to chat.service.js (shared with the OpenAI-compatible route,
+ * see completions.controller.js).  Token usage is attached to res.locals so the
+ * logger middleware can include it in the access log.
+ *
+ * Conversation context is kept server-side by session.service.js; the client
+ * only carries the conversation id between requests.
+ *
+ * Replies are resumable (see stream.service.js): a client whose connection
+ * drops can reconnect and fetch the events it missed.  If the visitor presses
+ * "stop generating" or leaves, the upstream completion is aborted and the
+ * tokens used so far are still counted.
  */
 
-const { streamAIReply } = require("../services/ai.service");
+const {
+  validateMessage,
+  validateLocale,
+  admitChat,
+  runChatTurn,
+} = require("../services/chat.service");
+const {
+  resolveSession,
+  getHistory,
+  appendTurn,
+} = require("../services/session.service");
+const {
+  createStream,
+  createSilentStream,
+  getStream,
+} = require("../services/stream.service");
+const { getStarters } = require("../services/suggestion.service");
+const {
+  normalizeLocale,
+  resolveLanguage,
+  DEFAULT_LOCALE,
+} = require("../services/language.service");
+const { logRequestError } = require("../utils/logger");
 
 /**
  * POST /api/chat
  *
  * Expected body:
- *   { "message": "user message here" }
+ *   { "message": "user message here", "conversationId": "<optional id>", "stream": <optional bool>,
+ *     "locale": "<optional: en | fil>" }
+ *
+ * Omit conversationId (or send an expired one) to start a new conversation.
+ * The id in use is returned in the X-Conversation-Id header and the terminal
+ * event; send it back with the next message to continue the conversation.
+ *
+ * The reply is in the requested locale; without one, in the language the
+ * visitor writes in (see language.service.js).
+ *
+ * The persona answering is the tenant's named by the X-Site-Id header, or the
+ * one whose origins include the request's Origin (see tenant.service.js).
+ * A conversation id only continues a conversation on the same tenant.
+ *
+ * Response: Server-Sent Events stream (id in the X-Stream-Id header)
+ *   event: sources  data: { "sources": [ … ] }                       — optional
+ *   event: chunk    data: { "chunk": "<text fragment>" }              — repeated
+ *   event: tool     data: { "id": "…", "name": "…", "status": "running" | "done" | "error",
+ *                           "label": "…" }                            — optional, around tool calls
+ *   event: replace  data: { "reply": "…", "guarded": "leak" }         — optional; the output
+ *                   guard stopped the reply, show this text instead of the chunks
+ *   event: done     data: { "done": true, "usage": { ... }, "conversationId": "…",
+ *                           "provider": "…", "model": "…" }           — terminal event;
+ *                   "leadForm": true asks the widget to show the contact form (see lead.routes.js)
+ *   event: suggestions data: { "suggestions": ["…", …] }             — optional, after done;
+ *                   follow-up questions to offer as quick replies
  *
- * Response: Server-Sent Events stream
- *   data: { "chunk": "<text fragment>" }      — repeated
- *   data: { "done": true, "usage": { ... } }  — terminal event
+ * A failure after streaming has started ends the stream with
+ *   event: error    data: { "error": "…", "code"?: "…", "requestId": "…" }
+ * — e.g. code "SHUTTING_DOWN" when the server restarted before the reply was
+ * done (see shutdown.service.js); ask again and another instance answers.
+ *
+ * JSON mode — for clients that can't read SSE (bots, build scripts, curl):
+ * send "stream": false, or an Accept header preferring application/json,
+ * and the whole reply comes back at once:
+ *   { "reply": "…", "usage": { ... }, "conversationId": "…", "provider": "…",
+ *     "model": "…", "sources": [ … ], "suggestions": [ … ] }
+ * Errors then always use the regular JSON error body.
+ *
+ * When today's budget is exhausted (see budget.service.js) the request is
+ * either rejected with 429 { "error": "…", "code": "BUDGET_EXCEEDED" },
+ * answered from canned FAQ replies (terminal event has "resting": true),
+ * or served by a cheaper provider chain.
+ *
+ * Messages caught by the input guard (see guard.service.js) are answered with
+ * a canned refusal; the terminal event then has "guarded": "<category>".
  *
  * Clients should use the EventSource API or fetch() with a ReadableStream.
  */
 async function handleChat(req, res, next) {
+  let stream = null;
+
   try {
-    const { message } = req.body;
+    const { message, conversationId } = req.body;
 
     // ── Input validation (before flushing headers) ─────────────────────────
-    if (!message || typeof message !== "string") {
-      const err = new Error('Request body must include a "message" string.');
-      err.statusCode = 400;
-      return next(err);
-    }
-
-    const trimmed = message.trim();
+    const trimmed = validateMessage(message);
+    const locale = validateLocale(req.body.locale);
 
-    if (trimmed.length === 0) {
-      const err = new Error('"message" must not be blank.');
+    if (conversationId !== undefined && typeof conversationId !== "string") {
+      const err = new Error('"conversationId" must be a string.');
       err.statusCode = 400;
       return next(err);
     }
 
-    if (trimmed.length > 1000) {
-      const err = new Error('"message" must be 1000 characters or fewer.');
-      err.statusCode = 400;
-      return next(err);
-    }
+    // ── Daily budget (checked before any provider is called) ──────────────
+    // The resting message follows the locale or the message's language
+    const budget = admitChat(
+      req.ip,
+      req.tenant.id,
+      resolveLanguage({ requested: locale, message: trimmed }).locale
+    );
+
+    const sessionId = resolveSession(conversationId, {
+      ip: req.ip,
+      origin: req.get("origin"),
+      tenant: req.tenant.id,
+    });
+    const history = getHistory(sessionId);
 
-    // ── Set SSE headers and flush immediately ──────────────────────────────
-    // Headers must be sent before any streaming begins.
-    res.setHeader("Content-Type", "text/event-stream");
-    res.setHeader("Cache-Control", "no-cache");
-    res.setHeader("Connection", "keep-alive");
-    res.setHeader("X-Accel-Buffering", "no"); // Disable Nginx proxy buffering
-    res.flushHeaders();
+    // ── Open the reply stream (flushes the SSE headers unless JSON was asked for)
+    const json = _wantsJson(req);
+    res.setHeader("X-Conversation-Id", sessionId);
+    stream = json ? createSilentStream(res) : createStream(res);
 
-    // ── Stream response ────────────────────────────────────────────────────
-    const usage = await streamAIReply(trimmed, res);
+    // ── Generate the reply ─────────────────────────────────────────────────
+    const {
+      reply,
+      usage,
+      provider,
+      model,
+      latencyMs,
+      aborted,
+      sources,
+      guarded,
+      leadForm,
+      suggestions,
+    } = await runChatTurn(budget, {
+      message: trimmed,
+      history,
+      conversationId: sessionId,
+      locale,
+      tenantId: req.tenant.id,
+      sink: stream,
+      request: {
+        ip: req.ip,
+        origin: req.get("origin"),
+        requestId: res.locals.requestId,
+        startedAt: res.locals.startedAt,
+      },
+    });
 
-    // Attach usage to res.locals so the logger can pick it up after finish
+    // Attach usage and provider to res.locals so the logger can pick them up on close
     res.locals.tokenUsage = usage;
+    res.locals.provider = model ? `${provider}/${model}` : provider;
+    res.locals.providerLatencyMs = latencyMs;
+
+    // Only completed turns are remembered — and never a guarded exchange,
+    // which would replay the attempt on every later turn
+    if (aborted) return;
+    if (!guarded) appendTurn(sessionId, trimmed, reply);
+
+    if (json) {
+      res.json({
+        reply,
+        usage,
+        conversationId: sessionId,
+        provider,
+        model,
+        sources,
+        ...(provider === "faq" ? { resting: true } : {}),
+        ...(guarded ? { guarded } : {}),
+        ...(leadForm ? { leadForm } : {}),
+        ...(suggestions ? { suggestions } : {}),
+      });
+    }
   } catch (err) {
-    // If headers haven't been flushed yet, delegate to error middleware.
-    // If they have, send an SSE error event so the client can handle it.
-    if (res.headersSent) {
-      res.write(`data: ${JSON.stringify({ error: "Stream error occurred." })}\n\n`);
-      res.end();
-    } else {
+    // If the stream hasn't been opened yet (or the reply is JSON), delegate to
+    // error middleware.  If it has, send an error event so the client can
+    // handle it.  Either way the visitor gets the request id to quote in a
+    // bug report.
+    if (stream && res.headersSent) {
+      // Cancelled before any provider answered — there is nobody to tell
+      if (err.code !== "CLIENT_ABORTED") {
+        logRequestError(req, res, err);
+        const message = err.expose ? err.message : "Stream error occurred.";
+        stream.send("error", {
+          error: message,
+          ...(err.expose && err.code ? { code: err.code } : {}),
+          requestId: res.locals.requestId,
+        });
+      }
+      stream.end();
+    } else if (err.code !== "CLIENT_ABORTED") {
       next(err);
     }
   }
 }
 
-module.exports = { handleChat };
+/**
+ * Whether the client asked for a single JSON reply instead of SSE:
+ * "stream": false in the body, or an Accept header preferring JSON.
+ * @param {import("express").Request} req
+ * @returns {boolean}
+ */
+function _wantsJson(req) {
+  if (req.body.stream === false) return true;
+  return req.accepts(["text/event-stream", "application/json"]) === "application/json";
+}
+
+/**
+ * Parses the last event id a reconnecting client received.
+ * EventSource sends it as a header; ?lastEventId= is accepted for fetch clients.
+ * @param {import("express").Request} req
+ * @returns {number}
+ */
+function _lastEventId(req) {
+  const value = parseInt(req.get("last-event-id") ?? req.query.lastEventId, 10);
+  return Number.isFinite(value) && value > 0 ? value : 0;
+}
+
+/**
+ * GET /api/chat/streams/:id
+ *
+ * Resumes a reply stream after a dropped connection.  Replays every event
+ * after Last-Event-ID, then continues live until the reply is done.
+ * 404 once the stream has expired (SSE_RESUME_WINDOW_MS after it ended).
+ */
+function resumeChat(req, res, next) {
+  const stream = getStream(req.params.id);
+  if (!stream) {
+    const err = new Error("Stream not found or expired.");
+    err.statusCode = 404;
+    return next(err);
+  }
+
+  stream.attach(res, _lastEventId(req));
+}
+
+/**
+ * DELETE /api/chat/streams/:id
+ *
+ * "Stop generating": cancels the upstream completion right away, without
+ * waiting out SSE_DISCONNECT_GRACE_MS.
+ */
+function cancelChat(req, res, next) {
+  const stream = getStream(req.params.id);
+  if (!stream) {
+    const err = new Error("Stream not found or expired.");
+    err.statusCode = 404;
+    return next(err);
+  }
+
+  stream.cancel();
+  res.status(204).end();
+}
+
+/**
+ * GET /api/chat/starters?locale=fil
+ *
+ * Starter prompts for the tenant's welcome screen (see suggestion.service.js):
+ *   { "starters": ["What projects has James built?", …] }
+ * Generated starters follow `locale` (DEFAULT_LOCALE when missing or unsupported).
+ */
+function getChatStarters(req, res) {
+  const locale = normalizeLocale(req.query.locale) || DEFAULT_LOCALE;
+  res.json({ starters: getStarters(locale, req.tenant.id) });
+}
+
+module.exports = { handleChat, resumeChat, cancelChat, getChatStarters };
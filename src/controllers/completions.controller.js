@@ -0,0 +1,262 @@
+/**
+ * src/controllers/completions.controller.js
+ *
+ * OpenAI-compatible front for the assistant, so standard OpenAI SDK clients
+ * (Slack bots, scripts) can talk to it by pointing baseURL at /v1.
+ *
+ * Only the conversation is taken from the request: the system prompt is
+ * always the owner's persona (the tenant named by X-Site-Id, or the default
+ * one), and the provider chain, sampling settings and token limits are the
+ * server's.  Client "system" messages are ignored, and
+ * history is trimmed to the same token budget as a server-side session.
+ *
+ * Validation, rate limiting, the daily budget and usage accounting are shared
+ * with POST /api/chat (see chat.service.js).  Requests are stateless — no
+ * session is created.
+ */
+
+const { validateMessage, admitChat, runChatTurn } = require("../services/chat.service");
+const { trimHistory } = require("../services/session.service");
+const { createSilentStream } = require("../services/stream.service");
+const { resolveLanguage } = require("../services/language.service");
+const { logRequestError } = require("../utils/logger");
+
+// Model id reported to clients; whatever "model" they send is accepted
+const MODEL_ID = "portfolio-assistant";
+const ROLES = new Set(["system", "user", "assistant"]);
+
+function _badRequest(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+/**
+ * Text of a message — a string, or an array of { type: "text", text } parts.
+ * @param {unknown} content
+ * @returns {string|null} null when the content is not text.
+ */
+function _text(content) {
+  if (typeof content === "string") return content;
+  if (!Array.isArray(content)) return null;
+  if (!content.every((part) => part?.type === "text" && typeof part.text === "string")) {
+    return null;
+  }
+  return content.map((part) => part.text).join("");
+}
+
+/**
+ * Validates `messages` and splits it into the new question and prior turns.
+ * @param {unknown} messages
+ * @returns {{ message: string, history: Array<{ role: string, content: string }> }}
+ */
+function _parseMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw _badRequest('Request body must include a non-empty "messages" array.');
+  }
+
+  const turns = messages.map((m, i) => {
+    if (!m || !ROLES.has(m.role)) {
+      throw _badRequest(`"messages[${i}].role" must be one of: ${[...ROLES].join(", ")}.`);
+    }
+    const content = _text(m.content);
+    if (content === null) {
+      throw _badRequest(`"messages[${i}].content" must be text.`);
+    }
+    return { role: m.role, content };
+  });
+
+  const last = turns.pop();
+  if (last.role !== "user") {
+    throw _badRequest('The last message must have role "user".');
+  }
+
+  return {
+    message: validateMessage(last.content, `messages[${turns.length}].content`),
+    history: trimHistory(turns.filter((m) => m.role !== "system")),
+  };
+}
+
+/**
+ * Reply stream that writes OpenAI `chat.completion.chunk` events, ending with
+ * `data: [DONE]`.  Only text is forwarded; "sources" events are dropped.  A
+ * guard "replace" can't be expressed as a chunk — the stream ends with
+ * finish_reason "content_filter" instead.
+ * @param {import("express").Response} res
+ * @param {{ id: string, created: number, includeUsage: boolean }} meta
+ * @returns {import("../services/stream.service").ReplyStream}
+ */
+function _completionChunkStream(res, { id, created, includeUsage }) {
+  const controller = new AbortController();
+  let finished = false;
+
+  const write = (choices, extra = {}) =>
+    res.write(
+      `data: ${JSON.stringify({
+        id,
+        object: "chat.completion.chunk",
+        created,
+        model: MODEL_ID,
+        choices,
+        ...extra,
+      })}\n\n`
+    );
+
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no"); // Disable Nginx proxy buffering
+  res.flushHeaders();
+  res.on("close", () => {
+    if (!finished) controller.abort();
+  });
+
+  write([{ index: 0, delta: { role: "assistant", content: "" }, finish_reason: null }]);
+
+  return {
+    id,
+    signal: controller.signal,
+
+    send(event, data) {
+      if (finished) return;
+      if (event === "chunk") {
+        write([{ index: 0, delta: { content: data.chunk }, finish_reason: null }]);
+      } else if (event === "done") {
+        write([{ index: 0, delta: {}, finish_reason: _finishReason(data.guarded) }]);
+        if (includeUsage) write([], { usage: _usage(data.usage) });
+      } else if (event === "error") {
+        res.write(`data: ${JSON.stringify({ error: { message: data.error, type: "server_error" } })}\n\n`);
+      }
+    },
+
+    end() {
+      if (finished) return;
+      finished = true;
+      res.end("data: [DONE]\n\n");
+    },
+
+    cancel(reason) {
+      controller.abort(reason);
+    },
+
+    attach() {},
+  };
+}
+
+/**
+ * Guarded replies (refused or replaced) end like OpenAI's filtered ones.
+ * @param {string} [guarded]
+ * @returns {"stop"|"content_filter"}
+ */
+const _finishReason = (guarded) => (guarded ? "content_filter" : "stop");
+
+/**
+ * OpenAI usage object (drops our "estimated" flag).
+ * @param {object|null} usage
+ * @returns {{ prompt_tokens: number, completion_tokens: number, total_tokens: number }|null}
+ */
+function _usage(usage) {
+  if (!usage) return null;
+  return {
+    prompt_tokens: usage.prompt_tokens || 0,
+    completion_tokens: usage.completion_tokens || 0,
+    total_tokens: usage.total_tokens || 0,
+  };
+}
+
+/**
+ * POST /v1/chat/completions
+ *
+ * Expected body (OpenAI Chat Completions format):
+ *   { "model": "<any>", "messages": [ { "role": "user", "content": "…" }, … ],
+ *     "stream": <optional bool>, "stream_options": { "include_usage": <optional bool> } }
+ *
+ * Other parameters (temperature, max_tokens, tools, …) are ignored.
+ *
+ * Response: a `chat.completion` object, or with "stream": true a stream of
+ * `chat.completion.chunk` events ending with `data: [DONE]`.
+ *
+ * Errors use OpenAI's shape — see openAIErrorMiddleware.
+ */
+async function createCompletion(req, res, next) {
+  let stream = null;
+
+  try {
+    const { message, history } = _parseMessages(req.body.messages);
+
+    // ── Daily budget (checked before any provider is called) ──────────────
+    const budget = admitChat(req.ip, req.tenant.id, resolveLanguage({ message, history }).locale);
+
+    const id = `chatcmpl-${res.locals.requestId}`;
+    const created = Math.floor(res.locals.startedAt / 1000);
+    stream =
+      req.body.stream === true
+        ? _completionChunkStream(res, {
+            id,
+            created,
+            includeUsage: req.body.stream_options?.include_usage === true,
+          })
+        : createSilentStream(res);
+
+    const { reply, usage, provider, model, latencyMs, aborted, guarded } = await runChatTurn(budget, {
+      message,
+      history,
+      conversationId: null,
+      tenantId: req.tenant.id,
+      sink: stream,
+      request: {
+        ip: req.ip,
+        origin: req.get("origin"),
+        requestId: res.locals.requestId,
+        startedAt: res.locals.startedAt,
+      },
+    });
+
+    // Attach usage and provider to res.locals so the logger can pick them up on close
+    res.locals.tokenUsage = usage;
+    res.locals.provider = model ? `${provider}/${model}` : provider;
+    res.locals.providerLatencyMs = latencyMs;
+
+    if (aborted || res.headersSent) return;
+
+    res.json({
+      id,
+      object: "chat.completion",
+      created,
+      model: MODEL_ID,
+      choices: [
+        {
+          index: 0,
+          message: { role: "assistant", content: reply },
+          finish_reason: _finishReason(guarded),
+        },
+      ],
+      usage: _usage(usage),
+    });
+  } catch (err) {
+    if (stream && res.headersSent) {
+      if (err.code !== "CLIENT_ABORTED") {
+        logRequestError(req, res, err);
+        const message = err.expose ? err.message : "Stream error occurred.";
+        stream.send("error", { error: message });
+      }
+      stream.end();
+    } else if (err.code !== "CLIENT_ABORTED") {
+      next(err);
+    }
+  }
+}
+
+/**
+ * GET /v1/models
+ *
+ * Lists the single model this endpoint serves, for clients that check first.
+ */
+function listModels(_req, res) {
+  res.json({
+    object: "list",
+    data: [{ id: MODEL_ID, object: "model", created: 0, owned_by: "portfolio" }],
+  });
+}
+
+module.exports = { createCompletion, listModels };
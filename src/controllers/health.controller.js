@@ -0,0 +1,61 @@
+/**
+ * src/controllers/health.controller.js
+ *
+ * Health endpoints for platform probes and uptime monitors.
+ *
+ *   GET /health, /health/live  — liveness: the process answers
+ *   GET /health/ready          — readiness: 503 while shutting down
+ *   GET /health/deep           — providers, personas and storage (health.service.js)
+ *
+ * Point the platform's health check at /health/ready, so an instance that
+ * is draining for a deploy stops getting new visitors.  Readiness doesn't
+ * depend on the providers: when they are down, the assistant still serves
+ * FAQ and cached answers, and every instance would fail together anyway.
+ */
+
+const { getShutdownState } = require("../services/shutdown.service");
+const { getDeepHealth } = require("../services/health.service");
+
+/**
+ * GET /health, GET /health/live
+ *
+ * Response: 200 { "status": "ok" }
+ */
+function liveness(_req, res) {
+  res.json({ status: "ok" });
+}
+
+/**
+ * GET /health/ready
+ *
+ * Responses:
+ *   200 { "status": "ready" }
+ *   503 { "status": "draining", "since": "…", "activeReplies": 2 }
+ */
+function readiness(_req, res) {
+  const { draining, since, activeReplies } = getShutdownState();
+  if (draining) return res.status(503).json({ status: "draining", since, activeReplies });
+  res.json({ status: "ready" });
+}
+
+/**
+ * GET /health/deep
+ *
+ * Requires METRICS_TOKEN (Bearer) when it is set — the result names the
+ * providers and models in use.
+ *
+ * Response: 200 when "ok" or "degraded", 503 when "fail":
+ *   { "status": "ok" | "degraded" | "fail", "checkedAt": "…", "durationMs": 182,
+ *     "cached": false, "checks": { "providers": { … }, "personas": { … }, "storage": { … } } }
+ */
+async function deepHealth(_req, res, next) {
+  try {
+    const health = await getDeepHealth();
+    res.setHeader("Cache-Control", "no-store");
+    res.status(health.status === "fail" ? 503 : 200).json(health);
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = { liveness, readiness, deepHealth };
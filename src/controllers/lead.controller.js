@@ -0,0 +1,54 @@
+/**
+ * src/controllers/lead.controller.js
+ *
+ * Accepts contact requests from the widgets' inline form.  Screening
+ * (throttle, dedup, spam score) and storage live in lead.service.js, shared
+ * with the assistant's submit_contact_request tool.
+ */
+
+const { submitLead } = require("../services/lead.service");
+
+/**
+ * POST /api/leads
+ *
+ * Expected body:
+ *   { "name": "…", "email": "…", "message": "…", "company": "<optional>",
+ *     "conversationId": "<optional>", "website": "" }
+ *
+ * "website" is a honeypot: the widgets hide it, so it must stay empty.
+ *
+ * Responses:
+ *   201 { "id": "…", "createdAt": "…" }                    — stored
+ *   200 { "id": "…", "createdAt": "…", "duplicate": true } — already received
+ *   400 { "error": "…", "code": "INVALID_LEAD" }
+ *   429 { "error": "…", "code": "LEAD_THROTTLED" }
+ */
+async function createLead(req, res, next) {
+  try {
+    const { name, email, message, company, website, conversationId } = req.body;
+
+    if (conversationId !== undefined && typeof conversationId !== "string") {
+      const err = new Error('"conversationId" must be a string.');
+      err.statusCode = 400;
+      throw err;
+    }
+
+    const result = await submitLead(
+      { name, email, message, company, website },
+      {
+        source: "form",
+        ip: req.ip,
+        requestId: res.locals.requestId,
+        conversationId,
+        origin: req.get("origin"),
+        tenantId: req.tenant.id,
+      }
+    );
+
+    res.status(result.duplicate ? 200 : 201).json(result);
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = { createLead };
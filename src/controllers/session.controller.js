@@ -0,0 +1,39 @@
+/**
+ * src/controllers/session.controller.js
+ *
+ * Hands session tokens to the widgets (see token.service.js).  Not to be
+ * confused with conversation sessions (session.service.js): a token only
+ * proves that a chat request comes from a page on an allowed origin.
+ */
+
+const { issueSessionToken } = require("../services/token.service");
+
+/**
+ * POST /api/session
+ *
+ * Only answers browsers on one of the tenant's allowed origins — requests
+ * without an Origin header are refused; backend callers use a server key
+ * instead (SERVER_API_KEYS).
+ *
+ * Responses:
+ *   200 { "token": "…", "expiresAt": "…", "expiresIn": <seconds> }
+ *   403 { "error": "…", "code": "ORIGIN_REQUIRED" | "SITE_NOT_ALLOWED" }
+ *
+ * Send the token as X-Session-Token with the next POST /api/chat.  It works
+ * once; the chat response carries the next one in its X-Session-Token header.
+ */
+function createSessionToken(req, res, next) {
+  const origin = req.get("origin");
+  if (!origin) {
+    const err = new Error("Session tokens are only issued to the chat widget's allowed origins.");
+    err.statusCode = 403;
+    err.code = "ORIGIN_REQUIRED";
+    err.expose = true;
+    return next(err);
+  }
+
+  res.setHeader("Cache-Control", "no-store");
+  res.json(issueSessionToken({ tenantId: req.tenant.id, origin }));
+}
+
+module.exports = { createSessionToken };
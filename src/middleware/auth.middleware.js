@@ -0,0 +1,188 @@
+/**
+ * src/middleware/auth.middleware.js
+ *
+ * Guards the admin API.  Accepts either:
+ *   Authorization: Bearer <ADMIN_TOKEN>
+ *   Authorization: Basic base64(<ADMIN_USER>:<ADMIN_PASSWORD>)
+ *
+ * If neither credential is configured, the admin API is disabled and every
+ * request gets a 404 — it never falls back to being open.
+ *
+ * GET /metrics has its own optional bearer token (METRICS_TOKEN), since
+ * scrapers should not hold admin credentials.
+ *
+ * The chat endpoints (POST /api/chat, POST /v1/chat/completions) accept
+ * either a widget session token (X-Session-Token, see token.service.js) or
+ * one of the server-to-server keys in SERVER_API_KEYS:
+ *   Authorization: Bearer <key>
+ * SERVER_API_KEYS is a comma-separated list of name:key pairs; the name is
+ * only used in the access log.
+ */
+
+const crypto = require("crypto");
+const { issueSessionToken, consumeSessionToken } = require("../services/token.service");
+
+/**
+ * Constant-time string comparison.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a || "");
+  const bufB = Buffer.from(b || "");
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * @returns {boolean} true if any admin credential is configured.
+ */
+function isAdminEnabled() {
+  return Boolean(
+    process.env.ADMIN_TOKEN || (process.env.ADMIN_USER && process.env.ADMIN_PASSWORD)
+  );
+}
+
+/**
+ * Checks an Authorization header against the configured credentials.
+ * @param {string|undefined} header
+ * @returns {boolean}
+ */
+function isAuthorized(header) {
+  if (!header) return false;
+  const [scheme, value = ""] = header.split(" ");
+
+  if (scheme === "Bearer" && process.env.ADMIN_TOKEN) {
+    return safeEqual(value, process.env.ADMIN_TOKEN);
+  }
+
+  if (scheme === "Basic" && process.env.ADMIN_USER && process.env.ADMIN_PASSWORD) {
+    const decoded = Buffer.from(value, "base64").toString("utf8");
+    const sep = decoded.indexOf(":");
+    if (sep === -1) return false;
+    // Evaluate both halves so timing does not reveal which one was wrong
+    const userOk = safeEqual(decoded.slice(0, sep), process.env.ADMIN_USER);
+    const passOk = safeEqual(decoded.slice(sep + 1), process.env.ADMIN_PASSWORD);
+    return userOk && passOk;
+  }
+
+  return false;
+}
+
+/**
+ * @param {import("express").Request}  req
+ * @param {import("express").Response} res
+ * @param {import("express").NextFunction} next
+ */
+function adminAuth(req, res, next) {
+  if (!isAdminEnabled()) {
+    const err = new Error("Route not found");
+    err.statusCode = 404;
+    return next(err);
+  }
+
+  if (!isAuthorized(req.get("authorization"))) {
+    res.setHeader("WWW-Authenticate", 'Basic realm="admin", charset="UTF-8"');
+    const err = new Error("Admin credentials required.");
+    err.statusCode = 401;
+    return next(err);
+  }
+
+  next();
+}
+
+/**
+ * Requires `Authorization: Bearer <METRICS_TOKEN>` when METRICS_TOKEN is set.
+ * @param {import("express").Request}  req
+ * @param {import("express").Response} res
+ * @param {import("express").NextFunction} next
+ */
+function metricsAuth(req, res, next) {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) return next();
+
+  const [scheme, value = ""] = (req.get("authorization") || "").split(" ");
+  if (scheme !== "Bearer" || !safeEqual(value, token)) {
+    res.setHeader("WWW-Authenticate", 'Bearer realm="metrics"');
+    const err = new Error("Metrics token required.");
+    err.statusCode = 401;
+    return next(err);
+  }
+
+  next();
+}
+
+/**
+ * Trusted backend callers from SERVER_API_KEYS ("name:key,name:key").
+ * An entry without a name is named after its position (key-1, key-2, …).
+ * @returns {Array<{ name: string, key: string }>}
+ */
+function getServerKeys() {
+  return (process.env.SERVER_API_KEYS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry, i) => {
+      const sep = entry.indexOf(":");
+      return sep === -1
+        ? { name: `key-${i + 1}`, key: entry }
+        : { name: entry.slice(0, sep).trim(), key: entry.slice(sep + 1).trim() };
+    })
+    .filter(({ key }) => key);
+}
+
+/**
+ * Name of the server key matching `value`, or null.
+ * @param {string} value
+ * @returns {string|null}
+ */
+function _serverKeyName(value) {
+  let name = null;
+  // Compare against every key so timing does not reveal which one matched
+  for (const entry of getServerKeys()) {
+    if (safeEqual(value, entry.key)) name = entry.name;
+  }
+  return name;
+}
+
+/**
+ * Requires a server key or an unused session token for the request's tenant
+ * and origin.  Mount after resolveTenant.  Each accepted session token is
+ * answered with the next one in the X-Session-Token response header, and its
+ * session id is put on req.chatSession (for the per-session rate limit).
+ *
+ * @param {import("express").Request}  req
+ * @param {import("express").Response} res
+ * @param {import("express").NextFunction} next
+ */
+function chatAuth(req, res, next) {
+  const [scheme, value = ""] = (req.get("authorization") || "").split(" ");
+
+  if (scheme === "Bearer") {
+    const name = _serverKeyName(value);
+    if (!name) {
+      const err = new Error("Invalid server key.");
+      err.statusCode = 401;
+      err.code = "INVALID_SERVER_KEY";
+      err.expose = true;
+      return next(err);
+    }
+    res.locals.serverKey = name;
+    return next();
+  }
+
+  try {
+    const scope = { tenantId: req.tenant.id, origin: req.get("origin") };
+    req.chatSession = consumeSessionToken(req.get("x-session-token"), scope);
+    res.setHeader(
+      "X-Session-Token",
+      issueSessionToken({ ...scope, sessionId: req.chatSession }).token
+    );
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = { adminAuth, metricsAuth, chatAuth, isAdminEnabled, getServerKeys };
@@ -0,0 +1,68 @@
+/**
+ * src/middleware/challenge.middleware.js
+ *
+ * Optional proof-of-work gate for POST /api/chat (CHALLENGE_ENABLED=true).
+ *
+ * A request looks automated when it:
+ *   - has no User-Agent, or one of a script or headless browser (curl, python-requests, …),
+ *   - has no Accept-Language header (every browser sends one), or
+ *   - comes from an IP that has used CHALLENGE_AT (default 0.5) of its
+ *     rate-limit allowance.
+ * Such a request must carry a solved challenge (X-Challenge, see
+ * challenge.service.js); otherwise it is answered with
+ *   428 { "error": "…", "code": "CHALLENGE_REQUIRED", "challenge": "…", "difficulty": 16 }
+ * and the client solves it and sends the request again.  Server-key callers
+ * are never challenged.
+ *
+ * Mount after chatLimiter, which reports the IP's usage in
+ * res.locals.rateLimitUsage.
+ */
+
+const {
+  isChallengeEnabled,
+  issueChallenge,
+  verifySolution,
+} = require("../services/challenge.service");
+
+const CHALLENGE_AT = parseFloat(process.env.CHALLENGE_AT) || 0.5;
+
+const AUTOMATED_AGENT =
+  /curl|wget|python|httpie|go-http-client|java\/|okhttp|axios|node-fetch|undici|^node$|scrapy|headless|phantomjs|selenium|puppeteer|playwright|bot\b|spider|crawl/i;
+
+/**
+ * Why a request looks automated, or null.
+ * @param {import("express").Request}  req
+ * @param {import("express").Response} res
+ * @returns {string|null}
+ */
+function _suspicion(req, res) {
+  const agent = req.get("user-agent");
+  if (!agent || AUTOMATED_AGENT.test(agent)) return "agent";
+  if (!req.get("accept-language")) return "headers";
+  if (res.locals.rateLimitUsage >= CHALLENGE_AT) return "rate";
+  return null;
+}
+
+/**
+ * @param {import("express").Request}  req
+ * @param {import("express").Response} res
+ * @param {import("express").NextFunction} next
+ */
+function botChallenge(req, res, next) {
+  if (!isChallengeEnabled() || res.locals.serverKey) return next();
+
+  const reason = _suspicion(req, res);
+  if (!reason) return next();
+
+  const scope = { ip: req.ip, tenantId: req.tenant.id };
+  if (verifySolution(req.get("x-challenge"), scope)) return next();
+
+  res.status(428).json({
+    error: "Please verify you're not a bot — solve the challenge and send the request again.",
+    code: "CHALLENGE_REQUIRED",
+    ...issueChallenge(scope, reason),
+    requestId: res.locals.requestId,
+  });
+}
+
+module.exports = { botChallenge };
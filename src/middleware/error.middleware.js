@@ -3,21 +3,57 @@
  *
  * Centralised error handler.  All errors thrown or passed to next() land here.
  * Sends a clean JSON response so the frontend never sees an HTML stack trace.
+ *
+ * The response carries the request id, so a visitor's bug report can be
+ * matched to the server log entry.
+ *
+ * The OpenAI-compatible /v1 routes use openAIErrorMiddleware instead, so SDK
+ * clients can parse the error.
  */
 
+const { logRequestError } = require("../utils/logger");
+
 // eslint-disable-next-line no-unused-vars
 function errorMiddleware(err, req, res, next) {
   const statusCode = err.statusCode || err.status || 500;
 
-  // Log the full error server-side for debugging
-  console.error(`[ERROR] ${req.method} ${req.path} →`, err.message);
-  if (process.env.NODE_ENV !== "production") {
-    console.error(err.stack);
-  }
+  // Log the full error server-side for debugging (stack omitted in production)
+  logRequestError(req, res, err);
 
   res.status(statusCode).json({
     error: err.message || "Internal server error",
+    // Machine-readable code, only for errors meant for the client (e.g. BUDGET_EXCEEDED)
+    ...(err.expose && err.code ? { code: err.code } : {}),
+    requestId: res.locals.requestId,
+  });
+}
+
+// Error "type" values OpenAI SDKs understand, by status code
+const OPENAI_ERROR_TYPES = {
+  400: "invalid_request_error",
+  401: "authentication_error",
+  404: "not_found_error",
+  429: "rate_limit_error",
+};
+
+/**
+ * Same as errorMiddleware, but in OpenAI's error shape:
+ *   { "error": { "message": "…", "type": "…", "code": "…"|null }, "requestId": "…" }
+ */
+// eslint-disable-next-line no-unused-vars
+function openAIErrorMiddleware(err, req, res, next) {
+  const statusCode = err.statusCode || err.status || 500;
+
+  logRequestError(req, res, err);
+
+  res.status(statusCode).json({
+    error: {
+      message: err.message || "Internal server error",
+      type: OPENAI_ERROR_TYPES[statusCode] || (statusCode >= 500 ? "server_error" : "invalid_request_error"),
+      code: err.expose && err.code ? err.code : null,
+    },
+    requestId: res.locals.requestId,
   });
 }
 
-module.exports = errorMiddleware;
+module.exports = { errorMiddleware, openAIErrorMiddleware };
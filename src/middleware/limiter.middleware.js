@@ -0,0 +1,238 @@
+/**
+ * src/middleware/limiter.middleware.js
+ *
+ * Rate limiters, plus a small rejection counter so the admin API can show
+ * whether visitors are hitting the limits.  Rejections are also counted in
+ * rate_limit_rejections_total for /metrics.
+ *
+ * The chat limit is per tenant (tenant.service.js): each tenant has its own
+ * allowance and window ("rateLimit" in the tenants file), so one busy site
+ * can't use up another's.  Mount it after resolveTenant (and chatAuth, for
+ * the per-session limit).
+ *
+ * Within a tenant, requests are counted in sliding windows along three
+ * dimensions — per IP, per widget session (one chain of session tokens, see
+ * token.service.js) and for the whole tenant — and each can also limit the
+ * tokens the replies used.  A request over any limit gets 429
+ * RATE_LIMITED.  Counters live in the store chosen by RATE_LIMIT_STORE
+ * (services/ratelimit); if the store can't be reached, requests are let
+ * through rather than taking the assistant down.
+ *
+ * Defaults (RATE_LIMIT_* in .env, overridable per tenant; 0 = no limit):
+ *   window          RATE_LIMIT_WINDOW_MINUTES      15
+ *   ip              RATE_LIMIT_PER_IP              100 requests
+ *   session         RATE_LIMIT_PER_SESSION         0
+ *   tenant          RATE_LIMIT_PER_TENANT          0
+ *   tokens per ip / session / tenant  RATE_LIMIT_TOKENS_PER_IP, …_PER_SESSION, …_PER_TENANT  0
+ */
+
+const rateLimit = require("express-rate-limit");
+const { rateLimitRejections } = require("../services/metrics.service");
+const { getTenants, getTenant, getDefaultTenant } = require("../services/tenant.service");
+const { addToWindow, readWindow, STORE_TYPE } = require("../services/ratelimit");
+const logger = require("../utils/logger");
+
+const _int = (value, fallback) => {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+
+const DEFAULTS = {
+  windowMinutes: _int(process.env.RATE_LIMIT_WINDOW_MINUTES, 15) || 15,
+  ip: { requests: _int(process.env.RATE_LIMIT_PER_IP, 100), tokens: _int(process.env.RATE_LIMIT_TOKENS_PER_IP, 0) },
+  session: { requests: _int(process.env.RATE_LIMIT_PER_SESSION, 0), tokens: _int(process.env.RATE_LIMIT_TOKENS_PER_SESSION, 0) },
+  tenant: { requests: _int(process.env.RATE_LIMIT_PER_TENANT, 0), tokens: _int(process.env.RATE_LIMIT_TOKENS_PER_TENANT, 0) },
+};
+const DIMENSIONS = ["ip", "session", "tenant"];
+
+// Tenant id → { limits, total, byDimension, lastAt }
+const _chat = new Map();
+let _lastStoreWarning = 0;
+
+/**
+ * The chat limits of a tenant: its "rateLimit" over the defaults.
+ * @param {import("../services/tenant.service").Tenant} tenant
+ */
+function _limitsFor(tenant) {
+  const own = tenant.rateLimit || {};
+  return {
+    windowMs: (own.windowMinutes || DEFAULTS.windowMinutes) * 60 * 1000,
+    ip: { requests: own.max ?? DEFAULTS.ip.requests, tokens: own.tokensPerIp ?? DEFAULTS.ip.tokens },
+    session: {
+      requests: own.perSession ?? DEFAULTS.session.requests,
+      tokens: own.tokensPerSession ?? DEFAULTS.session.tokens,
+    },
+    tenant: {
+      requests: own.perTenant ?? DEFAULTS.tenant.requests,
+      tokens: own.tokensPerTenant ?? DEFAULTS.tenant.tokens,
+    },
+  };
+}
+
+/**
+ * Limits and rejection counters of a tenant, created on its first request.
+ * @param {import("../services/tenant.service").Tenant} tenant
+ */
+function _stateFor(tenant) {
+  if (!_chat.has(tenant.id)) {
+    _chat.set(tenant.id, {
+      limits: _limitsFor(tenant),
+      total: 0,
+      byDimension: { ip: 0, session: 0, tenant: 0 },
+      lastAt: null,
+    });
+  }
+  return _chat.get(tenant.id);
+}
+
+/** Logs store failures, at most once a minute. */
+function _storeFailed(err) {
+  if (Date.now() - _lastStoreWarning < 60 * 1000) return;
+  _lastStoreWarning = Date.now();
+  logger.warn(
+    "rate-limit store failed",
+    { store: STORE_TYPE, error: { message: err.message } },
+    `[ratelimit] ${STORE_TYPE} store failed, letting requests through: ${err.message}`
+  );
+}
+
+// ── Chat limiter ───────────────────────────────────────────────────────────
+async function chatLimiter(req, res, next) {
+  const tenant = req.tenant || getDefaultTenant();
+  const state = _stateFor(tenant);
+  const { limits } = state;
+  const keys = {
+    ip: `${tenant.id}:ip:${req.ip}`,
+    session: req.chatSession ? `${tenant.id}:session:${req.chatSession}` : null,
+    tenant: `${tenant.id}:tenant`,
+  };
+  const active = DIMENSIONS.filter(
+    (d) => keys[d] && (limits[d].requests || limits[d].tokens)
+  );
+
+  let results;
+  try {
+    results = await Promise.all(
+      active.map(async (dimension) => {
+        const { requests, tokens } = limits[dimension];
+        const [hits, used] = await Promise.all([
+          requests ? addToWindow(`req:${keys[dimension]}`, limits.windowMs) : null,
+          tokens ? readWindow(`tok:${keys[dimension]}`, limits.windowMs) : null,
+        ]);
+        return { dimension, hits, used };
+      })
+    );
+  } catch (err) {
+    _storeFailed(err);
+    return next();
+  }
+
+  // The per-IP request count is what the RateLimit-* headers describe
+  const ip = results.find((r) => r.dimension === "ip" && r.hits);
+  if (ip) {
+    res.setHeader("RateLimit-Limit", limits.ip.requests);
+    res.setHeader("RateLimit-Remaining", Math.max(0, limits.ip.requests - ip.hits.total));
+    res.setHeader("RateLimit-Reset", Math.ceil(ip.hits.resetMs / 1000));
+    // For the bot challenge (challenge.middleware.js)
+    res.locals.rateLimitUsage = ip.hits.total / limits.ip.requests;
+  }
+
+  const over = results.find(
+    ({ dimension, hits, used }) =>
+      (hits && hits.total > limits[dimension].requests) ||
+      (used && used.total >= limits[dimension].tokens)
+  );
+  if (over) {
+    state.total += 1;
+    state.byDimension[over.dimension] += 1;
+    state.lastAt = new Date().toISOString();
+    rateLimitRejections.inc({ limiter: "chat", dimension: over.dimension });
+
+    res.setHeader("Retry-After", Math.ceil((over.hits || over.used).resetMs / 1000));
+    const err = new Error("Too many requests — please try again in a few minutes.");
+    err.statusCode = 429;
+    err.code = "RATE_LIMITED";
+    err.expose = true;
+    return next(err);
+  }
+
+  // Token limits count what the reply used, once it is finished
+  const weighted = active.filter((d) => limits[d].tokens);
+  if (weighted.length > 0) {
+    res.on("close", () => {
+      const tokens = res.locals.tokenUsage?.total_tokens;
+      if (!tokens) return;
+      for (const dimension of weighted) {
+        addToWindow(`tok:${keys[dimension]}`, limits.windowMs, tokens).catch(_storeFailed);
+      }
+    });
+  }
+
+  next();
+}
+
+// ── Stream limiter ─────────────────────────────────────────────────────────
+// Resuming or stopping a reply calls no provider, so it must not use up the
+// chat allowance (or push the visitor towards the bot challenge).  This only
+// stops a client hammering /api/chat/streams.
+const streamLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 60,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: "Too many requests — slow down.", code: "RATE_LIMITED" },
+  handler: (req, res, next, options) => {
+    rateLimitRejections.inc({ limiter: "stream" });
+    res.status(options.statusCode).json(options.message);
+  },
+});
+
+// ── Admin limiter ──────────────────────────────────────────────────────────
+// Slows down credential guessing against /api/admin.
+const adminLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 30,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: "Too many admin requests — slow down." },
+  handler: (req, res, next, options) => {
+    rateLimitRejections.inc({ limiter: "admin" });
+    res.status(options.statusCode).json(options.message);
+  },
+});
+
+/**
+ * Chat limit configuration and rejections since startup for one tenant.
+ * @param {import("../services/tenant.service").Tenant} tenant
+ * @returns {object}
+ */
+function _chatState(tenant) {
+  const { limits, total, byDimension, lastAt } = _stateFor(tenant);
+  const { windowMs, ...perDimension } = limits;
+  return {
+    store: STORE_TYPE,
+    windowMs,
+    max: perDimension.ip.requests,
+    limits: perDimension,
+    rejectedSinceStart: total,
+    rejectedByDimension: byDimension,
+    lastRejectedAt: lastAt,
+  };
+}
+
+/**
+ * Limiter configuration and rejection counts since startup.
+ * @param {string} [tenantId] - Only this tenant; otherwise the default
+ *   tenant as `chat`, plus every tenant under `byTenant`.
+ * @returns {object}
+ */
+function getRateLimitState(tenantId) {
+  if (tenantId) return { chat: _chatState(getTenant(tenantId)) };
+
+  return {
+    chat: _chatState(getDefaultTenant()),
+    byTenant: Object.fromEntries(getTenants().map((t) => [t.id, _chatState(t)])),
+  };
+}
+
+module.exports = { chatLimiter, streamLimiter, adminLimiter, getRateLimitState };
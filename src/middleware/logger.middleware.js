@@ -3,16 +3,61 @@
  *
  * Structured access logger.
  *
- * Logs each completed request in a consistent format:
- *   [ISO timestamp] METHOD /path STATUS DURATIONms | tokens: prompt=X completion=Y total=Z
+ * Logs each completed request.  In pretty mode (see utils/logger.js):
+ *   [ISO timestamp] METHOD /path STATUS DURATIONms | tenant: <id> | key: <name> | tokens: prompt=X completion=Y total=Z | provider: name/model (first token Nms) | req: <id>
  *
- * Token counts are only appended when the AI service attaches usage data to
- * res.locals.tokenUsage (i.e. for POST /api/chat requests).
+ * In json mode the same data is emitted as fields:
+ *   { ts, level, msg, requestId, tenant, serverKey, method, route, status, durationMs, tokens, provider, providerLatencyMs }
  *
- * No third-party logging library is required — uses console.log so output
+ * The tenant is included once a route has resolved it (res.locals.tenant,
+ * see tenant.middleware.js), so each site's traffic can be filtered out.
+ * Requests made with a server key carry the key's name (res.locals.serverKey,
+ * see auth.middleware.js).
+ *
+ * Requests whose client disconnected before the response was complete are
+ * marked "| aborted" (json: aborted: true).
+ *
+ * Each request gets an id (res.locals.requestId), echoed in the X-Request-Id
+ * response header.  A well-formed X-Request-Id sent by the client or an
+ * upstream proxy is reused, so one id can be followed across services.
+ * The start time (res.locals.startedAt) lets other components — e.g.
+ * transcript entries — record durations that match the access log.
+ *
+ * Token counts and the provider are only included when the chat controller
+ * attaches them to res.locals (i.e. for POST /api/chat requests).
+ *
+ * Every request is also counted in http_requests_total (see metrics.service.js),
+ * labelled by route pattern rather than raw URL to keep label values bounded.
+ *
+ * No third-party logging library is required — output goes to stdout so it
  * is captured automatically by platform log aggregators (Render, Railway, etc.).
  */
 
+const crypto = require("crypto");
+const logger = require("../utils/logger");
+const { httpRequests } = require("../services/metrics.service");
+
+// Incoming ids are echoed into logs and headers, so keep them short and plain
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Route pattern for metrics labels, e.g. "/api/admin/conversations/:id".
+ *
+ * req.baseUrl is reset once a request falls through to the app-level error
+ * handler, so the mount path is recovered by trimming as many segments off
+ * the URL as the matched route pattern has.
+ *
+ * @param {import("express").Request} req
+ * @returns {string}
+ */
+function _routeLabel(req) {
+  if (!req.route) return req.baseUrl ? `${req.baseUrl}/*` : "unmatched";
+  const routePath = req.route.path === "/" ? "" : req.route.path;
+  const depth = routePath.split("/").length - 1;
+  const segments = req.originalUrl.split("?")[0].split("/");
+  return segments.slice(0, segments.length - depth).join("/") + routePath || "/";
+}
+
 /**
  * @param {import("express").Request}  req
  * @param {import("express").Response} res
@@ -20,29 +65,66 @@
  */
 function loggerMiddleware(req, res, next) {
   const startedAt = Date.now();
+  const incoming = req.get("x-request-id");
+  const requestId =
+    incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.locals.requestId = requestId;
+  res.locals.startedAt = startedAt;
+  res.setHeader("X-Request-Id", requestId);
 
-  // "finish" fires after the last byte has been flushed to the client.
+  // "close" fires once the response is done — after the last byte has been
+  // flushed, or when the client disconnected first (which "finish" misses).
   // This works for both regular JSON responses and SSE streams.
-  res.on("finish", () => {
+  res.on("close", () => {
+    const aborted = !res.writableFinished;
     const duration = Date.now() - startedAt;
-    const ts = new Date().toISOString();
     const usage = res.locals.tokenUsage;
+    const provider = res.locals.provider;
+    const latency = res.locals.providerLatencyMs;
+    const tenant = res.locals.tenant;
+    const serverKey = res.locals.serverKey;
+    const status = res.statusCode;
+    // originalUrl, not path — routers strip their mount point from req.path
+    const route = req.originalUrl.split("?")[0];
+    const level = status >= 500 ? "error" : status >= 400 ? "warn" : "info";
 
+    httpRequests.inc({ method: req.method, route: _routeLabel(req), status });
+
+    const tenantStr = tenant ? ` | tenant: ${tenant}` : "";
+    const keyStr = serverKey ? ` | key: ${serverKey}` : "";
     // Build optional token usage string
     const tokenStr = usage
       ? ` | tokens: prompt=${usage.prompt_tokens} completion=${usage.completion_tokens} total=${usage.total_tokens}`
       : "";
+    const latencyStr = latency !== undefined ? ` (first token ${latency}ms)` : "";
+    const providerStr = provider ? ` | provider: ${provider}${latencyStr}` : "";
+    const abortedStr = aborted ? " | aborted" : "";
 
     // Colour-code by status range for quick human scanning in terminal
-    const status = res.statusCode;
-    const statusLabel =
-      status >= 500 ? `\x1b[31m${status}\x1b[0m` : // red
-      status >= 400 ? `\x1b[33m${status}\x1b[0m` : // yellow
-      status >= 300 ? `\x1b[36m${status}\x1b[0m` : // cyan
-                     `\x1b[32m${status}\x1b[0m`;  // green
-
-    console.log(
-      `[${ts}] ${req.method} ${req.path} ${statusLabel} ${duration}ms${tokenStr}`
+    const statusLabel = logger.colorize(
+      status >= 500 ? 31 : // red
+      status >= 400 ? 33 : // yellow
+      status >= 300 ? 36 : // cyan
+                      32,  // green
+      status
+    );
+
+    logger[level](
+      "request completed",
+      {
+        requestId,
+        ...(tenant ? { tenant } : {}),
+        ...(serverKey ? { serverKey } : {}),
+        method: req.method,
+        route,
+        status,
+        durationMs: duration,
+        ...(usage ? { tokens: usage } : {}),
+        ...(provider ? { provider } : {}),
+        ...(latency !== undefined ? { providerLatencyMs: latency } : {}),
+        ...(aborted ? { aborted } : {}),
+      },
+      `[${new Date().toISOString()}] ${req.method} ${route} ${statusLabel} ${duration}ms${tenantStr}${keyStr}${tokenStr}${providerStr}${abortedStr} | req: ${requestId}`
     );
   });
 
@@ -0,0 +1,28 @@
+/**
+ * src/middleware/shutdown.middleware.js
+ *
+ * Refuses new chats while the server is shutting down (see
+ * shutdown.service.js):
+ *   503 { "error": "…", "code": "SHUTTING_DOWN" }   with Retry-After
+ * Mount it first, before chatAuth, so a refused request doesn't use up the
+ * visitor's single-use session token.  Replies already running, and
+ * reconnects to them, are not affected.
+ */
+
+const { isDraining, shutdownError } = require("../services/shutdown.service");
+
+/**
+ * @param {import("express").Request}  req
+ * @param {import("express").Response} res
+ * @param {import("express").NextFunction} next
+ */
+function refuseWhileDraining(req, res, next) {
+  if (!isDraining()) return next();
+
+  // Don't keep the connection to an instance that is going away
+  res.setHeader("Connection", "close");
+  res.setHeader("Retry-After", 5);
+  next(shutdownError());
+}
+
+module.exports = { refuseWhileDraining };
@@ -0,0 +1,31 @@
+/**
+ * src/middleware/tenant.middleware.js
+ *
+ * Resolves which tenant (assistant profile) a request is for — from the
+ * X-Site-Id header or ?site= query parameter, else the Origin header — and
+ * attaches it as req.tenant.  The id is also put on res.locals.tenant so the
+ * access log can include it.  See tenant.service.js.
+ */
+
+const { findTenant } = require("../services/tenant.service");
+
+/**
+ * @param {import("express").Request}  req
+ * @param {import("express").Response} res
+ * @param {import("express").NextFunction} next
+ */
+function resolveTenant(req, res, next) {
+  try {
+    const siteId = req.get("x-site-id") || req.query.site;
+    req.tenant = findTenant({
+      siteId: typeof siteId === "string" ? siteId : undefined,
+      origin: req.get("origin"),
+    });
+    res.locals.tenant = req.tenant.id;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = { resolveTenant };
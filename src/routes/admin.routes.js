@@ -0,0 +1,37 @@
+/**
+ * src/routes/admin.routes.js
+ *
+ * Mounts the protected /api/admin endpoints.
+ * Every route requires ADMIN_TOKEN (Bearer) or ADMIN_USER/ADMIN_PASSWORD (Basic).
+ */
+
+const { Router } = require("express");
+const { adminLimiter } = require("../middleware/limiter.middleware");
+const { adminAuth } = require("../middleware/auth.middleware");
+const {
+  getStats,
+  getConversations,
+  getConversation,
+  getLeads,
+  getLimits,
+  getConfig,
+  getTranscripts,
+  exportTranscripts,
+} = require("../controllers/admin.controller");
+
+const router = Router();
+
+// Rate limit first so failed logins count too
+router.use(adminLimiter, adminAuth);
+
+// ── Routes ─────────────────────────────────────────────────────────────────
+router.get("/stats", getStats);
+router.get("/conversations", getConversations);
+router.get("/conversations/:id", getConversation);
+router.get("/leads", getLeads);
+router.get("/limits", getLimits);
+router.get("/config", getConfig);
+router.get("/transcripts", getTranscripts);
+router.get("/transcripts/export", exportTranscripts);
+
+module.exports = router;
@@ -1,28 +1,36 @@
 /**
  * src/routes/chat.routes.js
  *
- * Mounts the /api/chat endpoint and attaches the rate limiter.
+ * Mounts the /api/chat endpoints and attaches the tenant resolver, the
+ * rate limiters and, for new messages, the shutdown gate, the session token
+ * check and the optional bot challenge.
  */
 
 const { Router } = require("express");
-const rateLimit = require("express-rate-limit");
-const { handleChat } = require("../controllers/chat.controller");
+const { resolveTenant } = require("../middleware/tenant.middleware");
+const { chatLimiter, streamLimiter } = require("../middleware/limiter.middleware");
+const { chatAuth } = require("../middleware/auth.middleware");
+const { botChallenge } = require("../middleware/challenge.middleware");
+const { refuseWhileDraining } = require("../middleware/shutdown.middleware");
+const {
+  handleChat,
+  resumeChat,
+  cancelChat,
+  getChatStarters,
+} = require("../controllers/chat.controller");
 
 const router = Router();
 
-// ── Rate limiter ───────────────────────────────────────────────────────────
-// 100 requests per 15-minute window per IP.
-const chatLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100,
-  standardHeaders: true,  // Return rate-limit info in RateLimit-* headers
-  legacyHeaders: false,
-  message: {
-    error: "Too many requests — please try again in a few minutes.",
-  },
-});
+// Every chat endpoint answers for one tenant (site id or origin)
+router.use(resolveTenant);
 
-// ── Route ──────────────────────────────────────────────────────────────────
-router.post("/", chatLimiter, handleChat);
+// ── Routes ─────────────────────────────────────────────────────────────────
+// chatAuth first: the limiter counts per widget session too
+router.post("/", refuseWhileDraining, chatAuth, chatLimiter, botChallenge, handleChat);
+// No provider call behind it, so it doesn't count against the chat limit
+router.get("/starters", getChatStarters);
+// Resume and stop don't count against the chat limit either — only their own
+router.get("/streams/:id", streamLimiter, resumeChat);
+router.delete("/streams/:id", streamLimiter, cancelChat);
 
 module.exports = router;
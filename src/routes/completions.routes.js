@@ -0,0 +1,39 @@
+/**
+ * src/routes/completions.routes.js
+ *
+ * Mounts the OpenAI-compatible /v1 endpoints.  Shares the chat rate limiter
+ * with /api/chat, so both routes draw on the same per-IP allowance.  Callers
+ * without an Origin pick a tenant with the X-Site-Id header (default tenant
+ * otherwise), and authenticate with a server key as the SDK's apiKey.
+ */
+
+const { Router } = require("express");
+const { resolveTenant } = require("../middleware/tenant.middleware");
+const { chatLimiter } = require("../middleware/limiter.middleware");
+const { chatAuth } = require("../middleware/auth.middleware");
+const { refuseWhileDraining } = require("../middleware/shutdown.middleware");
+const { openAIErrorMiddleware } = require("../middleware/error.middleware");
+const { createCompletion, listModels } = require("../controllers/completions.controller");
+
+const router = Router();
+
+// ── Routes ─────────────────────────────────────────────────────────────────
+router.post(
+  "/chat/completions",
+  refuseWhileDraining,
+  resolveTenant,
+  chatAuth,
+  chatLimiter,
+  createCompletion
+);
+router.get("/models", listModels);
+
+// Unknown /v1 paths and errors answer in OpenAI's error shape
+router.use((_req, res) => {
+  res.status(404).json({
+    error: { message: "Route not found", type: "not_found_error", code: null },
+  });
+});
+router.use(openAIErrorMiddleware);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+/**
+ * src/routes/health.routes.js
+ *
+ * Mounts the /health endpoints.  Liveness and readiness are public; the deep
+ * check sits behind the metrics token.
+ */
+
+const { Router } = require("express");
+const { metricsAuth } = require("../middleware/auth.middleware");
+const { liveness, readiness, deepHealth } = require("../controllers/health.controller");
+
+const router = Router();
+
+// ── Routes ─────────────────────────────────────────────────────────────────
+router.get("/", liveness); // Kept for monitors set up before /live existed
+router.get("/live", liveness);
+router.get("/ready", readiness);
+router.get("/deep", metricsAuth, deepHealth);
+
+module.exports = router;
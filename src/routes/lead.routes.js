@@ -0,0 +1,19 @@
+/**
+ * src/routes/lead.routes.js
+ *
+ * Mounts POST /api/leads (the inline contact form) behind the tenant
+ * resolver and the chat rate limiter.  Per-IP lead throttling happens in
+ * lead.service.js.
+ */
+
+const { Router } = require("express");
+const { resolveTenant } = require("../middleware/tenant.middleware");
+const { chatLimiter } = require("../middleware/limiter.middleware");
+const { createLead } = require("../controllers/lead.controller");
+
+const router = Router();
+
+// ── Routes ─────────────────────────────────────────────────────────────────
+router.post("/", resolveTenant, chatLimiter, createLead);
+
+module.exports = router;
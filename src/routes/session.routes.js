@@ -0,0 +1,19 @@
+/**
+ * src/routes/session.routes.js
+ *
+ * Mounts POST /api/session (widget session tokens) behind the shutdown gate,
+ * the tenant resolver and the chat rate limiter.
+ */
+
+const { Router } = require("express");
+const { resolveTenant } = require("../middleware/tenant.middleware");
+const { chatLimiter } = require("../middleware/limiter.middleware");
+const { refuseWhileDraining } = require("../middleware/shutdown.middleware");
+const { createSessionToken } = require("../controllers/session.controller");
+
+const router = Router();
+
+// ── Routes ─────────────────────────────────────────────────────────────────
+router.post("/", refuseWhileDraining, resolveTenant, chatLimiter, createSessionToken);
+
+module.exports = router;
@@ -0,0 +1,231 @@
+/**
+ * src/services/budget.service.js
+ *
+ * Daily token / spend budget, checked before any provider is called.
+ *
+ * Limits (all optional; unset = unlimited):
+ *   BUDGET_DAILY_TOKENS         — global tokens per UTC day
+ *   BUDGET_DAILY_SPEND          — global estimated spend per UTC day (price table currency)
+ *   BUDGET_DAILY_TOKENS_PER_IP  — tokens per visitor IP per UTC day
+ *
+ * What happens once a limit is hit (BUDGET_EXCEEDED_ACTION):
+ *   reject    — 429 with a friendly "assistant is resting" message (default)
+ *   faq       — answer from canned replies built from the owner profile
+ *   downgrade — keep answering with BUDGET_FALLBACK_PROVIDERS (a cheaper chain)
+ *
+ * Global totals come from usage.service.js, so they survive restarts.
+ * Per-IP counters are kept in memory only — IPs are never written to disk.
+ *
+ * The budget is shared by all tenants (they spend the same provider keys);
+ * the resting message and FAQ replies use the asking tenant's profile, in
+ * the reply locale (English or Filipino, see language.service.js).  A
+ * tenant's view of the budget (getBudgetState({ tenant })) shows its own
+ * usage against the shared limits.
+ */
+
+const { getDailyUsage } = require("./usage.service");
+const { getPersona } = require("./persona.service");
+const { isMultiTenant } = require("./tenant.service");
+
+const ACTIONS = new Set(["reject", "faq", "downgrade"]);
+
+const limitFrom = (value) => {
+  const n = parseFloat(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+};
+
+const DAILY_TOKENS = limitFrom(process.env.BUDGET_DAILY_TOKENS);
+const DAILY_SPEND = limitFrom(process.env.BUDGET_DAILY_SPEND);
+const DAILY_TOKENS_PER_IP = limitFrom(process.env.BUDGET_DAILY_TOKENS_PER_IP);
+const ACTION = ACTIONS.has(process.env.BUDGET_EXCEEDED_ACTION)
+  ? process.env.BUDGET_EXCEEDED_ACTION
+  : "reject";
+const FALLBACK_PROVIDERS = process.env.BUDGET_FALLBACK_PROVIDERS || "";
+
+const _today = () => new Date().toISOString().slice(0, 10);
+
+// ── Per-IP counters (reset at UTC midnight) ────────────────────────────────
+let _ipDay = _today();
+let _ipTokens = new Map();
+
+function _rollover() {
+  const day = _today();
+  if (day !== _ipDay) {
+    _ipDay = day;
+    _ipTokens = new Map();
+  }
+}
+
+/**
+ * Which limit (if any) is currently exceeded for this visitor.
+ * @param {string} ip
+ * @returns {"tokens"|"spend"|"ip"|null}
+ */
+function _exceededLimit(ip) {
+  _rollover();
+  const today = getDailyUsage();
+
+  if (DAILY_TOKENS && today.totalTokens >= DAILY_TOKENS) return "tokens";
+  if (DAILY_SPEND && today.estimatedCost >= DAILY_SPEND) return "spend";
+  if (DAILY_TOKENS_PER_IP && (_ipTokens.get(ip) || 0) >= DAILY_TOKENS_PER_IP) return "ip";
+  return null;
+}
+
+/**
+ * Decides how to serve a chat request given today's budget.
+ *
+ * @param {string} ip
+ * @param {string} [tenantId] - For the resting message.
+ * @param {string} [locale] - Language of the resting message.
+ * @returns {{ action: "allow" } |
+ *           { action: "reject" | "faq", limit: string, message: string } |
+ *           { action: "downgrade", limit: string, chain: string }}
+ */
+function checkBudget(ip, tenantId, locale) {
+  const limit = _exceededLimit(ip);
+  if (!limit) return { action: "allow" };
+
+  // Without a fallback chain configured, downgrading is impossible — rest instead
+  if (ACTION === "downgrade" && FALLBACK_PROVIDERS) {
+    return { action: "downgrade", limit, chain: FALLBACK_PROVIDERS };
+  }
+
+  return {
+    action: ACTION === "faq" ? "faq" : "reject",
+    limit,
+    message: getRestingMessage(tenantId, locale),
+  };
+}
+
+/**
+ * Adds a completed request's tokens to the visitor's daily counter.
+ * (Global totals are tracked by usage.service.js.)
+ * @param {string} ip
+ * @param {{ total_tokens?: number }|null} usage
+ */
+function recordBudgetUsage(ip, usage) {
+  if (!usage || !DAILY_TOKENS_PER_IP) return;
+  _rollover();
+  _ipTokens.set(ip, (_ipTokens.get(ip) || 0) + (usage.total_tokens || 0));
+}
+
+const _contactLine = (profile) =>
+  Object.entries(profile.contact)
+    .map(([label, value]) => `${label}: ${value}`)
+    .join(" | ");
+
+/**
+ * The friendly message shown when the assistant is out of budget.
+ * BUDGET_MESSAGE, when set, is used as is for every locale.
+ * @param {string} [tenantId]
+ * @param {string} [locale] - "fil" for Filipino; English otherwise.
+ * @returns {string}
+ */
+function getRestingMessage(tenantId, locale) {
+  if (process.env.BUDGET_MESSAGE) return process.env.BUDGET_MESSAGE;
+
+  const { profile } = getPersona(tenantId);
+  const { name } = profile;
+  if (locale === "fil") {
+    return (
+      `Nagpapahinga muna ang assistant ni ${name} ngayong araw at babalik bukas. ` +
+      `Samantala, maaabot mo si ${name} nang direkta — ${_contactLine(profile)}`
+    );
+  }
+  return (
+    `${name}'s assistant is resting for today and will be back tomorrow. ` +
+    `In the meantime you can reach ${name} directly — ${_contactLine(profile)}`
+  );
+}
+
+// ── Canned FAQ replies (BUDGET_EXCEEDED_ACTION=faq) ────────────────────────
+// Built from the live profile so they never drift from the persona.
+const FAQ_TOPICS = [
+  {
+    pattern: /\b(skills?|stack|technolog\w*|languages?|framework\w*|tools?|marunong)\b/i,
+    answer: {
+      en: (p) => `${p.name} works with ${p.skills.join(", ")}.`,
+      fil: (p) => `Gumagamit si ${p.name} ng ${p.skills.join(", ")}.`,
+    },
+  },
+  {
+    pattern: /\b(projects?|built|portfolio|work(ed)? on|proyekto|ginawa|gumawa)\b/i,
+    answer: {
+      en: (p) =>
+        `Some of ${p.name}'s projects:\n` +
+        p.projects.map((proj) => `• ${proj.name} – ${proj.description}`).join("\n"),
+      fil: (p) =>
+        `Ilan sa mga proyekto ni ${p.name}:\n` +
+        p.projects.map((proj) => `• ${proj.name} – ${proj.description}`).join("\n"),
+    },
+  },
+  {
+    pattern: /\b(contact|email|hire|reach|available|availability|freelance|github|makontak|kontakin)\b/i,
+    answer: {
+      en: (p) => `You can reach ${p.name} here: ${_contactLine(p)}`,
+      fil: (p) => `Maaabot mo si ${p.name} dito: ${_contactLine(p)}`,
+    },
+  },
+];
+
+/**
+ * Returns a canned answer for common questions, or the resting message.
+ * @param {string} question
+ * @param {string} [tenantId]
+ * @param {string} [locale] - "fil" for Filipino; English otherwise.
+ * @returns {string}
+ */
+function answerFromFaq(question, tenantId, locale) {
+  const { profile } = getPersona(tenantId);
+  const topic = FAQ_TOPICS.find((t) => t.pattern.test(question));
+  if (!topic) return getRestingMessage(tenantId, locale);
+  return (topic.answer[locale] || topic.answer.en)(profile);
+}
+
+/**
+ * Budget limits and today's consumption, for /api/stats.
+ *
+ * With `tenant` on a multi-tenant server, `used` is that tenant's share of
+ * today's usage and the per-IP counts (kept for every site together) are left
+ * out; `exceeded` still tells whether the shared limit has been hit.  With a
+ * single tenant, its view is the whole server's.
+ * @param {object} [options]
+ * @param {string} [options.tenant]
+ * @returns {object}
+ */
+function getBudgetState({ tenant } = {}) {
+  _rollover();
+  const today = getDailyUsage(_ipDay);
+  const exceeded =
+    (DAILY_TOKENS !== null && today.totalTokens >= DAILY_TOKENS) ||
+    (DAILY_SPEND !== null && today.estimatedCost >= DAILY_SPEND);
+
+  const scoped = Boolean(tenant) && isMultiTenant();
+  const used = scoped ? getDailyUsage(_ipDay, { tenant }) : today;
+
+  return {
+    ...(scoped ? { tenant } : {}),
+    day: _ipDay,
+    action: ACTION,
+    exceeded,
+    tokens: { used: used.totalTokens, limit: DAILY_TOKENS },
+    spend: { used: used.estimatedCost, limit: DAILY_SPEND },
+    perIp: scoped
+      ? { limit: DAILY_TOKENS_PER_IP }
+      : {
+          limit: DAILY_TOKENS_PER_IP,
+          trackedIps: _ipTokens.size,
+          exceededIps: DAILY_TOKENS_PER_IP
+            ? [..._ipTokens.values()].filter((t) => t >= DAILY_TOKENS_PER_IP).length
+            : 0,
+        },
+  };
+}
+
+module.exports = {
+  checkBudget,
+  recordBudgetUsage,
+  answerFromFaq,
+  getRestingMessage,
+  getBudgetState,
+};
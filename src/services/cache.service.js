@@ -0,0 +1,254 @@
+/**
+ * src/services/cache.service.js
+ *
+ * Answer cache for frequently asked, self-contained questions ("what are
+ * James's skills?"), so repeats don't cost a completion.
+ *
+ * Opt-in: RESPONSE_CACHE_ENABLED=true.  Only first questions of a
+ * conversation are cached (follow-ups depend on history), and never answers
+ * that used tools (live data), were steered or stopped by a guard, or were
+ * cut short.
+ *
+ * Lookup is by normalised question first (case, punctuation and
+ * possessives ignored), then by similarity: the question's content words
+ * (stopwords dropped, light stemming) are compared with each cached
+ * question's, and the best match at RESPONSE_CACHE_SIMILARITY (Jaccard,
+ * default 0.8) or above is used — "what skills does James have?" finds the
+ * answer to "What are James's skills?".  Answers are only reused for the
+ * same tenant and reply language (tenant.service.js, language.service.js),
+ * and hits and misses are counted per tenant.
+ *
+ * Entries are keyed on the tenant's persona version and retrieval index,
+ * expire after RESPONSE_CACHE_TTL_MINUTES (default 60), and are dropped as
+ * soon as the tenant's profile changes.  The cache lives in memory and is bounded by
+ * RESPONSE_CACHE_MAX_ENTRIES (default 500, least recently used evicted).
+ */
+
+const { getPersona, onPersonaChange } = require("./persona.service");
+const { tokenize, getIndexVersion } = require("./retrieval.service");
+const { getTenant, getDefaultTenant } = require("./tenant.service");
+const { cacheLookups } = require("./metrics.service");
+
+const ENABLED = process.env.RESPONSE_CACHE_ENABLED === "true";
+const TTL_MS = (parseFloat(process.env.RESPONSE_CACHE_TTL_MINUTES) || 60) * 60 * 1000;
+const MAX_ENTRIES = parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES, 10) || 500;
+const SIMILARITY = parseFloat(process.env.RESPONSE_CACHE_SIMILARITY) || 0.8;
+
+// Fewer content words than this and similarity is too easily fooled
+const MIN_FUZZY_TERMS = 2;
+
+/**
+ * @typedef {object} CachedReply
+ * @property {string} reply
+ * @property {string} provider - Who produced it originally.
+ * @property {string} model
+ * @property {Array<{ title: string, source: string }>} sources
+ * @property {boolean} [leadForm]
+ */
+
+// "<tenant>:<locale>:<normalised question>"
+//   → { key, tenantId, locale, terms, expiresAt, value: CachedReply }
+// Map order doubles as LRU order: a hit is moved to the end.
+const _entries = new Map();
+const _since = new Date().toISOString();
+// tenant id → { hits, exactHits, fuzzyHits, misses }
+const _stats = new Map();
+
+const _emptyCounts = () => ({ hits: 0, exactHits: 0, fuzzyHits: 0, misses: 0 });
+
+function _countsFor(tenantId) {
+  if (!_stats.has(tenantId)) _stats.set(tenantId, _emptyCounts());
+  return _stats.get(tenantId);
+}
+
+// A new profile makes every answer cached for that tenant suspect
+onPersonaChange((_persona, tenantId) => {
+  for (const [id, entry] of _entries) {
+    if (entry.tenantId === tenantId) _entries.delete(id);
+  }
+});
+
+/**
+ * Lowercases and strips punctuation and possessives.
+ * @param {string} question
+ * @returns {string}
+ */
+function normalizeQuestion(question) {
+  return question
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/['’]s\b/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+/**
+ * Content words with plural/verb endings removed ("projects" → "project").
+ * @param {string} question
+ * @returns {Set<string>}
+ */
+function _terms(question) {
+  const stem = (t) =>
+    t.length > 4 ? t.replace(/ies$/, "y").replace(/(ing|ed)$/, "").replace(/([^s])s$/, "$1") : t;
+  return new Set(tokenize(question).map(stem));
+}
+
+/**
+ * Jaccard similarity of two term sets.
+ * @returns {number} 0–1
+ */
+function _similarity(a, b) {
+  let shared = 0;
+  for (const t of a) if (b.has(t)) shared += 1;
+  const union = a.size + b.size - shared;
+  return union === 0 ? 0 : shared / union;
+}
+
+/**
+ * Cached answers are only valid for the profile and corpus they came from.
+ * @param {string} tenantId
+ * @returns {string}
+ */
+function _currentKey(tenantId) {
+  const { ragIndex } = getTenant(tenantId);
+  return `${getPersona(tenantId).version}:${getIndexVersion(ragIndex) || "-"}`;
+}
+
+/**
+ * True when the cache is on.
+ * @returns {boolean}
+ */
+function isCacheEnabled() {
+  return ENABLED;
+}
+
+/**
+ * Finds a cached answer for a question.
+ * @param {string} question - Validated first message of a conversation.
+ * @param {object} [options]
+ * @param {string} [options.locale] - Reply language; only answers in it are used.
+ * @param {string} [options.tenantId] - Only this tenant's answers are used (default tenant).
+ * @returns {(CachedReply & { match: "exact"|"similar" })|null}
+ */
+function lookupReply(question, { locale = "en", tenantId = getDefaultTenant().id } = {}) {
+  if (!ENABLED) return null;
+
+  const now = Date.now();
+  const key = _currentKey(tenantId);
+  const normalized = normalizeQuestion(question);
+
+  // Drop stale entries while we're here
+  for (const [q, entry] of _entries) {
+    if (entry.expiresAt <= now || (entry.tenantId === tenantId && entry.key !== key)) {
+      _entries.delete(q);
+    }
+  }
+
+  let match = "exact";
+  const id = `${tenantId}:${locale}:${normalized}`;
+  let found = normalized ? _entries.get(id) : null;
+  let foundAt = id;
+
+  if (!found) {
+    const terms = _terms(question);
+    let best = 0;
+    if (terms.size >= MIN_FUZZY_TERMS) {
+      for (const [q, entry] of _entries) {
+        if (entry.tenantId !== tenantId || entry.locale !== locale) continue;
+        const score = _similarity(terms, entry.terms);
+        if (score >= SIMILARITY && score > best) {
+          best = score;
+          found = entry;
+          foundAt = q;
+        }
+      }
+    }
+    match = "similar";
+  }
+
+  const counts = _countsFor(tenantId);
+  if (!found) {
+    counts.misses += 1;
+    cacheLookups.inc({ result: "miss" });
+    return null;
+  }
+
+  // Most recently used last
+  _entries.delete(foundAt);
+  _entries.set(foundAt, found);
+
+  counts.hits += 1;
+  counts[match === "exact" ? "exactHits" : "fuzzyHits"] += 1;
+  cacheLookups.inc({ result: match });
+  return { ...found.value, match };
+}
+
+/**
+ * Stores an answer for later lookups.
+ * @param {string} question
+ * @param {CachedReply} value
+ * @param {object} [options]
+ * @param {string} [options.locale] - Language the answer is in.
+ * @param {string} [options.tenantId] - Tenant it was answered for (default tenant).
+ */
+function storeReply(question, value, { locale = "en", tenantId = getDefaultTenant().id } = {}) {
+  if (!ENABLED) return;
+
+  const normalized = normalizeQuestion(question);
+  if (!normalized) return;
+
+  const id = `${tenantId}:${locale}:${normalized}`;
+  _entries.delete(id);
+  _entries.set(id, {
+    key: _currentKey(tenantId),
+    tenantId,
+    locale,
+    terms: _terms(question),
+    expiresAt: Date.now() + TTL_MS,
+    value,
+  });
+
+  // Evict least recently used
+  while (_entries.size > MAX_ENTRIES) {
+    _entries.delete(_entries.keys().next().value);
+  }
+}
+
+/**
+ * Hit rate and size since startup, for /api/stats.
+ * @param {object} [options]
+ * @param {string} [options.tenant] - Only this tenant's lookups and entries;
+ *   every tenant's without it.
+ * @returns {object}
+ */
+function getCacheStats({ tenant } = {}) {
+  const totals = _emptyCounts();
+  const scopes = tenant ? [_stats.get(tenant)].filter(Boolean) : [..._stats.values()];
+  for (const counts of scopes) {
+    for (const key of Object.keys(totals)) totals[key] += counts[key];
+  }
+  const entries = tenant
+    ? [..._entries.values()].filter((entry) => entry.tenantId === tenant).length
+    : _entries.size;
+
+  const lookups = totals.hits + totals.misses;
+  return {
+    ...(tenant ? { tenant } : {}),
+    enabled: ENABLED,
+    since: _since,
+    ...totals,
+    hitRate: lookups ? Math.round((totals.hits / lookups) * 1000) / 1000 : null,
+    entries,
+    maxEntries: MAX_ENTRIES,
+    ttlMinutes: TTL_MS / 60000,
+    similarity: SIMILARITY,
+  };
+}
+
+module.exports = {
+  isCacheEnabled,
+  normalizeQuestion,
+  lookupReply,
+  storeReply,
+  getCacheStats,
+};
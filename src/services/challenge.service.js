@@ -0,0 +1,105 @@
+/**
+ * src/services/challenge.service.js
+ *
+ * Proof-of-work challenges for clients that look automated (see
+ * challenge.middleware.js).
+ *
+ * A challenge is a signed, short-lived string (token.service.js) bound to the
+ * client's IP and tenant.  Solving it means finding a number `nonce` such that
+ *
+ *   SHA-256("<challenge>:<nonce>")
+ *
+ * starts with CHALLENGE_DIFFICULTY zero bits (default 16: ~65 000 hashes on
+ * average, well under a second in a browser).  The answer is sent back as
+ *   X-Challenge: <challenge>:<nonce>
+ * and can only be used once.  The widgets do this automatically; for a
+ * scraper it makes every request cost CPU time.
+ */
+
+const crypto = require("crypto");
+const { sealClaims, openClaims, markUsed, randomId } = require("./token.service");
+
+const ENABLED = process.env.CHALLENGE_ENABLED === "true";
+const DIFFICULTY = Math.min(parseInt(process.env.CHALLENGE_DIFFICULTY, 10) || 16, 24);
+const TTL_SECONDS = parseInt(process.env.CHALLENGE_TTL_SECONDS, 10) || 120;
+
+const _stats = { issued: 0, solved: 0, rejected: 0, byReason: {} };
+
+/**
+ * True when CHALLENGE_ENABLED=true.
+ * @returns {boolean}
+ */
+function isChallengeEnabled() {
+  return ENABLED;
+}
+
+/**
+ * Number of leading zero bits in a buffer.
+ * @param {Buffer} buf
+ * @returns {number}
+ */
+function _zeroBits(buf) {
+  let bits = 0;
+  for (const byte of buf) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+/**
+ * A new challenge for one client.
+ * @param {object} scope
+ * @param {string} scope.ip
+ * @param {string} scope.tenantId
+ * @param {string} [reason] - Why the client is challenged, for the stats.
+ * @returns {{ challenge: string, difficulty: number }}
+ */
+function issueChallenge({ ip, tenantId }, reason = "other") {
+  _stats.issued += 1;
+  _stats.byReason[reason] = (_stats.byReason[reason] || 0) + 1;
+  const exp = Math.floor(Date.now() / 1000) + TTL_SECONDS;
+  return {
+    challenge: sealClaims({ ip, t: tenantId, d: DIFFICULTY, exp, n: randomId() }),
+    difficulty: DIFFICULTY,
+  };
+}
+
+/**
+ * Checks an X-Challenge answer and marks the challenge used.
+ * @param {string|undefined} answer - "<challenge>:<nonce>"
+ * @param {object} scope - The request's IP and tenant.
+ * @param {string} scope.ip
+ * @param {string} scope.tenantId
+ * @returns {boolean}
+ */
+function verifySolution(answer, { ip, tenantId }) {
+  if (!answer) return false;
+
+  const sep = answer.lastIndexOf(":");
+  const challenge = answer.slice(0, sep);
+  const claims = sep > 0 ? openClaims(challenge) : null;
+  const valid =
+    claims !== null &&
+    claims.ip === ip &&
+    claims.t === tenantId &&
+    claims.exp > Date.now() / 1000 &&
+    _zeroBits(crypto.createHash("sha256").update(answer).digest()) >= claims.d &&
+    markUsed(claims.n, claims.exp);
+
+  _stats[valid ? "solved" : "rejected"] += 1;
+  return valid;
+}
+
+/**
+ * Challenge settings and counts since startup, for the admin API.
+ * @returns {object}
+ */
+function getChallengeStats() {
+  return { enabled: ENABLED, difficulty: DIFFICULTY, ttlSeconds: TTL_SECONDS, ..._stats };
+}
+
+module.exports = { isChallengeEnabled, issueChallenge, verifySolution, getChallengeStats };
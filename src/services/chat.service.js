@@ -0,0 +1,237 @@
+/**
+ * src/services/chat.service.js
+ *
+ * One question/answer turn, shared by every chat entry point:
+ *
+ *   POST /api/chat              — SSE stream, or JSON with stream: false
+ *   POST /v1/chat/completions   — OpenAI-compatible (see completions.controller.js)
+ *
+ * Keeps validation, the daily budget check, guardrails, the reply language,
+ * the answer cache and usage accounting in one place so each route only has to parse its own
+ * request format and choose how the reply is delivered.  Every turn is
+ * answered for one tenant (tenant.service.js), resolved by the route.
+ */
+
+const { streamAIReply, streamStaticReply, streamCachedReply } = require("./ai.service");
+const { lookupReply, storeReply } = require("./cache.service");
+const { checkBudget, recordBudgetUsage, answerFromFaq } = require("./budget.service");
+const { recordTranscript } = require("./transcript.service");
+const { normalizeLocale, resolveLanguage, getSupportedLocales } = require("./language.service");
+const {
+  checkInput,
+  createOutputGuard,
+  refusalText,
+  redirectInstruction,
+} = require("./guard.service");
+const { trackReply, shutdownReason } = require("./shutdown.service");
+
+const MAX_MESSAGE_LENGTH = 1000;
+
+function _badRequest(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+/**
+ * Validates a visitor's message.
+ * @param {unknown} message
+ * @param {string} [field] - Name used in error messages.
+ * @returns {string} The trimmed message.
+ * @throws {Error} 400 when missing, blank or too long.
+ */
+function validateMessage(message, field = "message") {
+  if (!message || typeof message !== "string") {
+    throw _badRequest(`Request body must include a "${field}" string.`);
+  }
+
+  const trimmed = message.trim();
+
+  if (trimmed.length === 0) {
+    throw _badRequest(`"${field}" must not be blank.`);
+  }
+
+  if (trimmed.length > MAX_MESSAGE_LENGTH) {
+    throw _badRequest(`"${field}" must be ${MAX_MESSAGE_LENGTH} characters or fewer.`);
+  }
+
+  return trimmed;
+}
+
+/**
+ * Validates an optional reply language ("fil", "tl", "en-US" …).
+ * @param {unknown} locale
+ * @returns {string|null} The supported locale, or null when not given.
+ * @throws {Error} 400 when it isn't a supported locale.
+ */
+function validateLocale(locale) {
+  if (locale === undefined || locale === null) return null;
+
+  const normalized = normalizeLocale(locale);
+  if (!normalized) {
+    throw _badRequest(`"locale" must be one of: ${getSupportedLocales().join(", ")}.`);
+  }
+  return normalized;
+}
+
+/**
+ * Checks today's budget before any provider is called.
+ * @param {string} ip
+ * @param {string} [tenantId] - For the resting message.
+ * @param {string} [locale] - Language of the resting message.
+ * @returns {ReturnType<typeof checkBudget>} The decision, to pass to runChatTurn().
+ * @throws {Error} 429 BUDGET_EXCEEDED when the request must be rejected.
+ */
+function admitChat(ip, tenantId, locale) {
+  const budget = checkBudget(ip, tenantId, locale);
+
+  if (budget.action === "reject") {
+    const err = new Error(budget.message);
+    err.statusCode = 429;
+    err.code = "BUDGET_EXCEEDED";
+    err.expose = true;
+    throw err;
+  }
+
+  return budget;
+}
+
+/**
+ * Generates a reply into `sink` and records its usage.
+ *
+ * The message goes through the input guard first: a refused message gets a
+ * canned reply without calling a provider, a redirected one is answered with
+ * an extra steering instruction.  The reply itself is checked by the output
+ * guard (see guard.service.js).
+ *
+ * The first question of a conversation is looked up in the answer cache
+ * (cache.service.js) before any provider is called — even when the daily
+ * budget only allows FAQ replies — and a fresh answer to it is cached unless
+ * it used tools, was guarded or came from the downgraded chain.
+ *
+ * The reply language is the requested locale, or detected from the message
+ * and history (language.service.js); cached answers are kept per language.
+ *
+ * The sink receives the same events as an SSE reply stream (sources, chunk,
+ * tool, replace, done, suggestions) and is ended before this resolves.  Cancelled replies still
+ * count against the budget, but are not written to the transcript log.
+ *
+ * Provider replies are tracked for graceful shutdown (shutdown.service.js);
+ * one cut short by it has had an error event sent to its sink, and rejects
+ * with the 503 SHUTTING_DOWN error (the response of JSON replies).
+ *
+ * @param {ReturnType<typeof admitChat>} budget
+ * @param {object} turn
+ * @param {string} turn.message - Validated message.
+ * @param {Array<{ role: string, content: string }>} turn.history - Prior turns, oldest first.
+ * @param {string|null} turn.conversationId
+ * @param {string|null} [turn.locale] - Validated locale the client asked for.
+ * @param {string} turn.tenantId - Tenant the question was asked on.
+ * @param {import("./stream.service").ReplyStream} turn.sink
+ * @param {object} turn.request - Request metadata for accounting.
+ * @param {string} turn.request.ip
+ * @param {string} [turn.request.origin]
+ * @param {string} turn.request.requestId
+ * @param {number} turn.request.startedAt
+ * @returns {Promise<{ reply: string, usage: object|null, provider: string, model: string|null, latencyMs?: number, aborted?: boolean, sources: object[], guarded?: string, leadForm?: true, suggestions?: string[] }>}
+ *   `guarded` is set when a guard refused the message or replaced the reply,
+ *   `leadForm` when the widget should offer the contact form, and
+ *   `suggestions` holds the follow-up questions sent.  `provider` is
+ *   "guard", "cache" or "faq" when no provider was called.
+ */
+async function runChatTurn(
+  budget,
+  { message, history, conversationId, locale, tenantId, sink, request }
+) {
+  const verdict = checkInput(message, request.requestId, tenantId);
+  const language = resolveLanguage({ requested: locale, message, history });
+  // Follow-ups depend on history and steered answers on the guard
+  const cacheable = history.length === 0 && (!verdict || verdict.action === "log");
+  const cached = cacheable ? lookupReply(message, { locale: language.locale, tenantId }) : null;
+  let result;
+
+  if (verdict?.action === "refuse") {
+    result = streamStaticReply(refusalText(tenantId, language.locale), sink, {
+      conversationId,
+      guarded: verdict.category,
+      question: message,
+      history,
+      locale: language.locale,
+      tenantId,
+    });
+  } else if (cached) {
+    result = streamCachedReply(cached, sink, {
+      conversationId,
+      question: message,
+      locale: language.locale,
+      tenantId,
+    });
+  } else if (budget.action === "faq") {
+    result = streamStaticReply(answerFromFaq(message, tenantId, language.locale), sink, {
+      conversationId,
+      question: message,
+      history,
+      locale: language.locale,
+      tenantId,
+    });
+  } else {
+    const untrack = trackReply(sink, request.requestId);
+    try {
+      result = await streamAIReply(message, sink, {
+        history,
+        conversationId,
+        origin: request.origin,
+        tenantId,
+        chain: budget.chain,
+        signal: sink.signal,
+        instructions:
+          verdict?.action === "redirect"
+            ? redirectInstruction(verdict.category, tenantId, language.locale)
+            : undefined,
+        guard: createOutputGuard(request.requestId, tenantId),
+        requestId: request.requestId,
+        ip: request.ip,
+        language,
+      });
+    } catch (err) {
+      // Cancelled by the shutdown before the provider answered
+      throw shutdownReason(sink.signal) || err;
+    } finally {
+      untrack();
+    }
+
+    const { reply, provider, model, sources, leadForm, aborted, guarded, usedTools } = result;
+    if (cacheable && !budget.chain && !aborted && !guarded && !usedTools && reply) {
+      storeReply(
+        message,
+        { reply, provider, model, sources, ...(leadForm ? { leadForm } : {}) },
+        { locale: language.locale, tenantId }
+      );
+    }
+  }
+
+  // Tokens spent on a cancelled answer still count against the budget
+  recordBudgetUsage(request.ip, result.usage);
+  if (result.aborted && shutdownReason(sink.signal)) throw sink.signal.reason;
+
+  if (!result.aborted) {
+    // Opt-in, redacted transcript linked to the access log by request id
+    recordTranscript({
+      requestId: request.requestId,
+      conversationId,
+      origin: request.origin,
+      tenant: tenantId,
+      question: message,
+      answer: result.reply,
+      provider: result.provider,
+      model: result.model,
+      usage: result.usage,
+      durationMs: Date.now() - request.startedAt,
+      guarded: result.guarded,
+    });
+  }
+
+  return result;
+}
+
+module.exports = { validateMessage, validateLocale, admitChat, runChatTurn };
@@ -0,0 +1,180 @@
+/**
+ * src/services/health.service.js
+ *
+ * Deep health check behind GET /health/deep.  Liveness and readiness only say
+ * the process is up and taking chats; this looks at what the answers depend on:
+ *
+ *   providers — can each provider in every tenant's chain be reached, and
+ *               does it accept the key?  (A model listing — no tokens spent.)
+ *   personas  — is every tenant's profile loaded?
+ *   storage   — can the usage, lead and transcript logs be written, and does
+ *               the rate-limit store answer?
+ *
+ * A check is "ok", "degraded" (visitors still get answers, but a fallback
+ * provider or a log is down) or "fail" (a tenant has no reachable provider or
+ * no persona); the overall status is the worst of them.  Results are cached
+ * for HEALTH_CACHE_SECONDS (default 30) and concurrent requests share one
+ * run, so a monitor polling every few seconds doesn't turn into provider
+ * traffic.  Error details are kept short ("HTTP 401", a timeout) so they never
+ * echo a key back.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { getTenants } = require("./tenant.service");
+const { getProviderChain } = require("./llm.service");
+const { getPersona } = require("./persona.service");
+const { USAGE_LOG_PATH } = require("./usage.service");
+const { LEADS_PATH } = require("./lead.service");
+const { isTranscriptsEnabled, TRANSCRIPT_PATH } = require("./transcript.service");
+const { getStore, STORE_TYPE, FILE_PATH } = require("./ratelimit");
+
+const _seconds = parseInt(process.env.HEALTH_CACHE_SECONDS, 10);
+const CACHE_MS = (Number.isFinite(_seconds) && _seconds >= 0 ? _seconds : 30) * 1000;
+const TIMEOUT_MS = parseInt(process.env.HEALTH_TIMEOUT_MS, 10) || 5000;
+
+const RANK = { ok: 0, degraded: 1, fail: 2 };
+const _worst = (statuses) => statuses.reduce((a, b) => (RANK[b] > RANK[a] ? b : a), "ok");
+
+/** @type {{ result: object, at: number }|null} */
+let _last = null;
+/** @type {Promise<object>|null} */
+let _running = null;
+
+/**
+ * Runs one probe with a deadline.
+ * @param {(signal: AbortSignal) => Promise<unknown>} probe
+ * @returns {Promise<{ status: "ok"|"fail", latencyMs: number, error?: string }>}
+ */
+async function _timed(probe) {
+  const started = Date.now();
+  const controller = new AbortController();
+  let timer;
+  // Not every probe takes a signal (the rate-limit store), so race it too
+  const timedOut = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`no answer within ${TIMEOUT_MS}ms`));
+    }, TIMEOUT_MS);
+  });
+
+  try {
+    await Promise.race([probe(controller.signal), timedOut]);
+    return { status: "ok", latencyMs: Date.now() - started };
+  } catch (err) {
+    let error = err.status ? `HTTP ${err.status}` : err.code || err.message;
+    if (controller.signal.aborted) error = `no answer within ${TIMEOUT_MS}ms`;
+    return { status: "fail", latencyMs: Date.now() - started, error };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// ── Checks ─────────────────────────────────────────────────────────────────
+async function _checkProviders() {
+  // One probe per distinct provider, shared by the tenants using it
+  const probes = new Map();
+  const probe = (provider) => {
+    const key = `${provider.name}:${provider.model}`;
+    if (!probes.has(key)) probes.set(key, _timed((signal) => provider.check({ signal })));
+    return probes.get(key);
+  };
+
+  const entries = await Promise.all(
+    getTenants().map(async (tenant) => {
+      const { providers } = getProviderChain(tenant.providers);
+      const results = await Promise.all(
+        providers.map(async (p) => ({ provider: p.name, model: p.model, ...(await probe(p)) }))
+      );
+      const up = results.filter((r) => r.status === "ok").length;
+      const status = up === 0 ? "fail" : up === results.length ? "ok" : "degraded";
+      return [tenant.id, { status, chain: results }];
+    })
+  );
+
+  const tenants = Object.fromEntries(entries);
+  return { status: _worst(entries.map(([, t]) => t.status)), tenants };
+}
+
+function _checkPersonas() {
+  const tenants = {};
+  for (const { id } of getTenants()) {
+    try {
+      const { version, loadedAt } = getPersona(id);
+      tenants[id] = { status: "ok", version, loadedAt };
+    } catch (err) {
+      tenants[id] = { status: "fail", error: err.message };
+    }
+  }
+  return { status: _worst(Object.values(tenants).map((t) => t.status)), tenants };
+}
+
+/**
+ * Can `filePath` be appended to (or created)?
+ * @param {string} filePath
+ */
+async function _writable(filePath) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  try {
+    await fs.promises.access(filePath, fs.constants.W_OK);
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+    await fs.promises.access(path.dirname(filePath), fs.constants.W_OK);
+  }
+}
+
+async function _checkStorage() {
+  const files = {
+    usage: USAGE_LOG_PATH,
+    leads: LEADS_PATH,
+    ...(isTranscriptsEnabled() ? { transcripts: TRANSCRIPT_PATH } : {}),
+    ...(STORE_TYPE === "file" ? { rateLimitFile: FILE_PATH } : {}),
+  };
+
+  const entries = await Promise.all([
+    ...Object.entries(files).map(async ([name, file]) => [name, await _timed(() => _writable(file))]),
+    (async () => [
+      "rateLimitStore",
+      { store: STORE_TYPE, ...(await _timed(() => getStore().get("health"))) },
+    ])(),
+  ]);
+
+  // Chats still work without them — losing one degrades, never fails
+  const failed = entries.some(([, r]) => r.status === "fail");
+  return { status: failed ? "degraded" : "ok", ...Object.fromEntries(entries) };
+}
+
+async function _run() {
+  const started = Date.now();
+  const [providers, storage] = await Promise.all([_checkProviders(), _checkStorage()]);
+  const checks = { providers, personas: _checkPersonas(), storage };
+
+  return {
+    status: _worst(Object.values(checks).map((c) => c.status)),
+    checkedAt: new Date().toISOString(),
+    durationMs: Date.now() - started,
+    checks,
+  };
+}
+
+/**
+ * Runs the deep health check, or returns the cached result.
+ * @returns {Promise<{ status: "ok"|"degraded"|"fail", checkedAt: string, durationMs: number, cached: boolean, checks: object }>}
+ */
+async function getDeepHealth() {
+  if (_last && Date.now() - _last.at < CACHE_MS) return { ..._last.result, cached: true };
+
+  if (!_running) {
+    _running = _run()
+      .then((result) => {
+        _last = { result, at: Date.now() };
+        return result;
+      })
+      .finally(() => {
+        _running = null;
+      });
+  }
+  return { ...(await _running), cached: false };
+}
+
+module.exports = { getDeepHealth };
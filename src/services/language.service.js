@@ -0,0 +1,146 @@
+/**
+ * src/services/language.service.js
+ *
+ * Reply language: which language the assistant answers in, and the system
+ * instruction that asks the model to use it.
+ *
+ * Supported: English ("en") and Filipino/Tagalog ("fil" — "tl" is accepted
+ * as an alias).  The language of a turn is, in order:
+ *
+ *   1. the `locale` the client sent
+ *   2. detected from the message — Filipino is recognised by its function
+ *      words ("ang", "mga", "po", "ano", "paano" …), so Taglish counts too
+ *   3. the language of the visitor's earlier messages in the conversation
+ *      (short replies like "ok" or "thanks!" don't switch it)
+ *   4. DEFAULT_LOCALE (default "en")
+ *
+ * Only the wording changes: the instruction tells the model to keep names,
+ * project names, technologies, links and every fact exactly as given.
+ */
+
+const LANGUAGES = {
+  en: { name: "English" },
+  fil: { name: "Filipino (Tagalog)" },
+};
+
+// Filipino function words and common conversational words.  Words that are
+// also English ("at", "may") are left out.
+const FILIPINO_WORDS = new Set(
+  (
+    "ang ng mga sa si ni kay nang na ay ba po opo ho ito iyan iyon yan yun yung iyong " +
+    "ano anong paano saan kailan sino bakit alin ilan magkano " +
+    "ako ko ikaw ka mo siya niya kami tayo natin namin kayo ninyo sila nila " +
+    "hindi wala mayroon meron lang din rin naman talaga kasi pero kung " +
+    "gusto pwede puwede kaya dapat salamat kumusta kamusta pala sana " +
+    "ginawa gumawa nagawa ginamit gamit alam marunong trabaho proyekto"
+  ).split(" ")
+);
+
+// English function words, to tell "James's projects sa GitHub" from Taglish
+const ENGLISH_WORDS = new Set(
+  (
+    "the a an is are was were be been do does did has have had what which who how " +
+    "where when why can could would will should you your he his him she her they " +
+    "their it its of to in on for with about from and or but not any there this that"
+  ).split(" ")
+);
+
+const DEFAULT_LOCALE = normalizeLocale(process.env.DEFAULT_LOCALE) || "en";
+
+/**
+ * Maps a locale tag ("fil-PH", "tl", "en-US") to a supported locale.
+ * @param {unknown} value
+ * @returns {"en"|"fil"|null} null when missing or unsupported.
+ */
+function normalizeLocale(value) {
+  if (typeof value !== "string") return null;
+  const primary = value.trim().toLowerCase().split(/[-_]/)[0];
+  if (primary === "tl") return "fil";
+  return Object.hasOwn(LANGUAGES, primary) ? primary : null;
+}
+
+/**
+ * Guesses the language of a message.
+ * @param {string} text
+ * @returns {"en"|"fil"|null} null when there's too little to tell.
+ */
+function detectLanguage(text) {
+  const words = (text || "").toLowerCase().split(/[^\p{L}]+/u).filter(Boolean);
+  let filipino = 0;
+  let english = 0;
+  for (const word of words) {
+    if (FILIPINO_WORDS.has(word)) filipino += 1;
+    else if (ENGLISH_WORDS.has(word)) english += 1;
+  }
+
+  // One Filipino word is enough for a one- or two-word message ("salamat po")
+  if (filipino > english && (filipino >= 2 || words.length <= 2)) return "fil";
+  if (english > 0 && english >= filipino) return "en";
+  return null;
+}
+
+/**
+ * Decides the reply language for a turn.
+ *
+ * @param {object} turn
+ * @param {string|null} [turn.requested] - Normalised `locale` from the request.
+ * @param {string} turn.message
+ * @param {Array<{ role: string, content: string }>} [turn.history]
+ * @returns {{ locale: "en"|"fil", requested: boolean }}
+ */
+function resolveLanguage({ requested, message, history = [] }) {
+  if (requested) return { locale: requested, requested: true };
+
+  const detected = detectLanguage(message);
+  if (detected) return { locale: detected, requested: false };
+
+  // Newest earlier question that was long enough to tell
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].role !== "user") continue;
+    const previous = detectLanguage(history[i].content);
+    if (previous) return { locale: previous, requested: false };
+  }
+
+  return { locale: DEFAULT_LOCALE, requested: false };
+}
+
+/**
+ * System instruction for the reply language.
+ *
+ * Not needed for an English reply to an English question, so the prompt
+ * (and cached answers) stay as they were; an explicitly requested English
+ * reply gets one, since the message may be in another language.
+ *
+ * @param {{ locale: string, requested: boolean }} language - From resolveLanguage().
+ * @returns {string|null}
+ */
+function getLanguageInstruction({ locale, requested }) {
+  if (locale === "en" && !requested) return null;
+
+  const { name } = LANGUAGES[locale];
+  return (
+    `LANGUAGE: reply in ${name}` +
+    (locale === "fil"
+      ? " — everyday Taglish is fine where a Filipino speaker would use the English term."
+      : ", even if the visitor writes in another language.") +
+    " Translate only your own wording: keep names, project names, technologies, links, " +
+    "email addresses and every fact exactly as given above, and add nothing that is not there."
+  );
+}
+
+/**
+ * Supported locale codes, for validation messages.
+ * @returns {string[]}
+ */
+function getSupportedLocales() {
+  return Object.keys(LANGUAGES);
+}
+
+module.exports = {
+  normalizeLocale,
+  detectLanguage,
+  resolveLanguage,
+  getLanguageInstruction,
+  getSupportedLocales,
+  DEFAULT_LOCALE,
+};
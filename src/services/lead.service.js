@@ -0,0 +1,435 @@
+/**
+ * src/services/lead.service.js
+ *
+ * Local inbox for visitor contact requests ("leads"), from the inline form
+ * (POST /api/leads) or the assistant's submit_contact_request tool.
+ *
+ * Each lead is appended as one JSON line to LEADS_PATH (default:
+ * storage/leads.jsonl).  Leads are stored as given — the visitor chose to
+ * share their details — so the file must stay private, like the rest of
+ * storage/.
+ *
+ * Before a lead is stored:
+ *   - per-IP throttle — LEADS_PER_IP_PER_HOUR accepted leads (default 3)
+ *   - deduplication   — the same email + message to the same site within
+ *                       LEADS_DEDUP_HOURS (default 24) returns the first lead
+ *                       instead
+ *   - spam scoring    — heuristics (links, spam phrases, honeypot field…);
+ *                       leads scoring LEADS_SPAM_THRESHOLD (default 5) or more
+ *                       are stored with `spam: true` and never notified
+ *
+ * New, non-spam leads are emailed to LEADS_NOTIFY_TO when SMTP is configured
+ * (see mail.service.js).  Leads for other tenants go to the tenant's own
+ * "leadsNotifyTo", or are only stored (tenant.service.js).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { isMailConfigured, sendMail } = require("./mail.service");
+const { leadSubmissions } = require("./metrics.service");
+const { getTenant } = require("./tenant.service");
+const logger = require("../utils/logger");
+
+const LEADS_PATH = path.resolve(
+  process.env.LEADS_PATH || path.join(__dirname, "../../storage/leads.jsonl")
+);
+
+const PER_IP_PER_HOUR = parseInt(process.env.LEADS_PER_IP_PER_HOUR, 10) || 3;
+const DEDUP_MS = (parseFloat(process.env.LEADS_DEDUP_HOURS) || 24) * 60 * 60 * 1000;
+const SPAM_THRESHOLD = parseFloat(process.env.LEADS_SPAM_THRESHOLD) || 5;
+const NOTIFY_TO = (process.env.LEADS_NOTIFY_TO || "")
+  .split(",")
+  .map((a) => a.trim())
+  .filter(Boolean);
+const NOTIFY_FROM = process.env.LEADS_NOTIFY_FROM || NOTIFY_TO[0] || "";
+
+// Shows the inline contact form when the assistant detects lead intent
+const FORM_ENABLED = process.env.LEADS_FORM_ENABLED !== "false";
+const FORM_MARKER = "[[contact-form]]";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const LIMITS = { name: 100, email: 254, company: 100, message: 2000 };
+const HOUR_MS = 60 * 60 * 1000;
+
+// ── Spam heuristics ────────────────────────────────────────────────────────
+// Each match adds `points`; the reasons are stored with the lead.
+const SPAM_PHRASES =
+  /\b(seo|backlinks?|guest post|rank(ing)? (your|on) google|crypto(currency)?|bitcoin|forex|casino|viagra|cialis|loans?|payday|web traffic|buy followers|work from home)\b/gi;
+const DISPOSABLE_DOMAINS = new Set([
+  "mailinator.com",
+  "guerrillamail.com",
+  "10minutemail.com",
+  "tempmail.com",
+  "temp-mail.org",
+  "yopmail.com",
+  "trashmail.com",
+  "sharklasers.com",
+]);
+const LINK_PATTERN = /\bhttps?:\/\/|\bwww\./gi;
+
+// Appends go through one queue so concurrent leads never interleave
+let _queue = Promise.resolve();
+const _enqueue = (task) => {
+  const run = _queue.then(task);
+  _queue = run.catch(() => {});
+  return run;
+};
+
+// ── Throttle and dedup state (in memory, pruned as it is read) ─────────────
+const _byIp = new Map();      // ip → timestamps of accepted leads
+const _recent = new Map();    // fingerprint → { id, createdAt, at }
+let _recentLoaded = null;     // Promise, seeded once from LEADS_PATH
+
+const _stats = { since: new Date().toISOString(), stored: 0, spam: 0, duplicate: 0, throttled: 0 };
+
+/**
+ * Scores how likely a lead is to be spam.
+ * @param {object} lead
+ * @returns {{ score: number, reasons: string[] }}
+ */
+function scoreSpam({ name = "", email = "", message = "", company = "", website = "" }) {
+  const reasons = [];
+  let score = 0;
+  const add = (points, reason) => {
+    score += points;
+    reasons.push(reason);
+  };
+
+  // Honeypot: a field hidden from people, filled in by form bots
+  if (typeof website === "string" && website.trim()) add(10, "honeypot");
+
+  const links = (message.match(LINK_PATTERN) || []).length;
+  if (links > 2) add(3, "many links");
+  else if (links > 0) add(1, "link");
+  if (`${name} ${company}`.match(LINK_PATTERN)) add(3, "link in name");
+
+  const phrases = new Set((message.match(SPAM_PHRASES) || []).map((p) => p.toLowerCase()));
+  if (phrases.size) add(Math.min(phrases.size * 2, 6), `spam phrases: ${[...phrases].join(", ")}`);
+
+  const letters = message.replace(/[^a-z]/gi, "");
+  if (letters.length >= 20 && letters.replace(/[^A-Z]/g, "").length / letters.length > 0.6) {
+    add(2, "shouting");
+  }
+  if (/(.)\1{7,}/.test(message)) add(1, "repeated characters");
+  if (message.trim().length < 10) add(1, "very short");
+
+  const domain = email.split("@")[1]?.trim().toLowerCase();
+  if (domain && DISPOSABLE_DOMAINS.has(domain)) add(3, "disposable email");
+
+  return { score, reasons };
+}
+
+/**
+ * Identifies a repeat of the same request (same email, same message, same
+ * tenant — the same lead sent to two sites is two leads).
+ * @param {string} email
+ * @param {string} message
+ * @param {string} [tenantId]
+ * @returns {string}
+ */
+function _fingerprint(email, message, tenantId = "") {
+  const text = message.toLowerCase().replace(/\s+/g, " ").trim();
+  return crypto
+    .createHash("sha256")
+    .update(`${tenantId}\n${email.trim().toLowerCase()}\n${text}`)
+    .digest("hex");
+}
+
+/**
+ * Seeds the dedup window from leads stored before the last restart.
+ * @returns {Promise<void>}
+ */
+function _loadRecent() {
+  _recentLoaded =
+    _recentLoaded ||
+    readLeads({ since: new Date(Date.now() - DEDUP_MS).toISOString(), includeSpam: true }).then(
+      (leads) => {
+        for (const lead of leads) {
+          _recent.set(_fingerprint(lead.email, lead.message, lead.tenant), {
+            id: lead.id,
+            createdAt: lead.createdAt,
+            at: Date.parse(lead.createdAt),
+          });
+        }
+      },
+      () => {} // An unreadable inbox only disables dedup across restarts
+    );
+  return _recentLoaded;
+}
+
+/**
+ * Whether `ip` may submit another lead right now.
+ * @param {string} [ip]
+ * @returns {boolean}
+ */
+function _withinThrottle(ip) {
+  if (!ip) return true;
+  const cutoff = Date.now() - HOUR_MS;
+  const times = (_byIp.get(ip) || []).filter((t) => t > cutoff);
+  if (times.length) _byIp.set(ip, times);
+  else _byIp.delete(ip);
+  return times.length < PER_IP_PER_HOUR;
+}
+
+/**
+ * Checks a lead's fields.
+ * @param {object} lead
+ * @returns {string[]} Problems, empty when the lead is valid.
+ */
+function validateLead({ name, email, message, company } = {}) {
+  const errors = [];
+  const text = (value) => typeof value === "string" && value.trim().length > 0;
+
+  if (!text(name)) errors.push('"name" is required.');
+  if (!text(email) || !EMAIL_PATTERN.test(email.trim())) errors.push('"email" must be a valid email address.');
+  if (!text(message)) errors.push('"message" is required.');
+  if (company !== undefined && company !== null && typeof company !== "string") {
+    errors.push('"company" must be a string.');
+  }
+
+  for (const [field, max] of Object.entries(LIMITS)) {
+    const value = { name, email, message, company }[field];
+    if (typeof value === "string" && value.trim().length > max) {
+      errors.push(`"${field}" must be ${max} characters or fewer.`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validates, screens and stores a lead, then notifies the owner.
+ *
+ * @param {object} lead
+ * @param {string} lead.name
+ * @param {string} lead.email
+ * @param {string} lead.message
+ * @param {string} [lead.company]
+ * @param {string} [lead.website] - Honeypot; must stay empty.
+ * @param {object} [meta]
+ * @param {"chat"|"form"} [meta.source] - Captured by the assistant or the inline form.
+ * @param {string} [meta.ip] - Used for throttling only; never stored.
+ * @param {string} [meta.requestId]
+ * @param {string|null} [meta.conversationId]
+ * @param {string} [meta.origin]
+ * @param {string} [meta.tenantId] - Tenant the lead was sent to.
+ * @returns {Promise<{ id: string, createdAt: string, duplicate?: true }>}
+ *   Spam is not reported to the sender — it gets the same answer.
+ * @throws {Error} 400 (exposed) when a field is invalid, 429 (exposed) when
+ *   the IP has sent too many leads in the last hour.
+ */
+async function submitLead({ name, email, message, company, website }, meta = {}) {
+  const source = meta.source || "form";
+
+  const errors = validateLead({ name, email, message, company });
+  if (errors.length) {
+    const err = new Error(errors.join(" "));
+    err.statusCode = 400;
+    err.code = "INVALID_LEAD";
+    err.expose = true;
+    throw err;
+  }
+
+  await _loadRecent();
+
+  // ── Deduplicate (checked first, so a double-click isn't throttled) ──────
+  const fingerprint = _fingerprint(email, message, meta.tenantId);
+  const previous = _recent.get(fingerprint);
+  if (previous && Date.now() - previous.at < DEDUP_MS) {
+    _stats.duplicate += 1;
+    leadSubmissions.inc({ source, status: "duplicate" });
+    return { id: previous.id, createdAt: previous.createdAt, duplicate: true };
+  }
+
+  if (!_withinThrottle(meta.ip)) {
+    _stats.throttled += 1;
+    leadSubmissions.inc({ source, status: "throttled" });
+    const err = new Error("You've already sent a few messages — please try again later.");
+    err.statusCode = 429;
+    err.code = "LEAD_THROTTLED";
+    err.expose = true;
+    throw err;
+  }
+
+  const { score, reasons } = scoreSpam({ name, email, message, company: company || "", website });
+  const spam = score >= SPAM_THRESHOLD;
+
+  const entry = {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    name: name.trim(),
+    email: email.trim().toLowerCase(),
+    company: company ? company.trim() : null,
+    message: message.trim(),
+    source,
+    spam,
+    spamScore: score,
+    spamReasons: reasons,
+    requestId: meta.requestId || null,
+    conversationId: meta.conversationId || null,
+    origin: meta.origin || "direct",
+    ...(meta.tenantId ? { tenant: meta.tenantId } : {}),
+  };
+
+  // Claimed before the append, so a second request arriving while this one
+  // is being written (a double-click) is caught by the checks above
+  const acceptedAt = Date.now();
+  if (meta.ip) _byIp.set(meta.ip, [...(_byIp.get(meta.ip) || []), acceptedAt]);
+  _recent.set(fingerprint, { id: entry.id, createdAt: entry.createdAt, at: acceptedAt });
+  for (const [key, value] of _recent) {
+    if (acceptedAt - value.at >= DEDUP_MS) _recent.delete(key);
+  }
+
+  try {
+    await _enqueue(async () => {
+      await fs.promises.mkdir(path.dirname(LEADS_PATH), { recursive: true });
+      await fs.promises.appendFile(LEADS_PATH, JSON.stringify(entry) + "\n");
+    });
+  } catch (err) {
+    // Not stored — let the visitor try again
+    if (_recent.get(fingerprint)?.id === entry.id) _recent.delete(fingerprint);
+    if (meta.ip) {
+      const times = (_byIp.get(meta.ip) || []).filter((t) => t !== acceptedAt);
+      if (times.length) _byIp.set(meta.ip, times);
+      else _byIp.delete(meta.ip);
+    }
+    throw err;
+  }
+
+  _stats[spam ? "spam" : "stored"] += 1;
+  leadSubmissions.inc({ source, status: spam ? "spam" : "stored" });
+
+  if (!spam) _notify(entry);
+
+  return { id: entry.id, createdAt: entry.createdAt };
+}
+
+/**
+ * Who is told about a tenant's leads: its "leadsNotifyTo", else
+ * LEADS_NOTIFY_TO for the default tenant.
+ * @param {string} [tenantId]
+ * @returns {string[]}
+ */
+function _recipients(tenantId) {
+  const tenant = tenantId ? getTenant(tenantId) : null;
+  if (!tenant) return NOTIFY_TO;
+  return tenant.leadsNotifyTo || (tenant.isDefault ? NOTIFY_TO : []);
+}
+
+/**
+ * Emails a new lead to its tenant's recipients.  Runs in the background; a
+ * failure is logged and never affects the visitor (the lead is already
+ * stored).
+ * @param {object} entry
+ */
+function _notify(entry) {
+  const to = _recipients(entry.tenant);
+  if (!isMailConfigured() || to.length === 0) return;
+
+  const text = [
+    `Name:    ${entry.name}`,
+    `Email:   ${entry.email}`,
+    ...(entry.company ? [`Company: ${entry.company}`] : []),
+    `Source:  ${entry.source} (${entry.origin}${entry.tenant ? `, site ${entry.tenant}` : ""})`,
+    `Lead id: ${entry.id}`,
+    "",
+    entry.message,
+  ].join("\n");
+
+  sendMail({
+    from: NOTIFY_FROM || to[0],
+    to,
+    replyTo: entry.email,
+    subject: `New contact request from ${entry.name}`,
+    text,
+  }).catch((err) => {
+    logger.error(
+      "lead notification failed",
+      { leadId: entry.id, error: { message: err.message } },
+      `[leads] Notification for ${entry.id} failed: ${err.message}`
+    );
+  });
+}
+
+/**
+ * Reads stored leads, oldest first.
+ * @param {object} [filter]
+ * @param {string} [filter.since] - ISO date/time; only newer leads.
+ * @param {boolean} [filter.includeSpam=false]
+ * @returns {Promise<object[]>}
+ */
+async function readLeads({ since, includeSpam = false } = {}) {
+  await _queue;
+
+  let raw;
+  try {
+    raw = await fs.promises.readFile(LEADS_PATH, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+
+  const leads = [];
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      leads.push(JSON.parse(line));
+    } catch {
+      // Skip a line truncated by a crash mid-write
+    }
+  }
+
+  return leads.filter((l) => (!since || l.createdAt >= since) && (includeSpam || !l.spam));
+}
+
+/**
+ * Lead counts since startup, and the screening configuration.
+ * @returns {object}
+ */
+function getLeadStats() {
+  return {
+    ..._stats,
+    perIpPerHour: PER_IP_PER_HOUR,
+    dedupHours: DEDUP_MS / HOUR_MS,
+    spamThreshold: SPAM_THRESHOLD,
+    notify: isMailConfigured() && NOTIFY_TO.length > 0,
+    form: FORM_ENABLED,
+  };
+}
+
+// ── Lead intent → inline form ──────────────────────────────────────────────
+
+/**
+ * Extra system instruction asking the model to flag lead intent with
+ * FORM_MARKER, which ai.service.js strips and turns into `leadForm: true`.
+ * @param {{ canSubmit?: boolean }} [options] - true when the
+ *   submit_contact_request tool is offered, so the model can also take the
+ *   details in the chat.
+ * @returns {string|null} null when the form is disabled.
+ */
+function getLeadInstruction({ canSubmit = false } = {}) {
+  if (!FORM_ENABLED) return null;
+  const collect = canSubmit
+    ? "You may collect their name, email address and message in the chat and send them " +
+      "with the submit_contact_request tool; if they would rather use a form, or have not " +
+      "given those details yet, "
+    : "Answer briefly and ";
+  return (
+    "CONTACT REQUESTS: when the visitor wants to hire, work with or get in touch with the owner, " +
+    collect +
+    `end your reply with ${FORM_MARKER} on its own line. The website replaces it with a ` +
+    "contact form. Never mention or explain this marker, and do not use it otherwise."
+  );
+}
+
+module.exports = {
+  validateLead,
+  scoreSpam,
+  submitLead,
+  readLeads,
+  getLeadStats,
+  getLeadInstruction,
+  FORM_MARKER,
+  LEADS_PATH,
+};
@@ -0,0 +1,198 @@
+/**
+ * src/services/llm.service.js
+ *
+ * Opens a completion stream against the provider fallback chain
+ * (see providers/index.js).
+ *
+ * For each provider, in order:
+ *  - connection errors and timeouts are retried (PROVIDER_RETRIES times)
+ *  - any other error moves straight on to the next provider
+ *
+ * Fallback only happens before the first chunk arrives.  Once text has been
+ * streamed to the visitor, a failure ends the stream with an error instead.
+ *
+ * An optional AbortSignal (e.g. the visitor closed the tab) cancels the
+ * upstream request at any point and stops any further retries or fallbacks.
+ */
+
+const { buildProviderChain } = require("./providers");
+const { isOpenAIConnectionError } = require("./providers/openai.provider");
+const { providerErrors } = require("./metrics.service");
+const logger = require("../utils/logger");
+
+const RETRIES = process.env.PROVIDER_RETRIES
+  ? parseInt(process.env.PROVIDER_RETRIES, 10)
+  : 1;
+const RETRY_DELAY_MS = 250;
+
+const CONNECTION_CODES = new Set([
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CONNECT_TIMEOUT",
+]);
+
+// Built chains, keyed by spec ("" = the default LLM_PROVIDERS chain)
+const _chains = new Map();
+
+/**
+ * Returns a provider chain, building it on first use.
+ * @param {string} [spec] - Chain in LLM_PROVIDERS syntax; omit for the default chain.
+ * @returns {{ providers: import("./providers").Provider[], errors: string[] }}
+ */
+function getProviderChain(spec) {
+  const key = spec || "";
+  if (!_chains.has(key)) _chains.set(key, buildProviderChain(spec || undefined));
+  return _chains.get(key);
+}
+
+/**
+ * Is this error a transient network failure (worth retrying the same provider)?
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isConnectionError(err) {
+  return (
+    err.code === "PROVIDER_TIMEOUT" ||
+    isOpenAIConnectionError(err) ||
+    CONNECTION_CODES.has(err.code) ||
+    CONNECTION_CODES.has(err.cause?.code) ||
+    (err instanceof TypeError && err.message === "fetch failed")
+  );
+}
+
+function _abortError() {
+  const err = new Error("Completion cancelled by the client");
+  err.code = "CLIENT_ABORTED";
+  return err;
+}
+
+function _timeoutError(provider) {
+  const err = new Error(
+    `${provider.name}/${provider.model} did not respond within ${provider.timeoutMs}ms`
+  );
+  err.code = "PROVIDER_TIMEOUT";
+  return err;
+}
+
+const _sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Starts a provider stream guarded by an inactivity timeout, and waits for the
+ * first item so failures surface here rather than mid-stream.
+ *
+ * @param {import("./providers").Provider} provider
+ * @param {object} request
+ * @param {AbortSignal} [signal] - Caller's cancellation signal.
+ * @returns {Promise<AsyncGenerator<{ delta?: string, usage?: object }>>}
+ */
+async function _openGuarded(provider, request, signal) {
+  const controller = new AbortController();
+  let timer = null;
+  let timedOut = false;
+
+  // Forward the caller's cancellation to the upstream request
+  const onAbort = () => controller.abort();
+  signal?.addEventListener("abort", onAbort, { once: true });
+  const detach = () => signal?.removeEventListener("abort", onAbort);
+
+  const arm = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, provider.timeoutMs);
+  };
+
+  const iterator = provider.stream(request, { signal: controller.signal })[Symbol.asyncIterator]();
+
+  const next = async () => {
+    arm();
+    try {
+      return await iterator.next();
+    } catch (err) {
+      if (signal?.aborted) throw _abortError();
+      throw timedOut ? _timeoutError(provider) : err;
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  let first;
+  try {
+    first = await next();
+  } catch (err) {
+    controller.abort();
+    detach();
+    throw err;
+  }
+
+  return (async function* () {
+    try {
+      let item = first;
+      while (!item.done) {
+        yield item.value;
+        item = await next();
+      }
+    } finally {
+      clearTimeout(timer);
+      detach();
+      // Stop the upstream request if the consumer bailed out early
+      if (!timedOut) controller.abort();
+    }
+  })();
+}
+
+/**
+ * Opens a completion stream on the first provider that responds.
+ *
+ * @param {{ messages: Array<{ role: string, content: string }>, maxTokens: number, temperature: number }} request
+ * @param {object} [options]
+ * @param {string} [options.chain] - Alternative chain spec (e.g. a cheaper model when over budget).
+ * @param {AbortSignal} [options.signal] - Cancels the upstream request (e.g. client disconnected).
+ * @returns {Promise<{ provider: string, model: string, stream: AsyncGenerator<{ delta?: string, usage?: object }> }>}
+ * @throws {Error} statusCode 503 when every provider failed; code CLIENT_ABORTED when cancelled.
+ */
+async function openCompletionStream(request, { chain, signal } = {}) {
+  const { providers } = getProviderChain(chain);
+
+  for (const provider of providers) {
+    for (let attempt = 0; attempt <= RETRIES; attempt++) {
+      if (signal?.aborted) throw _abortError();
+      try {
+        const stream = await _openGuarded(provider, request, signal);
+        return { provider: provider.name, model: provider.model, stream };
+      } catch (err) {
+        // Nobody is waiting for an answer — don't retry or fall back
+        if (err.code === "CLIENT_ABORTED") throw err;
+
+        const retryable = isConnectionError(err) && attempt < RETRIES;
+        providerErrors.inc({ provider: provider.name, model: provider.model, stage: "open" });
+        logger.warn(
+          "provider failed",
+          {
+            provider: provider.name,
+            model: provider.model,
+            attempt: attempt + 1,
+            retrying: retryable,
+            error: { message: err.message, ...(err.code ? { code: err.code } : {}) },
+          },
+          `[llm] ${provider.name}/${provider.model} failed (attempt ${attempt + 1}): ${err.message}` +
+            (retryable ? " — retrying" : " — trying next provider")
+        );
+        if (!retryable) break;
+        await _sleep(RETRY_DELAY_MS * (attempt + 1));
+      }
+    }
+  }
+
+  const err = new Error("The assistant is temporarily unavailable. Please try again shortly.");
+  err.statusCode = 503;
+  err.expose = true;
+  throw err;
+}
+
+module.exports = { openCompletionStream, getProviderChain, isConnectionError };
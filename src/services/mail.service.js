@@ -0,0 +1,225 @@
+/**
+ * src/services/mail.service.js
+ *
+ * Minimal SMTP client for owner notifications (e.g. a new lead).
+ *
+ * Configured with SMTP_HOST; without it no mail is sent.  Works with a local
+ * test server (MailHog, Mailpit, smtp4dev on port 1025) as well as a real
+ * relay: SMTP_SECURE=true connects over TLS (port 465), otherwise STARTTLS is
+ * used whenever the server offers it.  SMTP_USER / SMTP_PASSWORD enable
+ * AUTH PLAIN.
+ *
+ * Plain-text messages only — enough for notifications, no attachments.
+ */
+
+const net = require("net");
+const tls = require("tls");
+const os = require("os");
+const crypto = require("crypto");
+
+const SMTP_HOST = process.env.SMTP_HOST || "";
+const SMTP_SECURE = process.env.SMTP_SECURE === "true";
+const SMTP_PORT = parseInt(process.env.SMTP_PORT, 10) || (SMTP_SECURE ? 465 : 25);
+const SMTP_USER = process.env.SMTP_USER || "";
+const SMTP_PASSWORD = process.env.SMTP_PASSWORD || "";
+const SMTP_TIMEOUT_MS = parseInt(process.env.SMTP_TIMEOUT_MS, 10) || 10000;
+
+/**
+ * True when SMTP_HOST is set.
+ * @returns {boolean}
+ */
+function isMailConfigured() {
+  return Boolean(SMTP_HOST);
+}
+
+// ── Connection ─────────────────────────────────────────────────────────────
+
+/**
+ * Line-based SMTP conversation over a socket that can be upgraded to TLS.
+ * @param {import("net").Socket} socket
+ */
+function _session(socket) {
+  let buffer = "";
+  let lines = [];
+  let waiting = null;
+  let failure = null;
+
+  const settle = () => {
+    if (!waiting) return;
+    if (failure) {
+      const { reject } = waiting;
+      waiting = null;
+      return reject(failure);
+    }
+    // A reply ends with "<code> text"; "<code>-text" lines continue it
+    const last = lines.findIndex((l) => /^\d{3}( |$)/.test(l));
+    if (last === -1) return;
+    const reply = lines.splice(0, last + 1);
+    const { resolve } = waiting;
+    waiting = null;
+    resolve({ code: parseInt(reply[last], 10), lines: reply.map((l) => l.slice(4)) });
+  };
+
+  const attach = (s) => {
+    s.setEncoding("utf8");
+    s.on("data", (data) => {
+      buffer += data;
+      const parts = buffer.split("\r\n");
+      buffer = parts.pop();
+      lines.push(...parts);
+      settle();
+    });
+    s.on("error", (err) => {
+      failure = err;
+      settle();
+    });
+    s.on("close", () => {
+      failure = failure || new Error("SMTP connection closed unexpectedly.");
+      settle();
+    });
+    s.setTimeout(SMTP_TIMEOUT_MS, () => s.destroy(new Error("SMTP server timed out.")));
+  };
+
+  attach(socket);
+
+  return {
+    get socket() {
+      return socket;
+    },
+
+    /**
+     * Sends a command (or nothing, for the greeting) and checks the reply code.
+     * @param {string|null} line
+     * @param {number} expected
+     */
+    async command(line, expected) {
+      const reply = new Promise((resolve, reject) => {
+        waiting = { resolve, reject };
+        settle();
+      });
+      if (line !== null) socket.write(`${line}\r\n`);
+      const { code, lines: text } = await reply;
+      if (code !== expected) {
+        // Don't echo credentials into the error
+        const sent = line && line.startsWith("AUTH") ? "AUTH" : line;
+        throw new Error(`SMTP ${sent || "greeting"} failed: ${code} ${text.join(" ")}`);
+      }
+      return text;
+    },
+
+    /** Switches the connection to TLS (after STARTTLS). */
+    async upgrade() {
+      socket.removeAllListeners("data");
+      socket.removeAllListeners("close");
+      socket.removeAllListeners("error");
+      socket.setTimeout(0);
+      socket = tls.connect({ socket, servername: SMTP_HOST });
+      await new Promise((resolve, reject) => {
+        socket.once("secureConnect", resolve);
+        socket.once("error", reject);
+      });
+      buffer = "";
+      lines = [];
+      attach(socket);
+    },
+  };
+}
+
+/**
+ * Opens a connection to SMTP_HOST.
+ * @returns {Promise<import("net").Socket>}
+ */
+function _connect() {
+  return new Promise((resolve, reject) => {
+    const options = { host: SMTP_HOST, port: SMTP_PORT, servername: SMTP_HOST };
+    const socket = SMTP_SECURE
+      ? tls.connect(options, () => resolve(socket))
+      : net.connect(options, () => resolve(socket));
+    socket.once("error", reject);
+    socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error("SMTP connection timed out.")));
+  });
+}
+
+// ── Message ────────────────────────────────────────────────────────────────
+
+/**
+ * Encodes a header value that is not plain ASCII (RFC 2047).
+ * @param {string} value
+ * @returns {string}
+ */
+function _header(value) {
+  const clean = value.replace(/[\r\n]+/g, " ");
+  return /^[\x20-\x7e]*$/.test(clean)
+    ? clean
+    : `=?UTF-8?B?${Buffer.from(clean, "utf8").toString("base64")}?=`;
+}
+
+/**
+ * Builds the message, with dot-stuffing and CRLF line endings.
+ * @returns {string}
+ */
+function _message({ from, to, subject, text, replyTo }) {
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(", ")}`,
+    ...(replyTo ? [`Reply-To: ${_header(replyTo)}`] : []),
+    `Subject: ${_header(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${os.hostname()}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: 8bit",
+  ];
+  const body = text
+    .replace(/\r?\n/g, "\r\n")
+    .split("\r\n")
+    .map((line) => (line.startsWith(".") ? `.${line}` : line))
+    .join("\r\n");
+  return `${headers.join("\r\n")}\r\n\r\n${body}\r\n.`;
+}
+
+/**
+ * Sends a plain-text email.
+ *
+ * @param {object} mail
+ * @param {string} mail.from    - Envelope and header sender address.
+ * @param {string[]} mail.to    - Recipient addresses.
+ * @param {string} mail.subject
+ * @param {string} mail.text
+ * @param {string} [mail.replyTo]
+ * @returns {Promise<void>}
+ * @throws {Error} When SMTP is not configured, or the server refuses the message.
+ */
+async function sendMail(mail) {
+  if (!isMailConfigured()) throw new Error("SMTP_HOST is not set.");
+
+  const smtp = _session(await _connect());
+  try {
+    await smtp.command(null, 220);
+    const ehlo = `EHLO ${os.hostname()}`;
+    let features = await smtp.command(ehlo, 250);
+
+    if (!SMTP_SECURE && features.some((f) => /^STARTTLS\b/i.test(f))) {
+      await smtp.command("STARTTLS", 220);
+      await smtp.upgrade();
+      features = await smtp.command(ehlo, 250);
+    }
+
+    if (SMTP_USER) {
+      const token = Buffer.from(`\0${SMTP_USER}\0${SMTP_PASSWORD}`, "utf8").toString("base64");
+      await smtp.command(`AUTH PLAIN ${token}`, 235);
+    }
+
+    await smtp.command(`MAIL FROM:<${mail.from}>`, 250);
+    for (const address of mail.to) {
+      await smtp.command(`RCPT TO:<${address}>`, 250);
+    }
+    await smtp.command("DATA", 354);
+    await smtp.command(_message(mail), 250);
+    await smtp.command("QUIT", 221).catch(() => {});
+  } finally {
+    smtp.socket.destroy();
+  }
+}
+
+module.exports = { isMailConfigured, sendMail };
@@ -0,0 +1,189 @@
+/**
+ * src/services/metrics.service.js
+ *
+ * In-process metrics, rendered in the Prometheus text exposition format
+ * for GET /metrics.
+ *
+ * A deliberately small registry (counters, gauges, histograms with labels)
+ * so no client library is needed.  Values live in memory and reset on
+ * restart, as Prometheus expects of counters.
+ *
+ * Instrumented from:
+ *   logger.middleware.js  — http_requests_total
+ *   limiter.middleware.js — rate_limit_rejections_total
+ *   stream.service.js     — chat_active_streams
+ *   ai.service.js         — chat_time_to_first_chunk_seconds, chat_stream_duration_seconds,
+ *                           chat_tokens_total, provider_errors_total{stage="stream"}
+ *   llm.service.js        — provider_errors_total{stage="open"}
+ *   guard.service.js      — guard_events_total
+ *   lead.service.js       — lead_submissions_total
+ *   cache.service.js      — response_cache_lookups_total
+ */
+
+// Seconds — covers fast local models up to slow, long answers
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60];
+
+/** @type {Map<string, { type: string, help: string, series: Map<string, any>, buckets?: number[] }>} */
+const _registry = new Map();
+
+const _escape = (value) =>
+  String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+/**
+ * Serialises labels as `{a="1",b="2"}` (sorted, so the same labels always
+ * map to the same series).
+ * @param {object} labels
+ * @returns {string}
+ */
+function _labelKey(labels = {}) {
+  const pairs = Object.keys(labels)
+    .sort()
+    .map((k) => `${k}="${_escape(labels[k])}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+function _register(name, type, help, extra = {}) {
+  const metric = { type, help, series: new Map(), ...extra };
+  _registry.set(name, metric);
+  return metric;
+}
+
+/**
+ * @param {string} name
+ * @param {string} help
+ * @returns {{ inc: (labels?: object, n?: number) => void }}
+ */
+function counter(name, help) {
+  const { series } = _register(name, "counter", help);
+  return {
+    inc(labels, n = 1) {
+      const key = _labelKey(labels);
+      series.set(key, (series.get(key) || 0) + n);
+    },
+  };
+}
+
+/**
+ * @param {string} name
+ * @param {string} help
+ * @returns {{ inc: (labels?: object) => void, dec: (labels?: object) => void, set: (labels: object, value: number) => void }}
+ */
+function gauge(name, help) {
+  const { series } = _register(name, "gauge", help);
+  const add = (labels, n) => {
+    const key = _labelKey(labels);
+    series.set(key, (series.get(key) || 0) + n);
+  };
+  return {
+    inc: (labels) => add(labels, 1),
+    dec: (labels) => add(labels, -1),
+    set: (labels, value) => series.set(_labelKey(labels), value),
+  };
+}
+
+/**
+ * @param {string} name
+ * @param {string} help
+ * @param {number[]} [buckets] - Upper bounds, ascending.
+ * @returns {{ observe: (labels: object, value: number) => void }}
+ */
+function histogram(name, help, buckets = LATENCY_BUCKETS) {
+  const { series } = _register(name, "histogram", help, { buckets });
+  return {
+    observe(labels, value) {
+      const key = _labelKey(labels);
+      if (!series.has(key)) {
+        series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+      const entry = series.get(key);
+      buckets.forEach((upper, i) => {
+        if (value <= upper) entry.counts[i] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+  };
+}
+
+// ── Instruments ────────────────────────────────────────────────────────────
+const httpRequests = counter(
+  "http_requests_total",
+  "HTTP requests by method, route and status code."
+);
+const rateLimitRejections = counter(
+  "rate_limit_rejections_total",
+  "Requests rejected by a rate limiter."
+);
+const activeStreams = gauge("chat_active_streams", "SSE chat connections currently open.");
+const timeToFirstChunk = histogram(
+  "chat_time_to_first_chunk_seconds",
+  "Time from calling the provider chain to its first chunk, including retries and fallbacks."
+);
+const streamDuration = histogram(
+  "chat_stream_duration_seconds",
+  "Total time to stream a chat reply from the provider chain."
+);
+const chatTokens = counter("chat_tokens_total", "Tokens used by chat replies, by model.");
+const providerErrors = counter(
+  "provider_errors_total",
+  "Provider failures while opening (stage=open) or reading (stage=stream) a completion."
+);
+const guardEvents = counter(
+  "guard_events_total",
+  "Guardrail matches by category (injection, jailbreak, offtopic, leak, unverified) and action."
+);
+const cacheLookups = counter(
+  "response_cache_lookups_total",
+  "Answer cache lookups by result (exact, similar, miss)."
+);
+const leadSubmissions = counter(
+  "lead_submissions_total",
+  "Contact requests by source (form, chat) and status (stored, spam, duplicate, throttled)."
+);
+
+const _startTime = gauge("process_start_time_seconds", "Start time of the process, in unix seconds.");
+_startTime.set({}, Math.floor(Date.now() / 1000));
+
+/**
+ * Renders every metric in the Prometheus text exposition format (0.0.4).
+ * @returns {string}
+ */
+function renderMetrics() {
+  const lines = [];
+
+  for (const [name, metric] of _registry) {
+    lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+
+    for (const [key, value] of metric.series) {
+      if (metric.type !== "histogram") {
+        lines.push(`${name}${key} ${value}`);
+        continue;
+      }
+
+      metric.buckets.forEach((upper, i) => {
+        lines.push(`${name}_bucket${_labelKey({ ...value.labels, le: upper })} ${value.counts[i]}`);
+      });
+      lines.push(
+        `${name}_bucket${_labelKey({ ...value.labels, le: "+Inf" })} ${value.count}`,
+        `${name}_sum${key} ${value.sum}`,
+        `${name}_count${key} ${value.count}`
+      );
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  httpRequests,
+  rateLimitRejections,
+  activeStreams,
+  timeToFirstChunk,
+  streamDuration,
+  chatTokens,
+  providerErrors,
+  guardEvents,
+  leadSubmissions,
+  cacheLookups,
+  renderMetrics,
+};
@@ -0,0 +1,204 @@
+/**
+ * src/services/persona.service.js
+ *
+ * Loads each tenant's owner profile (see tenant.service.js; with a single
+ * tenant, PROFILE_PATH — default data/profile.json), validates it, and
+ * compiles it into the system prompt used by ai.service.js.
+ *
+ * The files are watched for changes and reloaded without restarting the
+ * server.  If an edited profile is malformed, the last good version stays
+ * active and the problem is logged.  Other services can react to a new
+ * version with onPersonaChange() (e.g. the response cache drops answers from
+ * the old one).
+ *
+ * Every function takes an optional tenant id; without one it uses the
+ * default tenant.
+ */
+
+const fs = require("fs");
+const crypto = require("crypto");
+const { validateProfile } = require("../config/profile.schema");
+const { getTenants, getTenant, getDefaultTenant } = require("./tenant.service");
+
+// ── Active personas ────────────────────────────────────────────────────────
+// Tenant id → persona, replaced atomically on each successful (re)load.
+const _personas = new Map();
+
+/** @type {Array<(persona: object, tenantId: string) => void>} */
+const _listeners = [];
+
+/**
+ * Compiles a validated profile into the system prompt text.
+ * @param {object} profile
+ * @returns {string}
+ */
+function compileSystemPrompt(profile) {
+  const facts = Object.entries(profile.facts || {}).map(
+    ([label, value]) => `- ${label}: ${value}`
+  );
+
+  const projects = profile.projects.map((p) => {
+    const stack = p.stack && p.stack.length ? ` built with ${p.stack.join(", ")}` : "";
+    const url = p.url ? ` (${p.url})` : "";
+    return `    • "${p.name}" – ${p.description}${stack}${url}`;
+  });
+
+  const contact = Object.entries(profile.contact)
+    .map(([label, value]) => `${label}: ${value}`)
+    .join(" | ");
+
+  const rules = profile.rules.map((rule, i) => `${i + 1}. ${rule}`);
+  const name = profile.name.toUpperCase();
+
+  return [
+    `You are an AI assistant embedded in the personal portfolio website of ${profile.name},`,
+    `${profile.headline}.`,
+    "",
+    `KEY FACTS ABOUT ${name}:`,
+    ...facts,
+    `- Skills: ${profile.skills.join(", ")}`,
+    "- Projects:",
+    ...projects,
+    `- Contact: ${contact}`,
+    "",
+    "BEHAVIOUR RULES:",
+    ...rules,
+  ].join("\n");
+}
+
+/**
+ * Reads, validates and compiles a profile file.
+ * @param {string} profilePath
+ * @returns {{ profile: object, systemPrompt: string, version: string, loadedAt: string }}
+ * @throws {Error} When the file cannot be read, parsed, or fails validation.
+ */
+function _readPersona(profilePath) {
+  const raw = fs.readFileSync(profilePath, "utf8");
+
+  let profile;
+  try {
+    profile = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`invalid JSON in ${profilePath}: ${err.message}`);
+  }
+
+  const errors = validateProfile(profile);
+  if (errors.length > 0) {
+    throw new Error(`invalid profile in ${profilePath}:\n  - ${errors.join("\n  - ")}`);
+  }
+
+  return {
+    profile,
+    systemPrompt: compileSystemPrompt(profile),
+    // Content hash — changes whenever the file's contents change
+    version: crypto.createHash("sha256").update(raw).digest("hex").slice(0, 12),
+    loadedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Tenant for an id, defaulting to the default tenant.
+ * @param {string} [tenantId]
+ * @returns {import("./tenant.service").Tenant}
+ * @throws {Error} For an unknown tenant id.
+ */
+function _tenant(tenantId) {
+  if (!tenantId) return getDefaultTenant();
+  const tenant = getTenant(tenantId);
+  if (!tenant) throw new Error(`unknown tenant "${tenantId}"`);
+  return tenant;
+}
+
+/**
+ * Loads every tenant's profile for the first time. Call once at startup.
+ * @throws {Error} When any profile cannot be loaded.
+ */
+function loadPersona() {
+  for (const { id, profilePath } of getTenants()) {
+    const persona = _readPersona(profilePath);
+    _personas.set(id, persona);
+    console.log(`[persona] Loaded profile ${persona.version} for "${id}" from ${profilePath}`);
+  }
+}
+
+/**
+ * Re-reads a tenant's profile, keeping the last good version on failure.
+ * @param {string} [tenantId]
+ * @returns {boolean} true if a new version was activated.
+ */
+function reloadPersona(tenantId) {
+  const { id, profilePath } = _tenant(tenantId);
+  const current = _personas.get(id);
+
+  try {
+    const next = _readPersona(profilePath);
+    if (current && next.version === current.version) return false;
+    _personas.set(id, next);
+    console.log(`[persona] Reloaded profile ${next.version} for "${id}"`);
+    for (const listener of _listeners) {
+      try {
+        listener(next, id);
+      } catch (err) {
+        console.error("[persona] Change listener failed:", err.message);
+      }
+    }
+    return true;
+  } catch (err) {
+    console.error(
+      `[persona] Reload failed for "${id}" — keeping version ${current ? current.version : "none"}.`,
+      err.message
+    );
+    return false;
+  }
+}
+
+/**
+ * Starts polling every tenant's profile file for changes.
+ * fs.watchFile survives editors that save by replacing the file.
+ */
+function watchPersona() {
+  for (const { id, profilePath } of getTenants()) {
+    fs.watchFile(profilePath, { interval: 1000 }, (curr, prev) => {
+      if (curr.mtimeMs !== prev.mtimeMs) reloadPersona(id);
+    }).unref();
+  }
+}
+
+/**
+ * Registers a callback for each newly activated profile version (not the
+ * initial load).
+ * @param {(persona: { profile: object, systemPrompt: string, version: string, loadedAt: string }, tenantId: string) => void} listener
+ */
+function onPersonaChange(listener) {
+  _listeners.push(listener);
+}
+
+/**
+ * Returns a tenant's active persona.
+ * @param {string} [tenantId] - Default: the default tenant.
+ * @returns {{ profile: object, systemPrompt: string, version: string, loadedAt: string }}
+ */
+function getPersona(tenantId) {
+  const { id, profilePath } = _tenant(tenantId);
+  if (!_personas.has(id)) _personas.set(id, _readPersona(profilePath));
+  return _personas.get(id);
+}
+
+/**
+ * Returns the compiled system prompt for a tenant's active persona.
+ * @param {string} [tenantId]
+ * @returns {string}
+ */
+function getSystemPrompt(tenantId) {
+  return getPersona(tenantId).systemPrompt;
+}
+
+module.exports = {
+  loadPersona,
+  reloadPersona,
+  watchPersona,
+  getPersona,
+  getSystemPrompt,
+  onPersonaChange,
+  compileSystemPrompt,
+};
@@ -0,0 +1,196 @@
+/**
+ * src/services/providers/anthropic.provider.js
+ *
+ * Provider for the Anthropic Messages API (and compatible gateways).
+ * Uses fetch directly so no extra SDK is required.
+ *
+ * Differences from the OpenAI shape handled here:
+ *  - system messages go in a top-level `system` field
+ *  - streaming uses named events (content_block_delta, message_delta, …)
+ *  - usage is reported as input_tokens / output_tokens
+ *  - tool calls are `tool_use` content blocks; results go back as
+ *    `tool_result` blocks in a user message
+ */
+
+const ANTHROPIC_VERSION = "2023-06-01";
+
+/**
+ * Parses an SSE response body into { event, data } objects.
+ * @param {ReadableStream<Uint8Array>} body
+ */
+async function* _readEvents(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const parts = buffer.split("\n\n");
+    buffer = parts.pop();
+
+    for (const part of parts) {
+      let event = "message";
+      let data = "";
+      for (const line of part.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data += line.slice(5).trim();
+      }
+      if (data) yield { event, data: JSON.parse(data) };
+    }
+  }
+}
+
+/**
+ * Converts provider-neutral messages (see providers/index.js) to Messages API
+ * turns.  Consecutive tool results are merged into one user turn, as the API
+ * requires.
+ * @param {import("./index").Message[]} messages - Without system messages.
+ * @returns {object[]}
+ */
+function _toAnthropicMessages(messages) {
+  const turns = [];
+
+  for (const m of messages) {
+    if (m.role === "tool") {
+      const block = { type: "tool_result", tool_use_id: m.toolCallId, content: m.content };
+      const last = turns[turns.length - 1];
+      if (last?.role === "user" && Array.isArray(last.content) && last.content[0]?.type === "tool_result") {
+        last.content.push(block);
+      } else {
+        turns.push({ role: "user", content: [block] });
+      }
+    } else if (m.toolCalls?.length) {
+      turns.push({
+        role: "assistant",
+        content: [
+          ...(m.content ? [{ type: "text", text: m.content }] : []),
+          ...m.toolCalls.map((call) => ({
+            type: "tool_use",
+            id: call.id,
+            name: call.name,
+            input: call.arguments,
+          })),
+        ],
+      });
+    } else {
+      turns.push({ role: m.role, content: m.content });
+    }
+  }
+
+  return turns;
+}
+
+/**
+ * @param {object} config
+ * @param {string} config.name
+ * @param {string} config.model
+ * @param {string} config.baseURL
+ * @param {string} config.apiKey
+ * @param {number} config.timeoutMs
+ * @returns {import("./index").Provider}
+ */
+function createAnthropicProvider({ name, model, baseURL, apiKey, timeoutMs }) {
+  return {
+    name,
+    model,
+    timeoutMs,
+
+    async *stream({ messages, maxTokens, temperature, tools }, { signal }) {
+      const system = messages
+        .filter((m) => m.role === "system")
+        .map((m) => m.content)
+        .join("\n\n");
+
+      const response = await fetch(`${baseURL.replace(/\/$/, "")}/v1/messages`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "x-api-key": apiKey,
+          "anthropic-version": ANTHROPIC_VERSION,
+        },
+        body: JSON.stringify({
+          model,
+          system,
+          messages: _toAnthropicMessages(messages.filter((m) => m.role !== "system")),
+          max_tokens: maxTokens,
+          temperature,
+          ...(tools?.length
+            ? {
+                tools: tools.map(({ name, description, parameters }) => ({
+                  name,
+                  description,
+                  input_schema: parameters,
+                })),
+              }
+            : {}),
+          stream: true,
+        }),
+        signal,
+      });
+
+      if (!response.ok) {
+        const err = new Error(`Anthropic API returned ${response.status}: ${await response.text()}`);
+        err.status = response.status;
+        throw err;
+      }
+
+      let inputTokens = 0;
+      let outputTokens = 0;
+      // tool_use blocks being streamed, by content block index
+      const calls = new Map();
+
+      for await (const { event, data } of _readEvents(response.body)) {
+        if (event === "message_start") {
+          inputTokens = data.message?.usage?.input_tokens || 0;
+        } else if (event === "content_block_start" && data.content_block?.type === "tool_use") {
+          const { id, name } = data.content_block;
+          calls.set(data.index, { id, name, json: "" });
+        } else if (event === "content_block_delta" && data.delta?.type === "text_delta") {
+          yield { delta: data.delta.text };
+        } else if (event === "content_block_delta" && data.delta?.type === "input_json_delta") {
+          const call = calls.get(data.index);
+          if (call) call.json += data.delta.partial_json;
+        } else if (event === "content_block_stop" && calls.has(data.index)) {
+          const { id, name, json } = calls.get(data.index);
+          let args = {};
+          try {
+            args = json ? JSON.parse(json) : {};
+          } catch {
+            // Malformed arguments — let the tool report what's missing
+          }
+          yield { toolCall: { id, name, arguments: args } };
+        } else if (event === "message_delta") {
+          outputTokens = data.usage?.output_tokens || outputTokens;
+        } else if (event === "error") {
+          throw new Error(`Anthropic stream error: ${data.error?.message || "unknown"}`);
+        }
+      }
+
+      // Normalise to the OpenAI usage shape used everywhere else
+      yield {
+        usage: {
+          prompt_tokens: inputTokens,
+          completion_tokens: outputTokens,
+          total_tokens: inputTokens + outputTokens,
+        },
+      };
+    },
+
+    async check({ signal }) {
+      const response = await fetch(`${baseURL.replace(/\/$/, "")}/v1/models?limit=1`, {
+        headers: { "x-api-key": apiKey, "anthropic-version": ANTHROPIC_VERSION },
+        signal,
+      });
+      if (!response.ok) {
+        const err = new Error(`Anthropic API returned ${response.status}`);
+        err.status = response.status;
+        throw err;
+      }
+    },
+  };
+}
+
+module.exports = { createAnthropicProvider };
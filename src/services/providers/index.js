@@ -0,0 +1,141 @@
+/**
+ * src/services/providers/index.js
+ *
+ * Builds the ordered provider fallback chain from LLM_PROVIDERS.
+ *
+ * LLM_PROVIDERS is a comma-separated list of `type` or `type:model` entries,
+ * tried in order, e.g.
+ *
+ *   LLM_PROVIDERS=openai,openai:meta-llama/llama-3.1-8b-instruct,ollama:llama3.1
+ *
+ * Supported types and their settings:
+ *   openai    — OPENAI_API_KEY, OPENAI_BASE_URL, OPENAI_MODEL, OPENAI_TIMEOUT_MS
+ *   anthropic — ANTHROPIC_API_KEY, ANTHROPIC_BASE_URL, ANTHROPIC_MODEL, ANTHROPIC_TIMEOUT_MS
+ *   ollama    — OLLAMA_BASE_URL, OLLAMA_MODEL, OLLAMA_TIMEOUT_MS (any local
+ *               OpenAI-compatible server, including llama.cpp's llama-server)
+ *   mock      — MOCK_REPLY, MOCK_FAIL, MOCK_TOOL_CALL (deterministic, for tests)
+ *
+ * Defaults to `openai` alone, which matches the original single-client setup.
+ */
+
+const { createOpenAIProvider } = require("./openai.provider");
+const { createAnthropicProvider } = require("./anthropic.provider");
+const { createMockProvider } = require("./mock.provider");
+
+/**
+ * Provider-neutral chat message.  Besides plain system/user/assistant text,
+ * an assistant turn may carry tool calls, answered by "tool" messages.
+ * @typedef {object} Message
+ * @property {"system"|"user"|"assistant"|"tool"} role
+ * @property {string} content
+ * @property {ToolCall[]} [toolCalls]  - assistant only
+ * @property {string} [toolCallId]     - tool only: the call being answered
+ */
+
+/**
+ * @typedef {object} ToolCall
+ * @property {string} id
+ * @property {string} name
+ * @property {object} arguments
+ */
+
+/**
+ * @typedef {object} Provider
+ * @property {string} name       - Provider type, e.g. "openai".
+ * @property {string} model
+ * @property {number} timeoutMs  - Max wait for the first (and each subsequent) chunk.
+ * @property {(request: { messages: Message[], maxTokens: number, temperature: number,
+ *                        tools?: Array<{ name: string, description: string, parameters: object }> },
+ *             options: { signal: AbortSignal }) => AsyncIterable<{ delta?: string, usage?: object, toolCall?: ToolCall }>} stream
+ *   Tool calls are yielded whole, once their arguments are complete.
+ * @property {(options: { signal: AbortSignal }) => Promise<void>} check
+ *   Cheap request (no tokens) that rejects when the provider can't be reached
+ *   or refuses the key — for the deep health check (health.service.js).
+ */
+
+const timeoutFrom = (value, fallback) => parseInt(value, 10) || fallback;
+
+// ── Provider factories ─────────────────────────────────────────────────────
+// Each returns { provider } or { error } when required settings are missing.
+const FACTORIES = {
+  openai: (model) => {
+    if (!process.env.OPENAI_API_KEY) return { error: "OPENAI_API_KEY is not set" };
+    return {
+      provider: createOpenAIProvider({
+        name: "openai",
+        model: model || process.env.OPENAI_MODEL || "stepfun/step-3.5-flash",
+        baseURL: process.env.OPENAI_BASE_URL || "https://openrouter.ai/api/v1",
+        apiKey: process.env.OPENAI_API_KEY,
+        timeoutMs: timeoutFrom(process.env.OPENAI_TIMEOUT_MS, 15000),
+      }),
+    };
+  },
+
+  anthropic: (model) => {
+    if (!process.env.ANTHROPIC_API_KEY) return { error: "ANTHROPIC_API_KEY is not set" };
+    return {
+      provider: createAnthropicProvider({
+        name: "anthropic",
+        model: model || process.env.ANTHROPIC_MODEL || "claude-3-5-haiku-latest",
+        baseURL: process.env.ANTHROPIC_BASE_URL || "https://api.anthropic.com",
+        apiKey: process.env.ANTHROPIC_API_KEY,
+        timeoutMs: timeoutFrom(process.env.ANTHROPIC_TIMEOUT_MS, 15000),
+      }),
+    };
+  },
+
+  ollama: (model) => ({
+    provider: createOpenAIProvider({
+      name: "ollama",
+      model: model || process.env.OLLAMA_MODEL || "llama3.1",
+      baseURL: process.env.OLLAMA_BASE_URL || "http://localhost:11434/v1",
+      apiKey: process.env.OLLAMA_API_KEY,
+      // Local models can take a while to load on the first request
+      timeoutMs: timeoutFrom(process.env.OLLAMA_TIMEOUT_MS, 30000),
+    }),
+  }),
+
+  mock: (model) => ({
+    provider: createMockProvider({
+      name: "mock",
+      model: model || "mock-1",
+      timeoutMs: timeoutFrom(process.env.MOCK_TIMEOUT_MS, 5000),
+    }),
+  }),
+};
+
+/**
+ * Parses a chain spec (LLM_PROVIDERS syntax) into providers.
+ * @param {string} [spec] - Defaults to LLM_PROVIDERS, or "openai".
+ * @returns {{ providers: Provider[], errors: string[] }}
+ */
+function buildProviderChain(spec = process.env.LLM_PROVIDERS || "openai") {
+  const entries = spec
+    .split(",")
+    .map((e) => e.trim())
+    .filter(Boolean);
+
+  const providers = [];
+  const errors = [];
+
+  for (const entry of entries) {
+    // Split on the first colon only — model names may contain colons (llama3.1:8b)
+    const sep = entry.indexOf(":");
+    const type = (sep === -1 ? entry : entry.slice(0, sep)).toLowerCase();
+    const model = sep === -1 ? undefined : entry.slice(sep + 1);
+
+    const factory = FACTORIES[type];
+    if (!factory) {
+      errors.push(`unknown provider type "${type}" in LLM_PROVIDERS`);
+      continue;
+    }
+
+    const { provider, error } = factory(model);
+    if (error) errors.push(`${entry}: ${error}`);
+    else providers.push(provider);
+  }
+
+  return { providers, errors };
+}
+
+module.exports = { buildProviderChain };
@@ -0,0 +1,89 @@
+/**
+ * src/services/providers/mock.provider.js
+ *
+ * Deterministic provider for tests and local development — no network, no key.
+ *
+ * Streams MOCK_REPLY word by word.  Set MOCK_FAIL=connection to simulate an
+ * unreachable provider (exercises retry + fallback), or MOCK_FAIL=error for a
+ * non-retryable failure.
+ *
+ * MOCK_TOOL_CALL=<tool>[:<json arguments>] makes the first turn a call to that
+ * tool (when it is offered); the reply is streamed once the result is back.
+ */
+
+const { estimateTokens } = require("../session.service");
+
+const DEFAULT_REPLY =
+  "This is a mock reply. James is a full-stack developer working with JavaScript, React and Node.js.";
+
+/**
+ * Parses MOCK_TOOL_CALL ("name" or "name:{...}").
+ * @param {string|undefined} spec
+ * @returns {import("./index").ToolCall|null}
+ */
+function _toolCall(spec) {
+  if (!spec) return null;
+  const sep = spec.indexOf(":");
+  const name = sep === -1 ? spec : spec.slice(0, sep);
+  const args = sep === -1 ? {} : JSON.parse(spec.slice(sep + 1));
+  return { id: "mock-call-1", name, arguments: args };
+}
+
+/**
+ * @param {object} config
+ * @param {string} config.name
+ * @param {string} config.model
+ * @param {number} config.timeoutMs
+ * @returns {import("./index").Provider}
+ */
+function createMockProvider({ name, model, timeoutMs }) {
+  return {
+    name,
+    model,
+    timeoutMs,
+
+    async *stream({ messages, tools = [] }) {
+      const failure = process.env.MOCK_FAIL;
+      if (failure === "connection") {
+        const err = new Error("mock provider: connection refused");
+        err.code = "ECONNREFUSED";
+        throw err;
+      }
+      if (failure === "error") {
+        throw new Error("mock provider: simulated API error");
+      }
+
+      const promptTokens = messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+      const toolCall = _toolCall(process.env.MOCK_TOOL_CALL);
+      const answered = messages.some((m) => m.role === "tool");
+
+      if (toolCall && !answered && tools.some((t) => t.name === toolCall.name)) {
+        yield { toolCall };
+        yield {
+          usage: { prompt_tokens: promptTokens, completion_tokens: 10, total_tokens: promptTokens + 10 },
+        };
+        return;
+      }
+
+      const reply = process.env.MOCK_REPLY || DEFAULT_REPLY;
+      for (const word of reply.split(/(?<= )/)) {
+        yield { delta: word };
+      }
+
+      const completionTokens = estimateTokens(reply);
+      yield {
+        usage: {
+          prompt_tokens: promptTokens,
+          completion_tokens: completionTokens,
+          total_tokens: promptTokens + completionTokens,
+        },
+      };
+    },
+
+    async check() {
+      if (process.env.MOCK_FAIL) throw new Error(`mock provider: MOCK_FAIL=${process.env.MOCK_FAIL}`);
+    },
+  };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,130 @@
+/**
+ * src/services/providers/openai.provider.js
+ *
+ * Provider for any OpenAI-compatible chat completions API: OpenAI itself,
+ * OpenRouter, and local servers that expose /v1/chat/completions
+ * (Ollama, llama.cpp's llama-server, LM Studio, vLLM…).
+ */
+
+const OpenAI = require("openai");
+
+/**
+ * Converts provider-neutral messages (see providers/index.js) to the
+ * Chat Completions shape.
+ * @param {import("./index").Message[]} messages
+ * @returns {object[]}
+ */
+function _toOpenAIMessages(messages) {
+  return messages.map((m) => {
+    if (m.role === "tool") {
+      return { role: "tool", tool_call_id: m.toolCallId, content: m.content };
+    }
+    if (m.toolCalls?.length) {
+      return {
+        role: "assistant",
+        content: m.content || null,
+        tool_calls: m.toolCalls.map((call) => ({
+          id: call.id,
+          type: "function",
+          function: { name: call.name, arguments: JSON.stringify(call.arguments) },
+        })),
+      };
+    }
+    return { role: m.role, content: m.content };
+  });
+}
+
+/**
+ * Parses streamed tool-call arguments; malformed JSON becomes {}.
+ * @param {string} json
+ * @returns {object}
+ */
+function _parseArguments(json) {
+  try {
+    return json ? JSON.parse(json) : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * @param {object} config
+ * @param {string} config.name      - Provider label used in logs and the `done` event.
+ * @param {string} config.model
+ * @param {string} config.baseURL
+ * @param {string} [config.apiKey]  - Local servers usually ignore it.
+ * @param {number} config.timeoutMs
+ * @returns {import("./index").Provider}
+ */
+function createOpenAIProvider({ name, model, baseURL, apiKey, timeoutMs }) {
+  // Retries and fallback are handled by llm.service.js, not the SDK
+  const client = new OpenAI({ apiKey: apiKey || "not-needed", baseURL, maxRetries: 0 });
+
+  return {
+    name,
+    model,
+    timeoutMs,
+
+    async *stream({ messages, maxTokens, temperature, tools }, { signal }) {
+      const stream = await client.chat.completions.create(
+        {
+          model,
+          messages: _toOpenAIMessages(messages),
+          max_tokens: maxTokens,
+          temperature,
+          ...(tools?.length
+            ? {
+                tools: tools.map(({ name, description, parameters }) => ({
+                  type: "function",
+                  function: { name, description, parameters },
+                })),
+              }
+            : {}),
+          stream: true,
+          // Instructs the API to include token counts in the final stream chunk
+          stream_options: { include_usage: true },
+        },
+        { signal }
+      );
+
+      // Tool calls arrive in fragments (name first, then the arguments JSON
+      // piece by piece), keyed by index; they are complete once the stream ends
+      const calls = [];
+
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta;
+        if (delta?.content) yield { delta: delta.content };
+        for (const part of delta?.tool_calls || []) {
+          const call = (calls[part.index ?? 0] ||= { id: "", name: "", json: "" });
+          if (part.id) call.id = part.id;
+          if (part.function?.name) call.name += part.function.name;
+          if (part.function?.arguments) call.json += part.function.arguments;
+        }
+        if (chunk.usage) yield { usage: chunk.usage };
+      }
+
+      for (const call of calls.filter(Boolean)) {
+        yield {
+          toolCall: { id: call.id, name: call.name, arguments: _parseArguments(call.json) },
+        };
+      }
+    },
+
+    // Listing models needs the key on most APIs (not on OpenRouter, where
+    // this only proves the server is reachable)
+    async check({ signal }) {
+      await client.models.list({ signal });
+    },
+  };
+}
+
+/**
+ * Is this error a network-level failure worth retrying?
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isOpenAIConnectionError(err) {
+  return err instanceof OpenAI.APIConnectionError;
+}
+
+module.exports = { createOpenAIProvider, isOpenAIConnectionError };
@@ -0,0 +1,90 @@
+/**
+ * src/services/ratelimit/file.store.js
+ *
+ * Memory store that is saved to a JSON file (RATE_LIMIT_FILE, default
+ * storage/ratelimit.json) a second after each change and read back at
+ * startup, so limits survive a restart.  For a single instance only — two
+ * processes writing the same file would overwrite each other's counters.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { createMemoryStore } = require("./memory.store");
+
+const SAVE_DELAY_MS = 1000;
+
+/**
+ * Counters from the file, without the expired ones.
+ * @param {string} filePath
+ * @returns {Map<string, { value: number, expiresAt: number }>}
+ */
+function _load(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return new Map();
+    throw err;
+  }
+
+  const now = Date.now();
+  const entries = new Map();
+  try {
+    for (const [key, entry] of Object.entries(JSON.parse(raw))) {
+      if (entry?.expiresAt > now && typeof entry.value === "number") entries.set(key, entry);
+    }
+  } catch (err) {
+    console.warn(`[ratelimit] Ignoring unreadable ${filePath}: ${err.message}`);
+  }
+  return entries;
+}
+
+/**
+ * @param {string} filePath
+ * @returns {import("./index").Store}
+ */
+function createFileStore(filePath) {
+  let timer = null;
+  let saving = Promise.resolve();
+
+  const save = () => {
+    timer = null;
+    const now = Date.now();
+    const data = {};
+    for (const [key, entry] of store.entries) {
+      if (entry.expiresAt > now) data[key] = entry;
+    }
+
+    // Write-then-rename so a crash never leaves a half-written file
+    saving = saving
+      .then(async () => {
+        const tmp = `${filePath}.tmp`;
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(tmp, JSON.stringify(data));
+        await fs.promises.rename(tmp, filePath);
+      })
+      .catch((err) => console.error(`[ratelimit] Could not save ${filePath}: ${err.message}`));
+    return saving;
+  };
+
+  const store = createMemoryStore({
+    entries: _load(filePath),
+    onChange: () => {
+      if (!timer) timer = setTimeout(save, SAVE_DELAY_MS).unref();
+    },
+  });
+
+  return {
+    ...store,
+    name: "file",
+
+    // Writes pending changes now
+    async close() {
+      if (!timer) return saving;
+      clearTimeout(timer);
+      return save();
+    },
+  };
+}
+
+module.exports = { createFileStore };
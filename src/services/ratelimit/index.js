@@ -0,0 +1,122 @@
+/**
+ * src/services/ratelimit/index.js
+ *
+ * Counter stores for the chat rate limits and the sliding-window arithmetic
+ * on top of them (see limiter.middleware.js).
+ *
+ * RATE_LIMIT_STORE picks where counters live:
+ *   memory — in-process (default); resets on restart
+ *   file   — memory, saved to RATE_LIMIT_FILE; survives restarts, one instance only
+ *   redis  — any Redis-protocol server at RATE_LIMIT_REDIS_URL; shared by all instances
+ *
+ * Windows slide: a limit of 100 per 15 minutes counts the current 15-minute
+ * bucket plus the part of the previous bucket that still falls inside the
+ * last 15 minutes (weighted by how much of it overlaps).  Only two counters
+ * per key and window are kept, so every store just needs "add" and "read".
+ */
+
+const path = require("path");
+const { createMemoryStore } = require("./memory.store");
+const { createFileStore } = require("./file.store");
+const { createRedisStore } = require("./redis.store");
+
+const STORE_TYPE = (process.env.RATE_LIMIT_STORE || "memory").toLowerCase();
+const FILE_PATH = path.resolve(
+  process.env.RATE_LIMIT_FILE || path.join(__dirname, "../../../storage/ratelimit.json")
+);
+const REDIS_URL = process.env.RATE_LIMIT_REDIS_URL || "redis://localhost:6379";
+
+/**
+ * @typedef {object} Store
+ * @property {string} name
+ * @property {(key: string, amount: number, ttlMs: number) => Promise<number>} incr
+ *   Adds `amount` and (re)sets the key's expiry; resolves to the new value.
+ * @property {(key: string) => Promise<number>} get - 0 for a missing key.
+ * @property {() => Promise<void>} close
+ */
+
+const FACTORIES = {
+  memory: () => createMemoryStore(),
+  file: () => createFileStore(FILE_PATH),
+  redis: () => createRedisStore(REDIS_URL),
+};
+
+/** @type {Store|null} */
+let _store = null;
+
+/**
+ * The configured store, created on first use.
+ * @returns {Store}
+ * @throws {Error} For an unknown RATE_LIMIT_STORE.
+ */
+function getStore() {
+  if (_store) return _store;
+  const factory = FACTORIES[STORE_TYPE];
+  if (!factory) {
+    throw new Error(
+      `Unknown RATE_LIMIT_STORE "${STORE_TYPE}" (expected ${Object.keys(FACTORIES).join(", ")})`
+    );
+  }
+  _store = factory();
+  return _store;
+}
+
+/**
+ * Where the counters for `key` live right now.
+ * @param {string} key
+ * @param {number} windowMs
+ * @param {number} now
+ */
+function _buckets(key, windowMs, now) {
+  const start = Math.floor(now / windowMs) * windowMs;
+  return {
+    current: `rl:${key}:${start}`,
+    previous: `rl:${key}:${start - windowMs}`,
+    // Share of the previous bucket still inside the window
+    overlap: 1 - (now - start) / windowMs,
+    resetMs: start + windowMs - now,
+  };
+}
+
+/**
+ * Adds `weight` to a sliding window and returns the total inside it.
+ *
+ * @param {string} key
+ * @param {number} windowMs
+ * @param {number} [weight]
+ * @returns {Promise<{ total: number, resetMs: number }>} resetMs: until the
+ *   current bucket ends (when the total starts to fall).
+ */
+async function addToWindow(key, windowMs, weight = 1) {
+  const { current, previous, overlap, resetMs } = _buckets(key, windowMs, Date.now());
+  const store = getStore();
+  const [now, before] = await Promise.all([
+    // Kept for two windows: one as "current", one as "previous"
+    store.incr(current, weight, windowMs * 2),
+    store.get(previous),
+  ]);
+  return { total: Math.ceil(before * overlap + now), resetMs };
+}
+
+/**
+ * The total inside a sliding window, without adding to it.
+ * @param {string} key
+ * @param {number} windowMs
+ * @returns {Promise<{ total: number, resetMs: number }>}
+ */
+async function readWindow(key, windowMs) {
+  const { current, previous, overlap, resetMs } = _buckets(key, windowMs, Date.now());
+  const store = getStore();
+  const [now, before] = await Promise.all([store.get(current), store.get(previous)]);
+  return { total: Math.ceil(before * overlap + now), resetMs };
+}
+
+/**
+ * Saves or disconnects the store (file / redis).  Call on shutdown.
+ * @returns {Promise<void>}
+ */
+async function closeStore() {
+  if (_store) await _store.close();
+}
+
+module.exports = { getStore, addToWindow, readWindow, closeStore, STORE_TYPE, FILE_PATH };
@@ -0,0 +1,55 @@
+/**
+ * src/services/ratelimit/memory.store.js
+ *
+ * In-process counter store — the default.  Fast and dependency-free, but
+ * counters reset on restart and aren't shared between instances.
+ */
+
+/**
+ * @param {object} [options]
+ * @param {Map<string, { value: number, expiresAt: number }>} [options.entries]
+ *   Initial counters (used by the file store).
+ * @param {() => void} [options.onChange] - Called after every increment.
+ * @returns {import("./index").Store & { entries: Map<string, { value: number, expiresAt: number }> }}
+ */
+function createMemoryStore({ entries = new Map(), onChange } = {}) {
+  let lastSweep = 0;
+
+  // Drops expired counters, at most once a minute
+  const sweep = (now) => {
+    if (now - lastSweep < 60 * 1000) return;
+    lastSweep = now;
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  };
+
+  const live = (key, now) => {
+    const entry = entries.get(key);
+    return entry && entry.expiresAt > now ? entry : null;
+  };
+
+  return {
+    name: "memory",
+    entries,
+
+    async incr(key, amount, ttlMs) {
+      const now = Date.now();
+      sweep(now);
+      const entry = live(key, now) || { value: 0, expiresAt: 0 };
+      entry.value += amount;
+      entry.expiresAt = now + ttlMs;
+      entries.set(key, entry);
+      onChange?.();
+      return entry.value;
+    },
+
+    async get(key) {
+      return live(key, Date.now())?.value || 0;
+    },
+
+    async close() {},
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,174 @@
+/**
+ * src/services/ratelimit/redis.store.js
+ *
+ * Counter store on any server speaking the Redis protocol (Redis, Valkey,
+ * KeyDB, or `npm run resp-server` locally), so every instance shares the
+ * same limits.  Configured with RATE_LIMIT_REDIS_URL, e.g.
+ *   redis://localhost:6379
+ *   redis://:password@cache.internal:6379/2
+ *
+ * Minimal client — one connection, pipelined commands (INCRBY, PEXPIRE, GET,
+ * plus AUTH / SELECT on connect).  A dropped connection is reopened by the
+ * next command; a command that isn't answered within
+ * RATE_LIMIT_REDIS_TIMEOUT_MS fails (the limiter then lets the request
+ * through, see limiter.middleware.js).
+ */
+
+const net = require("net");
+
+const TIMEOUT_MS = parseInt(process.env.RATE_LIMIT_REDIS_TIMEOUT_MS, 10) || 500;
+
+/**
+ * Encodes a command as a RESP array of bulk strings.
+ * @param {Array<string|number>} args
+ * @returns {string}
+ */
+function _encode(args) {
+  return (
+    `*${args.length}\r\n` +
+    args.map((a) => `$${Buffer.byteLength(String(a))}\r\n${a}\r\n`).join("")
+  );
+}
+
+/**
+ * Parses one RESP reply from the start of `buf`.
+ * @param {Buffer} buf
+ * @param {number} [start]
+ * @returns {{ value: unknown, end: number }|null} null when the reply is incomplete.
+ */
+function parseResp(buf, start = 0) {
+  const lineEnd = buf.indexOf("\r\n", start);
+  if (lineEnd === -1) return null;
+  const type = String.fromCharCode(buf[start]);
+  const line = buf.toString("utf8", start + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case "+":
+      return { value: line, end: next };
+    case "-":
+      return { value: new Error(line), end: next };
+    case ":":
+      return { value: Number(line), end: next };
+    case "$": {
+      const length = Number(line);
+      if (length === -1) return { value: null, end: next };
+      if (buf.length < next + length + 2) return null;
+      return { value: buf.toString("utf8", next, next + length), end: next + length + 2 };
+    }
+    case "*": {
+      const count = Number(line);
+      if (count === -1) return { value: null, end: next };
+      const items = [];
+      let end = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseResp(buf, end);
+        if (!item) return null;
+        items.push(item.value);
+        end = item.end;
+      }
+      return { value: items, end };
+    }
+    default:
+      throw new Error(`Unexpected reply from the rate-limit store: ${JSON.stringify(line)}`);
+  }
+}
+
+/**
+ * @param {string} url - redis://[:password@]host[:port][/db]
+ * @returns {import("./index").Store}
+ */
+function createRedisStore(url) {
+  const { hostname, port, password, pathname } = new URL(url);
+  const db = parseInt(pathname.slice(1), 10) || 0;
+
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  // Callbacks of sent commands, in order; RESP answers in the same order
+  const pending = [];
+
+  // Drops the connection and fails every command still waiting on it
+  const reset = (err) => {
+    const old = socket;
+    socket = null;
+    buffer = Buffer.alloc(0);
+    old?.destroy();
+    while (pending.length) pending.shift().reject(err);
+  };
+
+  const connect = () => {
+    const s = net.connect({ host: hostname || "localhost", port: Number(port) || 6379 });
+    socket = s;
+    s.setNoDelay(true);
+    s.on("data", (data) => {
+      if (socket !== s) return;
+      buffer = Buffer.concat([buffer, data]);
+      try {
+        let reply;
+        while (pending.length && (reply = parseResp(buffer))) {
+          buffer = buffer.subarray(reply.end);
+          const { resolve, reject } = pending.shift();
+          if (reply.value instanceof Error) reject(reply.value);
+          else resolve(reply.value);
+        }
+      } catch (err) {
+        reset(err);
+      }
+    });
+    s.on("error", () => {}); // Reported through "close"
+    s.on("close", () => {
+      if (socket === s) reset(new Error("Connection to the rate-limit store closed."));
+    });
+
+    // Sent first, so they run before any command queued after them
+    if (password) send(["AUTH", decodeURIComponent(password)]).catch(() => {});
+    if (db) send(["SELECT", db]).catch(() => {});
+  };
+
+  /**
+   * @param {Array<string|number>} args
+   * @returns {Promise<unknown>}
+   */
+  function send(args) {
+    if (!socket) connect();
+    return new Promise((resolve, reject) => {
+      // The connection is out of step after a timeout — start over
+      const timer = setTimeout(() => reset(new Error("Rate-limit store timed out.")), TIMEOUT_MS);
+      pending.push({
+        resolve: (value) => {
+          clearTimeout(timer);
+          resolve(value);
+        },
+        reject: (err) => {
+          clearTimeout(timer);
+          reject(err);
+        },
+      });
+      socket.write(_encode(args));
+    });
+  }
+
+  return {
+    name: "redis",
+
+    async incr(key, amount, ttlMs) {
+      const [value] = await Promise.all([
+        send(["INCRBY", key, amount]),
+        send(["PEXPIRE", key, ttlMs]),
+      ]);
+      return value;
+    },
+
+    async get(key) {
+      return Number(await send(["GET", key])) || 0;
+    },
+
+    async close() {
+      const s = socket;
+      socket = null;
+      s?.end();
+    },
+  };
+}
+
+module.exports = { createRedisStore, parseResp };
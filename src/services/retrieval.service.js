@@ -0,0 +1,271 @@
+/**
+ * src/services/retrieval.service.js
+ *
+ * Offline retrieval over the local portfolio corpus (project READMEs, blog
+ * posts, résumé text).
+ *
+ * Documents are split into chunks by scripts/ingest.js and stored in a JSON
+ * index (RAG_INDEX_PATH, or a tenant's own "ragIndex").  At query time chunks
+ * are ranked with BM25 — no embeddings API or network access needed.
+ *
+ * If the index file is missing, retrieval is simply skipped.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const INDEX_PATH = path.resolve(
+  process.env.RAG_INDEX_PATH || path.join(__dirname, "../../storage/rag-index.json")
+);
+// Read by scripts/ingest.js only
+const CORPUS_DIR = path.resolve(
+  process.env.RAG_CORPUS_DIR || path.join(__dirname, "../../data/corpus")
+);
+const TOP_K = parseInt(process.env.RAG_TOP_K, 10) || 3;
+const MIN_SCORE = process.env.RAG_MIN_SCORE ? parseFloat(process.env.RAG_MIN_SCORE) : 0.5;
+
+// BM25 tuning constants (standard defaults)
+const K1 = 1.2;
+const B = 0.75;
+
+// Maximum chunk size in characters; chunks break on paragraph boundaries,
+// and longer paragraphs are split (see _splitParagraph).
+const CHUNK_SIZE = 800;
+// Characters repeated between the pieces of a split paragraph, so a fact that
+// spans the cut is still found whole in one of them
+const CHUNK_OVERLAP = 150;
+
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be but by did do does for from has have he his how i " +
+    "in is it its me my of on or so that the their them this to was were what " +
+    "when where which who why will with you your about can tell"
+  ).split(" ")
+);
+
+/**
+ * Lowercases, splits on non-alphanumerics and drops stopwords.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return (text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((t) => t.length > 1 && !STOPWORDS.has(t));
+}
+
+/**
+ * Splits a paragraph longer than `size` characters into pieces of at most
+ * `size` — at a sentence end where possible, otherwise at a space, otherwise
+ * mid-word — each starting about CHUNK_OVERLAP characters before the
+ * previous one ended.
+ *
+ * @param {string} para
+ * @param {number} size
+ * @returns {string[]}
+ */
+function _splitParagraph(para, size) {
+  if (para.length <= size) return [para];
+
+  const overlap = Math.min(CHUNK_OVERLAP, Math.floor(size / 4));
+  const pieces = [];
+  let start = 0;
+
+  while (start < para.length) {
+    let end = Math.min(start + size, para.length);
+    if (end < para.length) {
+      const window = para.slice(start, end);
+      const sentence = [...window.matchAll(/[.!?](?=\s)/g)].pop();
+      const space = window.lastIndexOf(" ");
+      // A cut within the overlap would make no progress
+      if (sentence && sentence.index + 1 > overlap) end = start + sentence.index + 1;
+      else if (space > overlap) end = start + space;
+    }
+
+    pieces.push(para.slice(start, end).trim());
+    if (end >= para.length) break;
+
+    // Back up by the overlap, to the start of a sentence or else of a word
+    const back = end - overlap;
+    const sentence = para.slice(back, end - 1).match(/[.!?]\s+/);
+    const word = para.indexOf(" ", back);
+    if (sentence) start = back + sentence.index + sentence[0].length;
+    else start = word !== -1 && word < end ? word + 1 : back;
+  }
+
+  return pieces.filter(Boolean);
+}
+
+/**
+ * Splits a document into chunks of at most CHUNK_SIZE characters, keeping
+ * paragraphs intact where they fit and prefixing each chunk with its nearest
+ * heading.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function chunkText(text) {
+  const paragraphs = text.split(/\n\s*\n/).map((p) => p.trim()).filter(Boolean);
+  const chunks = [];
+  let heading = "";
+  let current = "";
+
+  for (const para of paragraphs) {
+    if (/^#{1,6}\s/.test(para) && !para.includes("\n")) {
+      heading = para.replace(/^#+\s*/, "");
+    }
+
+    // A heading too long to repeat is left out rather than crowding the text
+    const prefix =
+      heading && !para.startsWith("#") && heading.length < CHUNK_SIZE / 4 ? heading : "";
+    const room = CHUNK_SIZE - (prefix ? prefix.length + 2 : 0);
+
+    for (const piece of _splitParagraph(para, room)) {
+      if (current && current.length + 2 + piece.length > CHUNK_SIZE) {
+        chunks.push(current);
+        current = prefix;
+      }
+      current += (current ? "\n\n" : "") + piece;
+    }
+  }
+  if (current) chunks.push(current);
+
+  return chunks;
+}
+
+/**
+ * Builds a BM25 index from a list of documents.
+ *
+ * @param {Array<{ title: string, source: string, text: string }>} documents
+ * @returns {object} Serializable index.
+ */
+function buildIndex(documents) {
+  const chunks = [];
+  const df = {};
+
+  for (const doc of documents) {
+    chunkText(doc.text).forEach((text, i) => {
+      const terms = tokenize(text);
+      const tf = {};
+      for (const t of terms) tf[t] = (tf[t] || 0) + 1;
+      for (const t of Object.keys(tf)) df[t] = (df[t] || 0) + 1;
+
+      chunks.push({
+        id: `${doc.source}#${i}`,
+        title: doc.title,
+        source: doc.source,
+        text,
+        tf,
+        length: terms.length,
+      });
+    });
+  }
+
+  const avgdl = chunks.reduce((sum, c) => sum + c.length, 0) / (chunks.length || 1);
+
+  return { version: 1, createdAt: new Date().toISOString(), avgdl, df, chunks };
+}
+
+// ── Index cache ────────────────────────────────────────────────────────────
+// One entry per index file (tenants may have their own, see tenant.service.js).
+// Re-read whenever the file changes on disk (e.g. after `npm run ingest`).
+/** @type {Map<string, { index: object|null, mtime: number, warnedMissing: boolean }>} */
+const _indexes = new Map();
+
+function _loadIndex(indexPath) {
+  if (!_indexes.has(indexPath)) {
+    _indexes.set(indexPath, { index: null, mtime: 0, warnedMissing: false });
+  }
+  const cached = _indexes.get(indexPath);
+
+  let stat;
+  try {
+    stat = fs.statSync(indexPath);
+  } catch {
+    if (!cached.warnedMissing) {
+      console.warn(`[rag] No index at ${indexPath} — run "npm run ingest" to enable retrieval.`);
+      cached.warnedMissing = true;
+    }
+    cached.index = null;
+    return null;
+  }
+
+  if (cached.index && stat.mtimeMs === cached.mtime) return cached.index;
+
+  try {
+    cached.index = JSON.parse(fs.readFileSync(indexPath, "utf8"));
+    cached.mtime = stat.mtimeMs;
+    cached.warnedMissing = false;
+    console.log(`[rag] Loaded ${cached.index.chunks.length} chunks from ${indexPath}`);
+  } catch (err) {
+    console.error(`[rag] Failed to read index ${indexPath}:`, err.message);
+    cached.index = null;
+  }
+  return cached.index;
+}
+
+/**
+ * Identifies the loaded index (its build time), so answers based on an older
+ * index can be told apart.
+ * @param {string|null} [indexPath] - Default RAG_INDEX_PATH; null = no index.
+ * @returns {string|null} null when there is no index.
+ */
+function getIndexVersion(indexPath = INDEX_PATH) {
+  if (!indexPath) return null;
+  return _loadIndex(indexPath)?.createdAt || null;
+}
+
+/**
+ * Returns the top-ranked corpus chunks for a question.
+ *
+ * @param {string} query
+ * @param {object} [options]
+ * @param {number} [options.k] - Max chunks to return (default RAG_TOP_K).
+ * @param {string|null} [options.indexPath] - Default RAG_INDEX_PATH; null = no retrieval.
+ * @returns {Array<{ title: string, source: string, text: string, score: number }>}
+ */
+function retrieve(query, { k = TOP_K, indexPath = INDEX_PATH } = {}) {
+  if (!indexPath) return [];
+  const index = _loadIndex(indexPath);
+  if (!index || index.chunks.length === 0) return [];
+
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0) return [];
+
+  const N = index.chunks.length;
+  const scored = [];
+
+  for (const chunk of index.chunks) {
+    let score = 0;
+    for (const t of terms) {
+      const f = chunk.tf[t];
+      if (!f) continue;
+      const n = index.df[t] || 0;
+      const idf = Math.log(1 + (N - n + 0.5) / (n + 0.5));
+      score += idf * ((f * (K1 + 1)) / (f + K1 * (1 - B + (B * chunk.length) / index.avgdl)));
+    }
+    if (score >= MIN_SCORE) scored.push({ chunk, score });
+  }
+
+  return scored
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k)
+    .map(({ chunk, score }) => ({
+      title: chunk.title,
+      source: chunk.source,
+      text: chunk.text,
+      score: Math.round(score * 100) / 100,
+    }));
+}
+
+module.exports = {
+  tokenize,
+  chunkText,
+  buildIndex,
+  retrieve,
+  getIndexVersion,
+  INDEX_PATH,
+  CORPUS_DIR,
+  CHUNK_SIZE,
+};
@@ -0,0 +1,234 @@
+/**
+ * src/services/session.service.js
+ *
+ * In-memory conversation sessions for multi-turn chat.
+ *
+ * Each session keeps a bounded list of prior user/assistant turns so the
+ * model can resolve follow-up questions ("what stack did that project use?").
+ * History is capped by turn count and trimmed to a rough token budget before
+ * it is sent to the model, oldest turns first.
+ *
+ * Sessions live in process memory and expire after a period of inactivity.
+ * At SESSION_MAX_COUNT, the least recently used session is dropped — the Map
+ * is kept in order of last use, so that is always its first entry.
+ * A session belongs to the tenant it was started on and is never continued
+ * on another.
+ */
+
+const crypto = require("crypto");
+const { redactIp } = require("../utils/redact");
+
+// ── Limits (overridable via env) ───────────────────────────────────────────
+const MAX_TURNS = parseInt(process.env.SESSION_MAX_TURNS, 10) || 10;
+const HISTORY_TOKEN_BUDGET =
+  parseInt(process.env.SESSION_HISTORY_TOKEN_BUDGET, 10) || 1500;
+const TTL_MS = (parseInt(process.env.SESSION_TTL_MINUTES, 10) || 30) * 60 * 1000;
+const MAX_SESSIONS = parseInt(process.env.SESSION_MAX_COUNT, 10) || 1000;
+
+// Client-supplied ids must look like something we issued.
+const ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+/**
+ * @type {Map<string, {
+ *   turns: Array<{ role: string, content: string }>,
+ *   createdAt: number,
+ *   updatedAt: number,
+ *   ip: string,       — already redacted
+ *   origin: string,
+ *   tenant: string,
+ * }>}
+ */
+const _sessions = new Map();
+
+/**
+ * Marks a session as just used: moves it to the end of the Map.
+ * @param {string} id
+ * @param {object} session
+ */
+function _touch(id, session) {
+  session.updatedAt = Date.now();
+  _sessions.delete(id);
+  _sessions.set(id, session);
+}
+
+/**
+ * Rough token estimate (~4 characters per token for English text).
+ * Good enough for budgeting history; exact counts come back in `usage`.
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
+
+/**
+ * Returns an existing live session id, or issues a new one.
+ * Unknown or malformed ids (e.g. after a server restart), and ids from
+ * another tenant, get a fresh session.
+ *
+ * @param {string|undefined} conversationId - Id sent by the client, if any.
+ * @param {object} [meta] - Recorded on new sessions for the admin API.
+ * @param {string} [meta.ip] - Client IP; only a redacted form is kept.
+ * @param {string} [meta.origin]
+ * @param {string} [meta.tenant] - Tenant id.
+ * @returns {string} The id to use for this request.
+ */
+function resolveSession(conversationId, { ip, origin, tenant } = {}) {
+  const now = Date.now();
+
+  if (typeof conversationId === "string" && ID_PATTERN.test(conversationId)) {
+    const session = _sessions.get(conversationId);
+    if (session && session.tenant === tenant && now - session.updatedAt < TTL_MS) {
+      _touch(conversationId, session);
+      return conversationId;
+    }
+  }
+
+  // Evict the least recently used session when at capacity
+  if (_sessions.size >= MAX_SESSIONS) {
+    _sessions.delete(_sessions.keys().next().value);
+  }
+
+  const id = crypto.randomUUID();
+  _sessions.set(id, {
+    turns: [],
+    createdAt: now,
+    updatedAt: now,
+    ip: redactIp(ip),
+    origin: origin || "direct",
+    tenant,
+  });
+  return id;
+}
+
+/**
+ * Keeps the newest messages that fit the history token budget (at most
+ * SESSION_MAX_TURNS pairs), starting on a user message so the model never
+ * sees an answer without its question.
+ * @param {Array<{ role: "user" | "assistant", content: string }>} messages - Oldest first.
+ * @returns {Array<{ role: "user" | "assistant", content: string }>}
+ */
+function trimHistory(messages) {
+  const history = [];
+  let budget = HISTORY_TOKEN_BUDGET;
+
+  for (let i = messages.length - 1; i >= 0 && history.length < MAX_TURNS * 2; i--) {
+    const cost = estimateTokens(messages[i].content);
+    if (cost > budget) break;
+    budget -= cost;
+    history.unshift(messages[i]);
+  }
+
+  while (history.length && history[0].role !== "user") history.shift();
+  return history;
+}
+
+/**
+ * Returns prior turns for a session, newest kept, trimmed to the token budget.
+ * @param {string} conversationId
+ * @returns {Array<{ role: "user" | "assistant", content: string }>}
+ */
+function getHistory(conversationId) {
+  const session = _sessions.get(conversationId);
+  if (!session) return [];
+  return trimHistory(session.turns);
+}
+
+/**
+ * Appends a completed question/answer turn to the session.
+ * @param {string} conversationId
+ * @param {string} userMessage
+ * @param {string} assistantReply
+ */
+function appendTurn(conversationId, userMessage, assistantReply) {
+  const session = _sessions.get(conversationId);
+  if (!session || !assistantReply) return;
+
+  session.turns.push(
+    { role: "user", content: userMessage },
+    { role: "assistant", content: assistantReply }
+  );
+
+  // Keep at most MAX_TURNS question/answer pairs
+  const overflow = session.turns.length - MAX_TURNS * 2;
+  if (overflow > 0) session.turns.splice(0, overflow);
+
+  _touch(conversationId, session);
+}
+
+/**
+ * Lists live sessions, most recently active first (for the admin API).
+ * @param {number} [limit]
+ * @returns {Array<{ id: string, createdAt: string, updatedAt: string, ip: string, origin: string, tenant: string, turnCount: number, lastQuestion: string|null }>}
+ */
+function listSessions(limit = 50) {
+  return [..._sessions.entries()]
+    .sort(([, a], [, b]) => b.updatedAt - a.updatedAt)
+    .slice(0, limit)
+    .map(([id, session]) => {
+      const lastQuestion = [...session.turns].reverse().find((m) => m.role === "user");
+      return {
+        id,
+        createdAt: new Date(session.createdAt).toISOString(),
+        updatedAt: new Date(session.updatedAt).toISOString(),
+        ip: session.ip,
+        origin: session.origin,
+        tenant: session.tenant,
+        turnCount: session.turns.length / 2,
+        lastQuestion: lastQuestion ? lastQuestion.content : null,
+      };
+    });
+}
+
+/**
+ * Returns one session including its full history, or null.
+ * @param {string} conversationId
+ * @returns {object|null}
+ */
+function getSession(conversationId) {
+  const session = _sessions.get(conversationId);
+  if (!session) return null;
+  return {
+    id: conversationId,
+    createdAt: new Date(session.createdAt).toISOString(),
+    updatedAt: new Date(session.updatedAt).toISOString(),
+    ip: session.ip,
+    origin: session.origin,
+    tenant: session.tenant,
+    turns: session.turns.map((m) => ({ ...m })),
+  };
+}
+
+/**
+ * Session limits and current count, for the admin API.
+ * @returns {object}
+ */
+function getSessionState() {
+  return {
+    activeSessions: _sessions.size,
+    maxSessions: MAX_SESSIONS,
+    maxTurns: MAX_TURNS,
+    historyTokenBudget: HISTORY_TOKEN_BUDGET,
+    ttlMinutes: TTL_MS / 60000,
+  };
+}
+
+// ── Expiry sweep ───────────────────────────────────────────────────────────
+// unref() so the timer never keeps the process alive on its own.
+setInterval(() => {
+  const cutoff = Date.now() - TTL_MS;
+  for (const [id, session] of _sessions) {
+    if (session.updatedAt < cutoff) _sessions.delete(id);
+  }
+}, 60 * 1000).unref();
+
+module.exports = {
+  resolveSession,
+  getHistory,
+  trimHistory,
+  appendTurn,
+  listSessions,
+  getSession,
+  getSessionState,
+  estimateTokens,
+};
@@ -0,0 +1,123 @@
+/**
+ * src/services/shutdown.service.js
+ *
+ * Graceful shutdown state, driven by server.js on SIGTERM / SIGINT.
+ *
+ * Draining starts at the signal: new chats are refused with 503
+ * SHUTTING_DOWN (shutdown.middleware.js) and GET /health/ready fails, so the
+ * platform sends new visitors to another instance.  Replies already being
+ * generated (tracked by chat.service.js) get until the deadline to finish.
+ * Any still running then get a clean error event on their stream
+ *   event: error  data: { "error": "…", "code": "SHUTTING_DOWN", "requestId": "…" }
+ * instead of a dropped connection, and are cancelled with the same error as
+ * the abort reason (so JSON replies end with a 503).
+ */
+
+// Sinks (ReplyStreams) of replies being generated → their request ids
+const _replies = new Map();
+let _draining = false;
+let _drainedAt = null;
+/** @type {Array<() => void>} */
+let _waiters = [];
+
+/** @returns {boolean} */
+function isDraining() {
+  return _draining;
+}
+
+/**
+ * The error a reply cut short by the shutdown ends with.
+ * @returns {Error}
+ */
+function shutdownError() {
+  const err = new Error("The assistant is restarting — please ask again in a moment.");
+  err.statusCode = 503;
+  err.code = "SHUTTING_DOWN";
+  err.expose = true;
+  return err;
+}
+
+/**
+ * The shutdown error if `signal` was aborted by the shutdown, otherwise null
+ * (e.g. the visitor cancelled).
+ * @param {AbortSignal} [signal]
+ * @returns {Error|null}
+ */
+function shutdownReason(signal) {
+  return signal?.aborted && signal.reason?.code === "SHUTTING_DOWN" ? signal.reason : null;
+}
+
+/**
+ * Registers a reply being generated, so a shutdown waits for it.
+ * @param {import("./stream.service").ReplyStream} sink
+ * @param {string} [requestId] - Sent with the error event if it is cut short.
+ * @returns {() => void} Call once the reply is finished (or failed).
+ */
+function trackReply(sink, requestId) {
+  _replies.set(sink, requestId);
+  return () => {
+    _replies.delete(sink);
+    if (_replies.size === 0) {
+      for (const wake of _waiters) wake();
+      _waiters = [];
+    }
+  };
+}
+
+/**
+ * Resolves when no replies are running, or after `ms`.
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function _settled(ms) {
+  if (_replies.size === 0) return Promise.resolve();
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    _waiters.push(() => {
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+}
+
+/**
+ * Stops new chats and waits for the running replies, cancelling whatever is
+ * left at the deadline.
+ * @param {number} graceMs - How long running replies may take.
+ * @returns {Promise<{ finished: number, cancelled: number }>}
+ */
+async function drain(graceMs) {
+  _draining = true;
+  _drainedAt = new Date().toISOString();
+  const running = _replies.size;
+
+  await _settled(graceMs);
+
+  const cancelled = _replies.size;
+  for (const [sink, requestId] of _replies) {
+    const err = shutdownError();
+    // Ended before the cancel, so nothing the reply still sends gets through
+    sink.send("error", { error: err.message, code: err.code, requestId });
+    sink.end();
+    sink.cancel(err);
+  }
+  await _settled(1000);
+
+  return { finished: running - cancelled, cancelled };
+}
+
+/**
+ * @returns {{ draining: boolean, since: string|null, activeReplies: number }}
+ */
+function getShutdownState() {
+  return { draining: _draining, since: _drainedAt, activeReplies: _replies.size };
+}
+
+module.exports = {
+  isDraining,
+  shutdownError,
+  shutdownReason,
+  trackReply,
+  drain,
+  getShutdownState,
+};
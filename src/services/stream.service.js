@@ -0,0 +1,196 @@
+/**
+ * src/services/stream.service.js
+ *
+ * Resumable Server-Sent Events streams for chat replies.
+ *
+ * Each reply is a stream with its own id (X-Stream-Id header).  Events are
+ * framed with a monotonically increasing `id:` and a name:
+ *
+ *   id: 3
+ *   event: chunk
+ *   data: {"chunk":"Hello"}
+ *
+ * Every event is also kept in a short-lived buffer, so a client whose
+ * connection drops can reconnect (GET /api/chat/streams/:id with a
+ * Last-Event-ID header) and receive everything it missed.  Buffers are
+ * dropped SSE_RESUME_WINDOW_MS after the stream ends.
+ *
+ * "Stop generating" (cancel()) aborts the stream's signal at once, cancelling
+ * the upstream completion so no more tokens are spent.  When the connection
+ * merely drops (a phone switching networks), generation keeps going for
+ * SSE_DISCONNECT_GRACE_MS (default 5 s) so a reconnect gets the whole reply;
+ * if nobody reconnects in time the signal aborts too, and a late client gets
+ * the buffered events and a final error event with code "REPLY_STOPPED".
+ * Set SSE_DISCONNECT_GRACE_MS=0 to stop as soon as the connection drops.
+ *
+ * A ": ping" comment is written every SSE_HEARTBEAT_MS so proxies don't close
+ * idle connections while the model is thinking.
+ *
+ * createSilentStream() is the stand-in for replies returned as a single JSON
+ * body: it takes the same events but writes nothing.
+ */
+
+const crypto = require("crypto");
+const { activeStreams } = require("./metrics.service");
+
+const HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_MS, 10) || 15000;
+const RESUME_WINDOW_MS = parseInt(process.env.SSE_RESUME_WINDOW_MS, 10) || 30000;
+// Long enough to ride out a mobile network switch, short enough that a closed
+// tab doesn't run a whole reply.  An explicit 0 stops at once.
+const _grace = parseInt(process.env.SSE_DISCONNECT_GRACE_MS, 10);
+const DISCONNECT_GRACE_MS = Number.isNaN(_grace) || _grace < 0 ? 5000 : _grace;
+// Reconnect delay suggested to EventSource clients
+const RETRY_MS = 3000;
+
+/** @type {Map<string, ReplyStream>} */
+const _streams = new Map();
+
+/**
+ * @typedef {object} ReplyStream
+ * @property {string} id
+ * @property {AbortSignal} signal - Aborts on cancel(), or when the client
+ *   disconnects and doesn't come back within SSE_DISCONNECT_GRACE_MS.
+ * @property {(event: "sources"|"chunk"|"tool"|"replace"|"done"|"suggestions"|"error", data: object) => void} send
+ * @property {() => void} end
+ * @property {(reason?: Error) => void} cancel - Aborts the signal, with `reason`
+ *   when given (e.g. the shutdown error, see shutdown.service.js).
+ * @property {(res: import("express").Response, lastEventId?: number) => void} attach
+ */
+
+const _frame = ({ id, event, data }) =>
+  `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+function _writeHead(res, streamId) {
+  res.setHeader("X-Stream-Id", streamId);
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no"); // Disable Nginx proxy buffering
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+}
+
+/**
+ * Opens a new reply stream on `res` (flushing the SSE headers).
+ * @param {import("express").Response} res
+ * @returns {ReplyStream}
+ */
+function createStream(res) {
+  const id = crypto.randomUUID();
+  const controller = new AbortController();
+  const events = [];
+  let client = null;
+  let finished = false;
+  let graceTimer = null;
+
+  const heartbeat = setInterval(() => client?.write(": ping\n\n"), HEARTBEAT_MS);
+  heartbeat.unref();
+
+  function detach(res) {
+    if (client !== res) return;
+    client = null;
+    if (finished) return;
+    if (DISCONNECT_GRACE_MS > 0) {
+      graceTimer = setTimeout(() => controller.abort(), DISCONNECT_GRACE_MS);
+    } else {
+      controller.abort();
+    }
+  }
+
+  /** @type {ReplyStream} */
+  const stream = {
+    id,
+    signal: controller.signal,
+
+    send(event, data) {
+      if (finished) return;
+      const entry = { id: events.length + 1, event, data };
+      events.push(entry);
+      client?.write(_frame(entry));
+    },
+
+    end() {
+      if (finished) return;
+      finished = true;
+      clearInterval(heartbeat);
+      clearTimeout(graceTimer);
+      client?.end();
+      setTimeout(() => _streams.delete(id), RESUME_WINDOW_MS).unref();
+    },
+
+    cancel(reason) {
+      controller.abort(reason);
+    },
+
+    attach(res, lastEventId = 0) {
+      // Only one client at a time — a reconnect replaces a half-dead connection
+      if (client && client !== res) client.end();
+      clearTimeout(graceTimer);
+      client = res;
+
+      _writeHead(res, id);
+      activeStreams.inc();
+      res.on("close", () => {
+        activeStreams.dec();
+        detach(res);
+      });
+
+      for (const entry of events) {
+        if (entry.id > lastEventId) res.write(_frame(entry));
+      }
+      if (finished) res.end();
+    },
+  };
+
+  // A stopped reply ends here, so a client coming back for it isn't left
+  // waiting (the shutdown ends its streams itself, before cancelling them)
+  controller.signal.addEventListener(
+    "abort",
+    () => {
+      stream.send("error", { error: "The reply was stopped before it finished.", code: "REPLY_STOPPED" });
+      stream.end();
+    },
+    { once: true }
+  );
+
+  _streams.set(id, stream);
+  stream.attach(res);
+  return stream;
+}
+
+/**
+ * A reply "stream" that discards its events, for replies sent as one JSON
+ * body once generation is done.  Its signal aborts if the client disconnects
+ * before the response is written, so no tokens are spent on an answer nobody
+ * will read.  Not resumable.
+ * @param {import("express").Response} res
+ * @returns {ReplyStream}
+ */
+function createSilentStream(res) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  return {
+    id: null,
+    signal: controller.signal,
+    send() {},
+    end() {},
+    cancel(reason) {
+      controller.abort(reason);
+    },
+    attach() {},
+  };
+}
+
+/**
+ * Looks up a live or recently finished stream.
+ * @param {string} id
+ * @returns {ReplyStream|null}
+ */
+function getStream(id) {
+  return _streams.get(id) || null;
+}
+
+module.exports = { createStream, createSilentStream, getStream };
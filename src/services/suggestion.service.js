@@ -0,0 +1,191 @@
+/**
+ * src/services/suggestion.service.js
+ *
+ * Quick-reply chips for the widgets:
+ *
+ *   - starter prompts for the welcome screen — `starters` in the profile, or
+ *     generated from its projects and skills when not set
+ *   - 2–4 follow-up questions after each reply (the "suggestions" event),
+ *     picked from questions the profile can answer, favouring the projects
+ *     and skills the last exchange was about and skipping anything already
+ *     asked
+ *
+ * Generated questions are in the reply language (English or Filipino, see
+ * language.service.js); starters from the profile are used as written.
+ *
+ * No model call is involved, so suggestions cost nothing and always arrive
+ * right after the answer.  SUGGESTIONS_COUNT sets how many follow-ups are
+ * sent (default 3; 0 turns them off).
+ */
+
+const { getPersona } = require("./persona.service");
+const { tokenize } = require("./retrieval.service");
+
+const COUNT =
+  process.env.SUGGESTIONS_COUNT === "0"
+    ? 0
+    : Math.min(Math.max(parseInt(process.env.SUGGESTIONS_COUNT, 10) || 3, 2), 4);
+const MAX_STARTERS = 4;
+
+// Questions this close (content-word overlap) to one already asked are skipped
+const ASKED_SIMILARITY = 0.5;
+// At most this many suggestions about the same project or skill
+const MAX_PER_TOPIC = 1;
+
+// Question wording per locale
+const TEMPLATES = {
+  en: {
+    projects: (name) => `What projects has ${name} built?`,
+    skills: (name) => `What are ${name}'s main skills?`,
+    openTo: (name) => `Is ${name} open to new opportunities?`,
+    contact: (name) => `How can I contact ${name}?`,
+    project: (project) => `What is ${project}?`,
+    stack: (project) => `What tech stack does ${project} use?`,
+    projectsUsing: (name, skill) => `Which of ${name}'s projects use ${skill}?`,
+    skillUse: (name, skill) => `How has ${name} used ${skill}?`,
+  },
+  fil: {
+    projects: (name) => `Anong mga proyekto ang nagawa ni ${name}?`,
+    skills: (name) => `Ano ang mga pangunahing skills ni ${name}?`,
+    openTo: (name) => `Bukas ba si ${name} sa mga bagong oportunidad?`,
+    contact: (name) => `Paano ko makokontak si ${name}?`,
+    project: (project) => `Ano ang ${project}?`,
+    stack: (project) => `Anong tech stack ang gamit ng ${project}?`,
+    projectsUsing: (name, skill) => `Aling mga proyekto ni ${name} ang gumagamit ng ${skill}?`,
+    skillUse: (name, skill) => `Paano ginamit ni ${name} ang ${skill}?`,
+  },
+};
+
+/**
+ * @typedef {object} Candidate
+ * @property {string} text
+ * @property {string|null} topic - Project or skill it is about, if any.
+ */
+
+/**
+ * Questions the profile can answer, broadest first.
+ * @param {object} profile
+ * @param {string} [locale]
+ * @returns {Candidate[]}
+ */
+function _candidates(profile, locale = "en") {
+  const { name } = profile;
+  const t = TEMPLATES[locale] || TEMPLATES.en;
+  const inStacks = new Set(
+    profile.projects.flatMap((p) => p.stack || []).map((s) => s.toLowerCase())
+  );
+  const openTo = profile.facts?.["Open to"];
+
+  return [
+    { text: t.projects(name), topic: null },
+    { text: t.skills(name), topic: null },
+    ...(openTo ? [{ text: t.openTo(name), topic: null }] : []),
+    { text: t.contact(name), topic: null },
+    ...profile.projects.flatMap((p) => [
+      { text: t.project(p.name), topic: p.name },
+      ...(p.stack?.length ? [{ text: t.stack(p.name), topic: p.name }] : []),
+    ]),
+    ...profile.skills.map((skill) => ({
+      text: inStacks.has(skill.toLowerCase())
+        ? t.projectsUsing(name, skill)
+        : t.skillUse(name, skill),
+      topic: skill,
+    })),
+  ];
+}
+
+/**
+ * Share of a candidate's content words already covered by a question.
+ * @param {Set<string>} candidate
+ * @param {Set<string>} asked
+ * @returns {number} 0–1
+ */
+function _overlap(candidate, asked) {
+  if (candidate.size === 0) return 0;
+  let shared = 0;
+  for (const t of candidate) if (asked.has(t)) shared += 1;
+  return shared / candidate.size;
+}
+
+/**
+ * Whether `text` mentions a project or skill name (whole words, any case).
+ * @param {string} text
+ * @param {string} topic
+ * @returns {boolean}
+ */
+function _mentions(text, topic) {
+  const escaped = topic.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, "iu").test(text);
+}
+
+/**
+ * Starter prompts for the welcome screen.
+ * @param {string} [locale] - Language of generated starters.
+ * @param {string} [tenantId] - Whose profile (default tenant).
+ * @returns {string[]}
+ */
+function getStarters(locale, tenantId) {
+  const { profile } = getPersona(tenantId);
+  if (profile.starters?.length) return profile.starters.slice(0, MAX_STARTERS);
+
+  // One broad question, one about a project, one about availability or contact
+  const candidates = _candidates(profile, locale);
+  const firstProject = candidates.find((c) => profile.projects.some((p) => p.name === c.topic));
+  return [candidates[0], firstProject, candidates[2], candidates[1]]
+    .filter(Boolean)
+    .map((c) => c.text)
+    .filter((text, i, all) => all.indexOf(text) === i)
+    .slice(0, 3);
+}
+
+/**
+ * Follow-up questions for the conversation so far.
+ *
+ * @param {object} turn
+ * @param {Array<{ role: string, content: string }>} [turn.history] - Earlier turns.
+ * @param {string} turn.question - The question just answered.
+ * @param {string} turn.reply - The answer.
+ * @param {string} [turn.locale] - Reply language.
+ * @param {string} [turn.tenantId] - Whose profile (default tenant).
+ * @returns {string[]} Up to SUGGESTIONS_COUNT questions; empty when disabled.
+ */
+function suggestFollowUps({ history = [], question, reply, locale, tenantId }) {
+  if (COUNT === 0) return [];
+
+  const { profile } = getPersona(tenantId);
+  // The owner's name is in most candidates but rarely in questions ("his skills")
+  const name = new Set(tokenize(profile.name));
+  const words = (text) => new Set(tokenize(text).filter((t) => !name.has(t)));
+  const questions = history.filter((m) => m.role === "user").map((m) => m.content);
+  const asked = [...questions, question].map(words);
+  const recent = `${question}\n${reply}`;
+
+  const scored = _candidates(profile, locale)
+    .map((candidate, order) => {
+      const terms = words(candidate.text);
+      if (asked.some((q) => _overlap(terms, q) >= ASKED_SIMILARITY)) return null;
+
+      // Stay on what the visitor is exploring; otherwise fall back to broad questions
+      let score = 0;
+      if (candidate.topic && _mentions(recent, candidate.topic)) score += 2;
+      if (candidate.topic === null) score += 1;
+      return { ...candidate, score, order };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.order - b.order);
+
+  const perTopic = new Map();
+  const picked = [];
+  for (const candidate of scored) {
+    if (picked.length >= COUNT) break;
+    if (candidate.topic) {
+      const used = perTopic.get(candidate.topic) || 0;
+      if (used >= MAX_PER_TOPIC) continue;
+      perTopic.set(candidate.topic, used + 1);
+    }
+    picked.push(candidate.text);
+  }
+  return picked;
+}
+
+module.exports = { getStarters, suggestFollowUps };
@@ -0,0 +1,239 @@
+/**
+ * src/services/tenant.service.js
+ *
+ * Tenants: the assistant profiles one server hosts, each with its own
+ * persona, allowed origins, provider chain, rate limit and usage stats.
+ *
+ * Tenants are listed in TENANTS_PATH (default data/tenants.json, see
+ * config/tenant.schema.js).  Without that file the server has a single
+ * tenant, "default", built from PROFILE_PATH, FRONTEND_URL and LLM_PROVIDERS
+ * — exactly the single-site setup.
+ *
+ * A request belongs to the tenant named by its site id (X-Site-Id header or
+ * ?site=), otherwise to the tenant that lists its Origin.  Requests with
+ * neither (curl, server-to-server) go to the default tenant: the one marked
+ * "default": true, or the first.
+ *
+ * Owner data outside the profile — the retrieval index and its corpus, the
+ * tools' data files and lead notifications — belongs to the default tenant
+ * unless a tenant sets its own ("ragIndex", "ragCorpus", "tools",
+ * "leadsNotifyTo").
+ *
+ * The file is read once at startup; profiles are still reloaded on change
+ * (persona.service.js).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { validateTenants } = require("../config/tenant.schema");
+const { INDEX_PATH, CORPUS_DIR } = require("./retrieval.service");
+
+const ROOT = path.join(__dirname, "../..");
+const TENANTS_PATH = path.resolve(process.env.TENANTS_PATH || path.join(ROOT, "data/tenants.json"));
+const PROFILE_PATH = path.resolve(process.env.PROFILE_PATH || path.join(ROOT, "data/profile.json"));
+const FRONTEND_ORIGINS = (process.env.FRONTEND_URL || "http://localhost:5173")
+  .split(",")
+  .map((o) => o.trim());
+
+/**
+ * @typedef {object} Tenant
+ * @property {string} id
+ * @property {boolean} isDefault - Serves requests without a site id or origin.
+ * @property {string} profilePath
+ * @property {string[]} origins
+ * @property {string|undefined} providers - Chain spec; undefined = LLM_PROVIDERS.
+ * @property {object|null} rateLimit - Overrides of the RATE_LIMIT_* defaults
+ *   (see tenant.schema.js); null = server defaults.
+ * @property {string|null} ragIndex - Retrieval index path; null = no retrieval.
+ * @property {string|null} ragCorpus - Documents `npm run ingest -- --tenant=<id>`
+ *   indexes; null = none set.
+ * @property {boolean} tools - Whether the model may call tools.
+ * @property {string[]|null} leadsNotifyTo - null = LEADS_NOTIFY_TO (default tenant only).
+ */
+
+/** @type {{ multi: boolean, list: Tenant[], byId: Map<string, Tenant>, byOrigin: Map<string, Tenant> }|null} */
+let _registry = null;
+
+function _error(message, statusCode, code) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  err.expose = true;
+  return err;
+}
+
+/**
+ * Tenant list from the tenants file, or the single env-configured tenant.
+ * @returns {{ multi: boolean, tenants: Tenant[] }}
+ * @throws {Error} When the file exists but cannot be parsed or is invalid.
+ */
+function _readTenants() {
+  let raw;
+  try {
+    raw = fs.readFileSync(TENANTS_PATH, "utf8");
+  } catch (err) {
+    if (err.code !== "ENOENT") throw new Error(`could not read ${TENANTS_PATH}: ${err.message}`);
+    return {
+      multi: false,
+      tenants: [
+        {
+          id: "default",
+          isDefault: true,
+          profilePath: PROFILE_PATH,
+          origins: FRONTEND_ORIGINS,
+          providers: undefined,
+          rateLimit: null,
+          ragIndex: INDEX_PATH,
+          ragCorpus: CORPUS_DIR,
+          tools: true,
+          leadsNotifyTo: null,
+        },
+      ],
+    };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`invalid JSON in ${TENANTS_PATH}: ${err.message}`);
+  }
+
+  const errors = validateTenants(data);
+  if (errors.length > 0) {
+    throw new Error(`invalid tenants file ${TENANTS_PATH}:\n  - ${errors.join("\n  - ")}`);
+  }
+
+  const defaultId = (data.tenants.find((t) => t.default) || data.tenants[0]).id;
+  const resolve = (file) => path.resolve(ROOT, file);
+
+  return {
+    multi: true,
+    tenants: data.tenants.map((t) => {
+      const isDefault = t.id === defaultId;
+      return {
+        id: t.id,
+        isDefault,
+        profilePath: resolve(t.profile),
+        origins: t.origins,
+        providers: t.providers,
+        rateLimit: t.rateLimit || null,
+        ragIndex: t.ragIndex ? resolve(t.ragIndex) : isDefault ? INDEX_PATH : null,
+        ragCorpus: t.ragCorpus ? resolve(t.ragCorpus) : isDefault ? CORPUS_DIR : null,
+        tools: t.tools ?? isDefault,
+        leadsNotifyTo: t.leadsNotifyTo || null,
+      };
+    }),
+  };
+}
+
+/**
+ * Loads the tenants.  Call once at startup; later calls are no-ops.
+ * @throws {Error} When the tenants file is invalid.
+ */
+function loadTenants() {
+  if (_registry) return;
+
+  const { multi, tenants } = _readTenants();
+  _registry = {
+    multi,
+    list: tenants,
+    byId: new Map(tenants.map((t) => [t.id, t])),
+    byOrigin: new Map(tenants.flatMap((t) => t.origins.map((o) => [o, t]))),
+  };
+
+  if (multi) {
+    console.log(
+      `[tenants] Loaded ${tenants.length} tenant(s) from ${TENANTS_PATH}: ` +
+        tenants.map((t) => (t.isDefault ? `${t.id} (default)` : t.id)).join(", ")
+    );
+  }
+}
+
+function _loaded() {
+  if (!_registry) loadTenants();
+  return _registry;
+}
+
+/**
+ * True when tenants come from the tenants file.
+ * @returns {boolean}
+ */
+function isMultiTenant() {
+  return _loaded().multi;
+}
+
+/**
+ * @returns {Tenant[]}
+ */
+function getTenants() {
+  return _loaded().list;
+}
+
+/**
+ * @param {string} id
+ * @returns {Tenant|null}
+ */
+function getTenant(id) {
+  return _loaded().byId.get(id) || null;
+}
+
+/**
+ * The tenant for requests without a site id or origin.
+ * @returns {Tenant}
+ */
+function getDefaultTenant() {
+  return _loaded().list.find((t) => t.isDefault);
+}
+
+/**
+ * Whether any tenant allows this origin (for CORS).
+ * @param {string} origin
+ * @returns {boolean}
+ */
+function isAllowedOrigin(origin) {
+  return _loaded().byOrigin.has(origin);
+}
+
+/**
+ * Finds the tenant a request belongs to.
+ *
+ * @param {object} request
+ * @param {string} [request.siteId] - X-Site-Id header or ?site=.
+ * @param {string} [request.origin] - Origin header.
+ * @returns {Tenant}
+ * @throws {Error} 404 UNKNOWN_SITE for an unknown site id; 403 SITE_NOT_ALLOWED
+ *   when the origin isn't one of the tenant's (or anyone's) origins.
+ */
+function findTenant({ siteId, origin } = {}) {
+  const { byId, byOrigin } = _loaded();
+
+  if (siteId) {
+    const tenant = byId.get(siteId);
+    if (!tenant) throw _error(`Unknown site "${siteId}".`, 404, "UNKNOWN_SITE");
+    // A page may only speak for its own site
+    if (origin && !tenant.origins.includes(origin)) {
+      throw _error(`Origin '${origin}' is not allowed for site "${siteId}".`, 403, "SITE_NOT_ALLOWED");
+    }
+    return tenant;
+  }
+
+  if (origin) {
+    const tenant = byOrigin.get(origin);
+    if (!tenant) throw _error(`Origin '${origin}' is not allowed.`, 403, "SITE_NOT_ALLOWED");
+    return tenant;
+  }
+
+  return getDefaultTenant();
+}
+
+module.exports = {
+  loadTenants,
+  isMultiTenant,
+  getTenants,
+  getTenant,
+  getDefaultTenant,
+  isAllowedOrigin,
+  findTenant,
+  TENANTS_PATH,
+};
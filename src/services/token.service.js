@@ -0,0 +1,192 @@
+/**
+ * src/services/token.service.js
+ *
+ * Short-lived, single-use session tokens for the chat widgets.
+ *
+ * POST /api/session hands a token to a page on one of the tenant's allowed
+ * origins; POST /api/chat then requires it (see auth.middleware.js).  A token
+ * is an HMAC-SHA256-signed payload:
+ *
+ *   base64url({ "t": tenant id, "o": origin, "s": session id, "exp": unix seconds,
+ *               "n": nonce }) "." base64url(signature)
+ *
+ * A token is only valid for the tenant and origin it was issued to, until it
+ * expires (SESSION_TOKEN_TTL_SECONDS), and only once: its nonce is remembered
+ * until expiry and a second use is rejected.  Each accepted request is given
+ * the next token, so an active widget rarely has to ask for a new one.  The
+ * chain of tokens from one POST /api/session shares a session id, which the
+ * per-session rate limit counts against (limiter.middleware.js).
+ *
+ * The same signing and single-use bookkeeping (sealClaims, openClaims,
+ * markUsed) is used for proof-of-work challenges (challenge.service.js).
+ *
+ * Tokens are signed with SESSION_SECRET.  Without it a random key is generated
+ * at startup — fine for one instance, but tokens then don't survive a restart
+ * and aren't accepted by other instances.
+ */
+
+const crypto = require("crypto");
+
+const TTL_SECONDS = parseInt(process.env.SESSION_TOKEN_TTL_SECONDS, 10) || 600;
+
+const SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.SESSION_SECRET) {
+  console.warn(
+    "[tokens] SESSION_SECRET is not set — using a random key; widget tokens won't survive a restart."
+  );
+}
+
+// Nonce → expiry (unix seconds) of every token already used
+const _used = new Map();
+let _lastSweep = 0;
+
+function _error(message, code) {
+  const err = new Error(message);
+  err.statusCode = 401;
+  err.code = code;
+  err.expose = true;
+  return err;
+}
+
+function _sign(data) {
+  return crypto.createHmac("sha256", SECRET).update(data).digest("base64url");
+}
+
+function _now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/** A random id for nonces and session ids. */
+function randomId() {
+  return crypto.randomBytes(16).toString("base64url");
+}
+
+/** Forgets used nonces whose tokens have expired anyway (at most once a minute). */
+function _sweep(now) {
+  if (now - _lastSweep < 60) return;
+  _lastSweep = now;
+  for (const [nonce, exp] of _used) {
+    if (exp <= now) _used.delete(nonce);
+  }
+}
+
+// ── Signed claims ──────────────────────────────────────────────────────────
+/**
+ * Signs a claims object into "<payload>.<signature>".
+ * @param {object} claims
+ * @returns {string}
+ */
+function sealClaims(claims) {
+  const payload = Buffer.from(JSON.stringify(claims)).toString("base64url");
+  return `${payload}.${_sign(payload)}`;
+}
+
+/**
+ * The claims of a sealed string, if its signature is valid.
+ * @param {string} sealed
+ * @returns {object|null}
+ */
+function openClaims(sealed) {
+  const [payload, signature = ""] = String(sealed).split(".");
+  const expected = _sign(payload);
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    return claims && typeof claims === "object" ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Records a nonce as used until `exp`.
+ * @param {string} nonce
+ * @param {number} exp - Unix seconds.
+ * @returns {boolean} false when it was already used.
+ */
+function markUsed(nonce, exp) {
+  _sweep(_now());
+  if (_used.has(nonce)) return false;
+  _used.set(nonce, exp);
+  return true;
+}
+
+// ── Session tokens ─────────────────────────────────────────────────────────
+/**
+ * Issues a token for one tenant and origin.
+ * @param {object} scope
+ * @param {string} scope.tenantId
+ * @param {string} scope.origin
+ * @param {string} [scope.sessionId] - Continues this session; a new one otherwise.
+ * @returns {{ token: string, expiresAt: string, expiresIn: number }}
+ */
+function issueSessionToken({ tenantId, origin, sessionId = randomId() }) {
+  const exp = _now() + TTL_SECONDS;
+  return {
+    token: sealClaims({ t: tenantId, o: origin, s: sessionId, exp, n: randomId() }),
+    expiresAt: new Date(exp * 1000).toISOString(),
+    expiresIn: TTL_SECONDS,
+  };
+}
+
+/**
+ * Checks a token and marks it used.
+ *
+ * @param {string|undefined} token
+ * @param {object} scope - The request's tenant and Origin header.
+ * @param {string} scope.tenantId
+ * @param {string} [scope.origin]
+ * @returns {string} The token's session id.
+ * @throws {Error} 401 SESSION_TOKEN_REQUIRED, SESSION_TOKEN_INVALID (bad
+ *   signature, other tenant or origin), SESSION_TOKEN_EXPIRED or
+ *   SESSION_TOKEN_REUSED.
+ */
+function consumeSessionToken(token, { tenantId, origin }) {
+  if (!token) {
+    throw _error(
+      "A session token (POST /api/session) or server key is required.",
+      "SESSION_TOKEN_REQUIRED"
+    );
+  }
+
+  const invalid = () => _error("Invalid session token.", "SESSION_TOKEN_INVALID");
+
+  const claims = openClaims(token);
+  if (!claims || claims.t !== tenantId || claims.o !== origin) throw invalid();
+
+  if (!(claims.exp > _now())) {
+    throw _error("Session token expired — get a new one from POST /api/session.", "SESSION_TOKEN_EXPIRED");
+  }
+  if (!markUsed(claims.n, claims.exp)) {
+    throw _error("Session token already used.", "SESSION_TOKEN_REUSED");
+  }
+  return claims.s;
+}
+
+/**
+ * Token settings for the admin config view.  Never includes the secret.
+ * @returns {{ ttlSeconds: number, secretConfigured: boolean, usedTokens: number }}
+ */
+function getTokenState() {
+  return {
+    ttlSeconds: TTL_SECONDS,
+    secretConfigured: Boolean(process.env.SESSION_SECRET),
+    usedTokens: _used.size,
+  };
+}
+
+module.exports = {
+  issueSessionToken,
+  consumeSessionToken,
+  getTokenState,
+  sealClaims,
+  openClaims,
+  markUsed,
+  randomId,
+};
@@ -0,0 +1,141 @@
+/**
+ * src/services/tools/availability.tool.js
+ *
+ * check_availability — availability windows from a local calendar file
+ * (AVAILABILITY_ICS_PATH, default data/availability.ics).
+ *
+ * Every VEVENT in the file is one window during which the owner is available
+ * (for calls, interviews, new work…); its SUMMARY says what for.  Export the
+ * file from any calendar app.  Supported: UTC times (…Z), floating local
+ * times, TZID-tagged times (passed through with their zone) and all-day
+ * dates.  Recurring events (RRULE) are not expanded.
+ *
+ * The tool is only offered to the model when the file exists.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const ICS_PATH = path.resolve(
+  process.env.AVAILABILITY_ICS_PATH || path.join(__dirname, "../../../data/availability.ics")
+);
+const DEFAULT_DAYS = 14;
+const MAX_DAYS = 90;
+const MAX_RESULTS = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses an iCalendar date/time value.
+ * @param {string} value - e.g. 20240615T090000Z, 20240615T090000, 20240615
+ * @param {object} params - Property parameters (TZID, VALUE).
+ * @returns {{ date: Date, text: string, allDay: boolean, timeZone: string|null }|null}
+ */
+function _parseDate(value, params) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!m) return null;
+  const [, y, mo, d, h = "00", mi = "00", s = "00", utc] = m;
+  const allDay = m[4] === undefined;
+  const iso = `${y}-${mo}-${d}T${h}:${mi}:${s}`;
+
+  return {
+    // Compared as UTC; floating and TZID times are off by at most a day's
+    // worth of zone offset, which is fine for "which windows are coming up"
+    date: new Date(`${iso}Z`),
+    text: allDay ? `${y}-${mo}-${d}` : utc ? `${iso}Z` : iso,
+    allDay,
+    timeZone: utc ? "UTC" : params.TZID || null,
+  };
+}
+
+/**
+ * Minimal VEVENT reader: unfolds lines and collects DTSTART, DTEND, SUMMARY.
+ * @param {string} raw
+ * @returns {Array<{ start: object, end: object|null, summary: string }>}
+ */
+function _parseICS(raw) {
+  const lines = raw.replace(/\r\n/g, "\n").replace(/\n[ \t]/g, "").split("\n");
+  const events = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (line === "BEGIN:VEVENT") {
+      current = {};
+      continue;
+    }
+    if (line === "END:VEVENT") {
+      if (current?.start) events.push({ summary: "", end: null, ...current });
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+
+    const colon = line.indexOf(":");
+    if (colon === -1) continue;
+    const [name, ...rawParams] = line.slice(0, colon).split(";");
+    const params = Object.fromEntries(rawParams.map((p) => p.split("=")));
+    const value = line.slice(colon + 1);
+
+    if (name === "DTSTART") current.start = _parseDate(value, params);
+    else if (name === "DTEND") current.end = _parseDate(value, params);
+    else if (name === "SUMMARY") current.summary = value.replace(/\\([,;\\])/g, "$1").replace(/\\n/gi, " ");
+  }
+
+  return events;
+}
+
+/** @type {import("./index").Tool} */
+module.exports = {
+  name: "check_availability",
+  label: "Checking availability…",
+  description:
+    "Looks up when the owner is available (for calls, interviews or new work) from their calendar. " +
+    "Returns availability windows within the requested range.",
+  parameters: {
+    type: "object",
+    properties: {
+      from: {
+        type: "string",
+        description: "First day to check, YYYY-MM-DD. Defaults to today.",
+      },
+      days: {
+        type: "integer",
+        description: `Number of days to check, 1–${MAX_DAYS}. Defaults to ${DEFAULT_DAYS}.`,
+      },
+    },
+    additionalProperties: false,
+  },
+
+  isAvailable: () => fs.existsSync(ICS_PATH),
+
+  async run({ from, days } = {}) {
+    const start =
+      typeof from === "string" && /^\d{4}-\d{2}-\d{2}$/.test(from)
+        ? new Date(`${from}T00:00:00Z`)
+        : new Date(new Date().toISOString().slice(0, 10) + "T00:00:00Z");
+    const span = Math.min(Math.max(parseInt(days, 10) || DEFAULT_DAYS, 1), MAX_DAYS);
+    const end = new Date(start.getTime() + span * DAY_MS);
+
+    const events = _parseICS(await fs.promises.readFile(ICS_PATH, "utf8"));
+    const windows = events
+      .filter((e) => {
+        const until = e.end ? e.end.date : new Date(e.start.date.getTime() + (e.start.allDay ? DAY_MS : 0));
+        return e.start.date < end && until > start;
+      })
+      .sort((a, b) => a.start.date - b.start.date)
+      .slice(0, MAX_RESULTS)
+      .map((e) => ({
+        start: e.start.text,
+        end: e.end ? e.end.text : null,
+        allDay: e.start.allDay,
+        timeZone: e.start.timeZone,
+        summary: e.summary,
+      }));
+
+    return {
+      from: start.toISOString().slice(0, 10),
+      to: new Date(end.getTime() - DAY_MS).toISOString().slice(0, 10),
+      windows,
+      ...(windows.length ? {} : { note: "No availability windows in this range." }),
+    };
+  },
+};
@@ -0,0 +1,40 @@
+/**
+ * src/services/tools/contact.tool.js
+ *
+ * submit_contact_request — stores a visitor's contact request in the local
+ * lead inbox (see lead.service.js) so the owner can follow up.
+ *
+ * The model is told to call it only after the visitor has given their name,
+ * email and message and agreed to send them.
+ */
+
+const { submitLead } = require("../lead.service");
+
+/** @type {import("./index").Tool} */
+module.exports = {
+  name: "submit_contact_request",
+  label: "Sending your message…",
+  description:
+    "Sends a visitor's contact request (e.g. a job offer or project inquiry) to the owner. " +
+    "Only call it once the visitor has provided their name, email address and message, " +
+    "and has confirmed they want to send it. Never invent any of these values.",
+  parameters: {
+    type: "object",
+    properties: {
+      name: { type: "string", description: "Visitor's name." },
+      email: { type: "string", description: "Visitor's email address." },
+      company: { type: "string", description: "Visitor's company, if given." },
+      message: { type: "string", description: "What the visitor wants, in their words." },
+    },
+    required: ["name", "email", "message"],
+    additionalProperties: false,
+  },
+
+  async run({ name, email, company, message } = {}, context) {
+    const { id } = await submitLead(
+      { name, email, company, message },
+      { source: "chat", ...context }
+    );
+    return { submitted: true, id, email };
+  },
+};
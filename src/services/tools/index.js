@@ -0,0 +1,95 @@
+/**
+ * src/services/tools/index.js
+ *
+ * Registry of server-side tools the model may call while answering
+ * (opt-in: TOOLS_ENABLED=true — the provider's model must support tool calls).
+ *
+ *   list_projects          — project catalog + cached public repositories
+ *   check_availability     — availability windows from a local ICS file
+ *   submit_contact_request — stores a visitor's contact request (lead inbox)
+ *
+ * A tool is a plain object (see the Tool typedef).  To add one, create
+ * `<name>.tool.js` next to the others and list it in TOOLS.
+ */
+
+const projectsTool = require("./projects.tool");
+const availabilityTool = require("./availability.tool");
+const contactTool = require("./contact.tool");
+const logger = require("../../utils/logger");
+
+const ENABLED = process.env.TOOLS_ENABLED === "true";
+
+/**
+ * @typedef {object} Tool
+ * @property {string} name
+ * @property {string} description - Tells the model when to use it.
+ * @property {object} parameters  - JSON Schema for the arguments.
+ * @property {string} label       - Shown by the widgets while it runs, e.g. "Checking availability…".
+ * @property {() => boolean} [isAvailable] - false hides the tool (e.g. its data file is missing).
+ * @property {(args: object, context: ToolContext) => Promise<object>} run
+ *   Returns a JSON-serialisable result for the model; throws on failure.
+ */
+
+/**
+ * @typedef {object} ToolContext
+ * @property {string} [requestId]
+ * @property {string|null} [conversationId]
+ * @property {string} [origin]
+ * @property {string} [tenantId] - Tenant the reply is for (tenant.service.js).
+ * @property {string} [ip] - For throttling only; never store it.
+ */
+
+/** @type {Tool[]} */
+const TOOLS = [projectsTool, availabilityTool, contactTool];
+
+/**
+ * Tools to offer the model for this request.
+ * @returns {Array<{ name: string, description: string, parameters: object }>}
+ *   Empty when tools are disabled.
+ */
+function getToolDefinitions() {
+  if (!ENABLED) return [];
+  return TOOLS.filter((t) => !t.isAvailable || t.isAvailable()).map(
+    ({ name, description, parameters }) => ({ name, description, parameters })
+  );
+}
+
+/**
+ * Widget label for a tool, e.g. "Checking availability…".
+ * @param {string} name
+ * @returns {string}
+ */
+function getToolLabel(name) {
+  return TOOLS.find((t) => t.name === name)?.label || "Working…";
+}
+
+/**
+ * Runs one tool call.  Failures are returned (not thrown) so the model can
+ * tell the visitor what went wrong.
+ * @param {{ name: string, arguments: object }} call
+ * @param {ToolContext} context
+ * @returns {Promise<{ ok: boolean, result: object }>}
+ */
+async function runTool({ name, arguments: args }, context) {
+  const tool = TOOLS.find((t) => t.name === name);
+  if (!tool || (tool.isAvailable && !tool.isAvailable())) {
+    return { ok: false, result: { error: `Unknown tool "${name}".` } };
+  }
+
+  try {
+    return { ok: true, result: await tool.run(args || {}, context) };
+  } catch (err) {
+    // Validation messages are meant for the visitor; anything else is internal
+    const message = err.expose ? err.message : "The tool failed. Please try again later.";
+    if (!err.expose) {
+      logger.error(
+        "tool failed",
+        { requestId: context.requestId, tool: name, error: { message: err.message } },
+        `[tools] ${name} failed: ${err.message} | req: ${context.requestId}`
+      );
+    }
+    return { ok: false, result: { error: message } };
+  }
+}
+
+module.exports = { getToolDefinitions, getToolLabel, runTool };
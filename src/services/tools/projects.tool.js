@@ -0,0 +1,102 @@
+/**
+ * src/services/tools/projects.tool.js
+ *
+ * list_projects — the project catalog: projects from the owner profile plus
+ * public repositories from a local cache.
+ *
+ * The cache (PROJECTS_CACHE_PATH, default storage/repos.json) is the JSON
+ * returned by GitHub's "list repositories for a user" endpoint, refreshed
+ * outside the server, e.g. from a cron job:
+ *
+ *   curl -s "https://api.github.com/users/<user>/repos?per_page=100" > storage/repos.json
+ *
+ * Forks and archived repositories are left out.  Without a cache, only the
+ * profile's projects are listed.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { getPersona } = require("../persona.service");
+
+const CACHE_PATH = path.resolve(
+  process.env.PROJECTS_CACHE_PATH || path.join(__dirname, "../../../storage/repos.json")
+);
+const MAX_RESULTS = 10;
+
+/**
+ * Reads the repository cache.
+ * @returns {Promise<{ repos: object[], updatedAt: string|null }>}
+ */
+async function _readCache() {
+  try {
+    const [raw, stat] = await Promise.all([
+      fs.promises.readFile(CACHE_PATH, "utf8"),
+      fs.promises.stat(CACHE_PATH),
+    ]);
+    const data = JSON.parse(raw);
+    const repos = Array.isArray(data) ? data : [];
+    return { repos, updatedAt: stat.mtime.toISOString() };
+  } catch (err) {
+    if (err.code !== "ENOENT") console.warn(`[tools] Could not read ${CACHE_PATH}: ${err.message}`);
+    return { repos: [], updatedAt: null };
+  }
+}
+
+/** @type {import("./index").Tool} */
+module.exports = {
+  name: "list_projects",
+  label: "Looking up projects…",
+  description:
+    "Lists the owner's projects and public code repositories, most recently updated first. " +
+    "Use it for questions about what they have built, their repositories, or work in a given technology.",
+  parameters: {
+    type: "object",
+    properties: {
+      query: {
+        type: "string",
+        description: "Optional filter — a technology, language or keyword, e.g. \"React\".",
+      },
+    },
+    additionalProperties: false,
+  },
+
+  async run({ query } = {}, { tenantId } = {}) {
+    const { profile } = getPersona(tenantId);
+    const { repos, updatedAt } = await _readCache();
+
+    const projects = [
+      ...profile.projects.map((p) => ({
+        name: p.name,
+        description: p.description,
+        stack: p.stack || [],
+        url: p.url || null,
+        source: "profile",
+      })),
+      ...repos
+        .filter((r) => r && r.name && !r.fork && !r.archived)
+        .sort((a, b) => String(b.updated_at).localeCompare(String(a.updated_at)))
+        .map((r) => ({
+          name: r.name,
+          description: r.description || "",
+          stack: [r.language, ...(r.topics || [])].filter(Boolean),
+          url: r.html_url || null,
+          stars: r.stargazers_count || 0,
+          updatedAt: r.updated_at || null,
+          source: "repository",
+        })),
+    ];
+
+    const needle = typeof query === "string" ? query.trim().toLowerCase() : "";
+    const matches = needle
+      ? projects.filter((p) =>
+          [p.name, p.description, ...p.stack].join(" ").toLowerCase().includes(needle)
+        )
+      : projects;
+
+    return {
+      projects: matches.slice(0, MAX_RESULTS),
+      total: matches.length,
+      repositoriesCachedAt: updatedAt,
+    };
+  },
+};
@@ -0,0 +1,227 @@
+/**
+ * src/services/transcript.service.js
+ *
+ * Opt-in transcript storage (TRANSCRIPTS_ENABLED=true).
+ *
+ * Each completed question/answer pair is appended to TRANSCRIPT_PATH
+ * (default: storage/transcripts.jsonl) after emails, phone numbers and IP
+ * addresses have been redacted.  The owner's own public contact details from
+ * the profile are left intact, since the assistant is meant to share them.
+ *
+ * Entries carry the request id from the access log, so a transcript line can
+ * be matched to its timing and token usage.  Entries older than
+ * TRANSCRIPT_RETENTION_DAYS are purged at startup and every few hours.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { redactText } = require("../utils/redact");
+const { getPersona } = require("./persona.service");
+
+const ENABLED = process.env.TRANSCRIPTS_ENABLED === "true";
+const TRANSCRIPT_PATH = path.resolve(
+  process.env.TRANSCRIPT_PATH || path.join(__dirname, "../../storage/transcripts.jsonl")
+);
+const RETENTION_DAYS = parseInt(process.env.TRANSCRIPT_RETENTION_DAYS, 10) || 30;
+const PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000; // 6 hours
+
+// All file operations go through one queue so a purge (read → rewrite)
+// never races with an append.
+let _queue = Promise.resolve();
+const _enqueue = (task) => {
+  _queue = _queue.then(task).catch((err) => {
+    console.error("[transcripts]", err.message);
+  });
+  return _queue;
+};
+
+/**
+ * @returns {boolean} true when transcript storage is enabled.
+ */
+function isTranscriptsEnabled() {
+  return ENABLED;
+}
+
+/**
+ * Stores one redacted question/answer pair.  No-op unless enabled.
+ *
+ * @param {object} entry
+ * @param {string} entry.requestId
+ * @param {string|null} entry.conversationId - null for stateless (OpenAI-compatible) requests.
+ * @param {string} [entry.origin]
+ * @param {string} [entry.tenant] - Tenant id; its profile's contact details are kept.
+ * @param {string} entry.question
+ * @param {string} entry.answer
+ * @param {string} [entry.provider]
+ * @param {string|null} [entry.model]
+ * @param {object|null} [entry.usage]
+ * @param {number} [entry.durationMs]
+ * @param {string} [entry.guarded] - Guard category, when the reply was refused or replaced.
+ */
+function recordTranscript(entry) {
+  if (!ENABLED) return;
+
+  const keep = Object.values(getPersona(entry.tenant).profile.contact);
+  const line = JSON.stringify({
+    ts: new Date().toISOString(),
+    requestId: entry.requestId,
+    conversationId: entry.conversationId,
+    origin: entry.origin || "direct",
+    ...(entry.tenant ? { tenant: entry.tenant } : {}),
+    question: redactText(entry.question, keep),
+    answer: redactText(entry.answer, keep),
+    provider: entry.provider || null,
+    model: entry.model || null,
+    usage: entry.usage || null,
+    durationMs: entry.durationMs ?? null,
+    ...(entry.guarded ? { guarded: entry.guarded } : {}),
+  });
+
+  _enqueue(async () => {
+    await fs.promises.mkdir(path.dirname(TRANSCRIPT_PATH), { recursive: true });
+    await fs.promises.appendFile(TRANSCRIPT_PATH, line + "\n");
+  });
+}
+
+/**
+ * Reads stored transcripts, oldest first.
+ * @param {object} [filter]
+ * @param {string} [filter.since] - ISO date/time; only newer entries.
+ * @param {string} [filter.conversationId]
+ * @returns {Promise<object[]>}
+ */
+async function readTranscripts({ since, conversationId } = {}) {
+  await _queue;
+
+  let raw;
+  try {
+    raw = await fs.promises.readFile(TRANSCRIPT_PATH, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+
+  const entries = [];
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // Skip a line truncated by a crash mid-write
+    }
+  }
+
+  return entries.filter(
+    (e) =>
+      (!since || e.ts >= since) && (!conversationId || e.conversationId === conversationId)
+  );
+}
+
+/**
+ * Drops entries older than the retention period by rewriting the file.
+ * @returns {Promise<void>}
+ */
+function purgeExpiredTranscripts() {
+  return _enqueue(async () => {
+    let raw;
+    try {
+      raw = await fs.promises.readFile(TRANSCRIPT_PATH, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") return;
+      throw err;
+    }
+
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const lines = raw.split("\n").filter(Boolean);
+    const kept = lines.filter((line) => {
+      try {
+        return JSON.parse(line).ts >= cutoff;
+      } catch {
+        return false;
+      }
+    });
+
+    if (kept.length === lines.length) return;
+
+    // Write-then-rename so a crash never leaves a half-written file
+    const tmp = `${TRANSCRIPT_PATH}.tmp`;
+    await fs.promises.writeFile(tmp, kept.map((l) => l + "\n").join(""));
+    await fs.promises.rename(tmp, TRANSCRIPT_PATH);
+    console.log(
+      `[transcripts] Purged ${lines.length - kept.length} transcript(s) older than ${RETENTION_DAYS} days`
+    );
+  });
+}
+
+/**
+ * Purges once now and then periodically.  Call once at startup.
+ */
+function startTranscriptRetention() {
+  if (!ENABLED) return;
+  purgeExpiredTranscripts();
+  setInterval(purgeExpiredTranscripts, PURGE_INTERVAL_MS).unref();
+}
+
+// ── Export ─────────────────────────────────────────────────────────────────
+const CSV_COLUMNS = [
+  "ts",
+  "requestId",
+  "conversationId",
+  "origin",
+  "question",
+  "answer",
+  "provider",
+  "model",
+  "promptTokens",
+  "completionTokens",
+  "durationMs",
+];
+
+const _csvCell = (value) => {
+  let str = value === null || value === undefined ? "" : String(value);
+  // Visitor text starting like a formula would run when the export is opened
+  // in a spreadsheet — a leading ' makes it plain text
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * Serialises transcripts as CSV (with header row) or JSONL.
+ * @param {object[]} entries
+ * @param {"csv"|"jsonl"} format
+ * @returns {string}
+ */
+function formatTranscripts(entries, format) {
+  if (format === "jsonl") {
+    return entries.map((e) => JSON.stringify(e) + "\n").join("");
+  }
+
+  const rows = entries.map((e) =>
+    [
+      e.ts,
+      e.requestId,
+      e.conversationId,
+      e.origin,
+      e.question,
+      e.answer,
+      e.provider,
+      e.model,
+      e.usage?.prompt_tokens,
+      e.usage?.completion_tokens,
+      e.durationMs,
+    ]
+      .map(_csvCell)
+      .join(",")
+  );
+  return [CSV_COLUMNS.join(","), ...rows].join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  isTranscriptsEnabled,
+  recordTranscript,
+  readTranscripts,
+  purgeExpiredTranscripts,
+  startTranscriptRetention,
+  formatTranscripts,
+  TRANSCRIPT_PATH,
+};
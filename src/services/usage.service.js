@@ -0,0 +1,257 @@
+/**
+ * src/services/usage.service.js
+ *
+ * Persistent token usage and cost accounting.
+ *
+ * Every completed chat appends one JSON line to USAGE_LOG_PATH
+ * (default: storage/usage.jsonl).  On startup the log is replayed into
+ * in-memory aggregates, so restarting the server never loses history.
+ *
+ * Cost is estimated from a price table (PRICE_TABLE_PATH, default
+ * data/prices.json) keyed by model name, with `provider:*` wildcards for
+ * free local providers.  Models missing from the table are counted as
+ * unpriced rather than guessed.
+ *
+ * Every record names its tenant (tenant.service.js), and stats can be read
+ * for one tenant or for the whole server.  Records written before tenants
+ * existed count towards the default tenant.
+ *
+ * Set LOG_TOKEN_USAGE=true to also echo each record to stdout as JSON.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { getDefaultTenant } = require("./tenant.service");
+
+const USAGE_LOG_PATH = path.resolve(
+  process.env.USAGE_LOG_PATH || path.join(__dirname, "../../storage/usage.jsonl")
+);
+const PRICE_TABLE_PATH = path.resolve(
+  process.env.PRICE_TABLE_PATH || path.join(__dirname, "../../data/prices.json")
+);
+const LOG_TO_STDOUT = process.env.LOG_TOKEN_USAGE === "true";
+
+// How many recent buckets /api/stats returns for each granularity
+const BUCKET_LIMITS = { hour: 24, day: 30, month: 12 };
+
+// ── Price table ────────────────────────────────────────────────────────────
+let _prices = null;
+
+function _loadPrices() {
+  try {
+    _prices = JSON.parse(fs.readFileSync(PRICE_TABLE_PATH, "utf8"));
+  } catch (err) {
+    console.error(`[usage] Could not read price table ${PRICE_TABLE_PATH}:`, err.message);
+    _prices = { currency: "USD", models: {} };
+  }
+  return _prices;
+}
+
+/**
+ * Estimates the cost of one request, or null if the model is not priced.
+ * @param {string} provider
+ * @param {string} model
+ * @param {{ prompt_tokens?: number, completion_tokens?: number }} usage
+ * @returns {number|null}
+ */
+function estimateCost(provider, model, usage) {
+  const { models } = _prices || _loadPrices();
+  const price = models[model] || models[`${provider}:*`];
+  if (!price) return null;
+
+  const cost =
+    ((usage.prompt_tokens || 0) * price.input + (usage.completion_tokens || 0) * price.output) /
+    1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+// ── Aggregates ─────────────────────────────────────────────────────────────
+const _emptyTotals = () => ({
+  totalRequests: 0,
+  promptTokens: 0,
+  completionTokens: 0,
+  totalTokens: 0,
+  estimatedCost: 0,
+  unpricedRequests: 0,
+});
+
+const _emptyScope = () => ({
+  totals: _emptyTotals(),
+  byModel: new Map(),
+  byOrigin: new Map(),
+  buckets: { hour: new Map(), day: new Map(), month: new Map() },
+});
+
+// The whole server, and each tenant on its own (tenant id → scope)
+let _all = _emptyScope();
+let _byTenant = new Map();
+let _loaded = false;
+
+function _bump(t, record) {
+  t.totalRequests += 1;
+  t.promptTokens += record.prompt_tokens || 0;
+  t.completionTokens += record.completion_tokens || 0;
+  t.totalTokens += record.total_tokens || 0;
+  if (record.cost === null || record.cost === undefined) t.unpricedRequests += 1;
+  else t.estimatedCost = Math.round((t.estimatedCost + record.cost) * 1e6) / 1e6;
+}
+
+function _add(map, key, record) {
+  if (!map.has(key)) map.set(key, _emptyTotals());
+  _bump(map.get(key), record);
+}
+
+function _addToScope(scope, record) {
+  _bump(scope.totals, record);
+  _add(scope.byModel, `${record.provider}/${record.model}`, record);
+  _add(scope.byOrigin, record.origin || "direct", record);
+
+  // ISO timestamps slice neatly into UTC buckets
+  _add(scope.buckets.hour, record.ts.slice(0, 13), record);
+  _add(scope.buckets.day, record.ts.slice(0, 10), record);
+  _add(scope.buckets.month, record.ts.slice(0, 7), record);
+}
+
+function _aggregate(record) {
+  const tenant = record.tenant || getDefaultTenant().id;
+  if (!_byTenant.has(tenant)) _byTenant.set(tenant, _emptyScope());
+
+  _addToScope(_all, record);
+  _addToScope(_byTenant.get(tenant), record);
+}
+
+/**
+ * Replays the usage log into memory.  Safe to call more than once.
+ */
+function loadUsageHistory() {
+  _all = _emptyScope();
+  _byTenant = new Map();
+  _loaded = true;
+
+  let raw;
+  try {
+    raw = fs.readFileSync(USAGE_LOG_PATH, "utf8");
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.error(`[usage] Could not read ${USAGE_LOG_PATH}:`, err.message);
+    }
+    return;
+  }
+
+  let skipped = 0;
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      _aggregate(JSON.parse(line));
+    } catch {
+      skipped += 1; // e.g. a line truncated by a crash mid-write
+    }
+  }
+
+  console.log(
+    `[usage] Replayed ${_all.totals.totalRequests} record(s) from ${USAGE_LOG_PATH}` +
+      (skipped ? ` (${skipped} malformed line(s) skipped)` : "")
+  );
+}
+
+/**
+ * Records one request's usage: aggregates it and appends it to the log.
+ *
+ * @param {object} entry
+ * @param {{ prompt_tokens: number, completion_tokens: number, total_tokens: number, estimated?: boolean }|null} entry.usage
+ *   `estimated` marks counts approximated locally (e.g. a stream cancelled by the visitor).
+ * @param {string} entry.provider
+ * @param {string} entry.model
+ * @param {string} [entry.origin] - Request Origin header; "direct" when absent.
+ * @param {string} [entry.tenant] - Tenant id; the default tenant when absent.
+ * @returns {object|null} The stored record, or null when there was no usage.
+ */
+function recordUsage({ usage, provider, model, origin, tenant }) {
+  if (!usage) return null;
+  if (!_loaded) loadUsageHistory();
+
+  const record = {
+    ts: new Date().toISOString(),
+    tenant: tenant || getDefaultTenant().id,
+    provider,
+    model,
+    origin: origin || "direct",
+    prompt_tokens: usage.prompt_tokens || 0,
+    completion_tokens: usage.completion_tokens || 0,
+    total_tokens: usage.total_tokens || 0,
+    cost: estimateCost(provider, model, usage),
+    ...(usage.estimated ? { estimated: true } : {}),
+  };
+
+  _aggregate(record);
+
+  const line = JSON.stringify(record);
+  if (LOG_TO_STDOUT) console.log(line);
+
+  fs.mkdir(path.dirname(USAGE_LOG_PATH), { recursive: true }, (mkdirErr) => {
+    if (mkdirErr) return console.error("[usage] Could not create log directory:", mkdirErr.message);
+    fs.appendFile(USAGE_LOG_PATH, line + "\n", (err) => {
+      if (err) console.error(`[usage] Could not append to ${USAGE_LOG_PATH}:`, err.message);
+    });
+  });
+
+  return record;
+}
+
+const _toObject = (map) => Object.fromEntries(map);
+
+const _recent = (map, limit) =>
+  [...map.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : 1))
+    .slice(-limit)
+    .map(([bucket, totals]) => ({ bucket, ...totals }));
+
+/**
+ * Returns lifetime totals plus per-model, per-origin and time-bucketed breakdowns.
+ * The top-level token fields keep the shape of the original /api/stats response.
+ * @param {object} [options]
+ * @param {string} [options.tenant] - Only this tenant's usage (includes `tenant`);
+ *   without it, the whole server's (includes per-tenant totals as `byTenant`).
+ * @returns {object}
+ */
+function getUsageStats({ tenant } = {}) {
+  if (!_loaded) loadUsageHistory();
+  const { currency } = _prices || _loadPrices();
+  const scope = tenant ? _byTenant.get(tenant) || _emptyScope() : _all;
+
+  return {
+    ...(tenant ? { tenant } : {}),
+    ...scope.totals,
+    currency,
+    byModel: _toObject(scope.byModel),
+    byOrigin: _toObject(scope.byOrigin),
+    ...(tenant
+      ? {}
+      : { byTenant: Object.fromEntries([..._byTenant].map(([id, s]) => [id, s.totals])) }),
+    hourly: _recent(scope.buckets.hour, BUCKET_LIMITS.hour),
+    daily: _recent(scope.buckets.day, BUCKET_LIMITS.day),
+    monthly: _recent(scope.buckets.month, BUCKET_LIMITS.month),
+  };
+}
+
+/**
+ * Returns the totals for one UTC day (default: today).
+ * @param {string} [day] - "YYYY-MM-DD"
+ * @param {object} [options]
+ * @param {string} [options.tenant] - Only this tenant's; the whole server's without it.
+ * @returns {{ totalRequests: number, totalTokens: number, estimatedCost: number, ... }}
+ */
+function getDailyUsage(day = new Date().toISOString().slice(0, 10), { tenant } = {}) {
+  if (!_loaded) loadUsageHistory();
+  const scope = tenant ? _byTenant.get(tenant) || _emptyScope() : _all;
+  return { ...(scope.buckets.day.get(day) || _emptyTotals()) };
+}
+
+module.exports = {
+  loadUsageHistory,
+  recordUsage,
+  getUsageStats,
+  getDailyUsage,
+  estimateCost,
+  USAGE_LOG_PATH,
+};
@@ -0,0 +1,105 @@
+/**
+ * src/utils/logger.js
+ *
+ * Minimal levelled logger for request-scoped output (access log, errors).
+ *
+ * LOG_FORMAT selects the output:
+ *   pretty — human-readable lines, ANSI-coloured when stdout is a terminal
+ *   json   — one JSON object per line: { ts, level, msg, ...fields }
+ *
+ * When LOG_FORMAT is unset, pretty is used on an interactive terminal and
+ * json everywhere else (Render, Railway, Docker), so hosted logs can be
+ * filtered by field — e.g. every line for one requestId.
+ */
+
+const FORMATS = new Set(["pretty", "json"]);
+const FORMAT = FORMATS.has(process.env.LOG_FORMAT)
+  ? process.env.LOG_FORMAT
+  : process.stdout.isTTY
+    ? "pretty"
+    : "json";
+const COLOR = FORMAT === "pretty" && Boolean(process.stdout.isTTY);
+
+const CONSOLE_METHODS = { info: "log", warn: "warn", error: "error" };
+
+/**
+ * Writes one log entry.
+ *
+ * In json mode the fields are emitted alongside `message`.  In pretty mode
+ * only one line of text is printed: `text` when given (callers fold the
+ * interesting fields into it), otherwise `message`.
+ *
+ * @param {"info"|"warn"|"error"} level
+ * @param {string} message
+ * @param {object} [fields]
+ * @param {string} [text] - Pretty-mode rendering of the entry.
+ */
+function log(level, message, fields = {}, text = message) {
+  const method = CONSOLE_METHODS[level] || "log";
+
+  if (FORMAT === "json") {
+    console[method](
+      JSON.stringify({ ts: new Date().toISOString(), level, msg: message, ...fields })
+    );
+  } else {
+    console[method](text);
+  }
+}
+
+/**
+ * Wraps text in an ANSI colour code — a no-op unless writing to a terminal.
+ * @param {number} code - e.g. 31 (red), 32 (green), 33 (yellow), 36 (cyan)
+ * @param {string|number} text
+ * @returns {string}
+ */
+function colorize(code, text) {
+  return COLOR ? `\x1b[${code}m${text}\x1b[0m` : String(text);
+}
+
+/**
+ * Error details suitable for a structured log entry.
+ * The stack is omitted in production.
+ * @param {Error} err
+ * @returns {{ message: string, code?: string, stack?: string }}
+ */
+function errorFields(err) {
+  return {
+    message: err.message,
+    ...(err.code ? { code: err.code } : {}),
+    ...(process.env.NODE_ENV !== "production" && err.stack ? { stack: err.stack } : {}),
+  };
+}
+
+/**
+ * Logs an error raised while handling a request, tagged with its request id.
+ * @param {import("express").Request}  req
+ * @param {import("express").Response} res
+ * @param {Error} err
+ */
+function logRequestError(req, res, err) {
+  const route = req.originalUrl.split("?")[0];
+  const error = errorFields(err);
+
+  log(
+    "error",
+    "request failed",
+    {
+      requestId: res.locals.requestId,
+      ...(res.locals.tenant ? { tenant: res.locals.tenant } : {}),
+      method: req.method,
+      route,
+      status: err.statusCode || err.status || 500,
+      error,
+    },
+    `[ERROR] ${req.method} ${route} → ${err.message} | req: ${res.locals.requestId}` +
+      (error.stack ? `\n${error.stack}` : "")
+  );
+}
+
+module.exports = {
+  info: (message, fields, text) => log("info", message, fields, text),
+  warn: (message, fields, text) => log("warn", message, fields, text),
+  error: (message, fields, text) => log("error", message, fields, text),
+  colorize,
+  logRequestError,
+};
@@ -0,0 +1,64 @@
+/**
+ * src/utils/redact.js
+ *
+ * Helpers for removing personal data before it is stored or shown in the
+ * admin API.
+ */
+
+const net = require("net");
+
+/**
+ * Masks the host part of an IP address, keeping enough to spot patterns:
+ *   203.0.113.42           → 203.0.113.x
+ *   2001:db8:85a3::8a2e:1  → 2001:db8:85a3:x
+ *
+ * @param {string|undefined} ip
+ * @returns {string}
+ */
+function redactIp(ip) {
+  if (!ip) return "unknown";
+
+  // Express reports IPv4 clients on dual-stack sockets as ::ffff:a.b.c.d
+  const addr = ip.replace(/^::ffff:/, "");
+
+  if (net.isIPv4(addr)) {
+    return addr.split(".").slice(0, 3).concat("x").join(".");
+  }
+  if (net.isIPv6(addr)) {
+    const groups = addr.split(":").filter(Boolean).slice(0, 3);
+    return `${groups.join(":")}:x`;
+  }
+  return "unknown";
+}
+
+// ── Free-text redaction ────────────────────────────────────────────────────
+const EMAIL_RE = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const IPV4_RE = /\b(?:\d{1,3}\.){3}\d{1,3}\b/g;
+// At least four groups, so clock times like 12:30:45 survive
+const IPV6_RE = /\b[0-9a-f]{1,4}(?::[0-9a-f]{0,4}){3,7}\b/gi;
+// 7+ digits with optional +country code and common separators, e.g.
+// +63 912 345 6789, (555) 123-4567.  Years and short numbers are left alone.
+const PHONE_RE = /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d(?:[\s.-]?\d){6,14}\b/g;
+
+/**
+ * Replaces emails, IP addresses and phone numbers with placeholders.
+ *
+ * @param {string} text
+ * @param {string[]} [keep] - Values to leave untouched, e.g. the owner's own
+ *   public contact details that the assistant is supposed to share.
+ * @returns {string}
+ */
+function redactText(text, keep = []) {
+  if (!text) return text;
+  const allowed = new Set(keep.map((v) => v.toLowerCase()));
+  const mask = (placeholder) => (match) =>
+    allowed.has(match.toLowerCase()) ? match : placeholder;
+
+  return text
+    .replace(EMAIL_RE, mask("[email]"))
+    .replace(IPV4_RE, mask("[ip]"))
+    .replace(IPV6_RE, mask("[ip]"))
+    .replace(PHONE_RE, mask("[phone]"));
+}
+
+module.exports = { redactIp, redactText };